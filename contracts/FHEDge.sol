@@ -1,8 +1,10 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.24;
 
-import {FHE, externalEuint64, euint64, ebool} from "@fhevm/solidity/lib/FHE.sol";
+import {FHE, externalEuint64, euint64, euint8, ebool} from "@fhevm/solidity/lib/FHE.sol";
 import {ZamaEthereumConfig} from "@fhevm/solidity/config/ZamaConfig.sol";
+import {IERC20Minimal} from "./interfaces/IERC20Minimal.sol";
+import {IConfidentialToken} from "./interfaces/IConfidentialToken.sol";
 
 /**
  * @title FHEDge - Privacy-Preserving Crowdfunding with FHE
@@ -18,6 +20,20 @@ import {ZamaEthereumConfig} from "@fhevm/solidity/config/ZamaConfig.sol";
  * - Confidential total tracking using FHE operations
  * - Goal verification without revealing exact amounts
  * - Owner-controlled decryption for campaign management
+ * - All-or-nothing settlement: owner claims only if the revealed goal was reached,
+ *   backers refund only if it was missed
+ * - Owner cancellation: a cancelled campaign stops taking pledges and backers refund immediately
+ * - Per-campaign funding asset: native ETH, a standard ERC-20, or a confidential
+ *   ERC-7984-style token whose transfer amounts also stay encrypted
+ * - Per-campaign amount unit: encrypted goals and pledges count units of `amountUnit`
+ *   wei (or token base units), so large ETH amounts fit in euint64
+ * - Optional milestones: funds are released tranche by tranche, each after an objection
+ *   window in which backers holding most of the raised funds can block it and refund
+ *   the unreleased remainder pro rata
+ * - Optional encrypted stretch goals: a separate reveal publishes only the highest
+ *   stretch tier the total reached, never the thresholds themselves
+ * - Optional reward tiers: each backer gets an encrypted tier index that only they
+ *   (and the owner) can decrypt, checked against public or encrypted minimums
  */
 contract FHEDge is ZamaEthereumConfig {
     // Platform fee: 1% of each pledge goes to contract owner
@@ -27,6 +43,28 @@ contract FHEDge is ZamaEthereumConfig {
     // Contract owner (receives platform fees automatically)
     address public immutable platformOwner;
     
+    // Largest page the paginated campaign views return in one call
+    uint256 public constant MAX_PAGE_SIZE = 100;
+    
+    // Default window after the deadline during which only the campaign owner can reveal results
+    uint256 public constant DEFAULT_REVEAL_GRACE_PERIOD = 3 days;
+    
+    // Configurable reveal grace period (set by platform owner); after it anyone can reveal
+    uint256 public revealGracePeriod;
+    
+    // Milestones: at most this many per campaign, each released after an objection window
+    uint256 public constant MAX_MILESTONES = 10;
+    uint256 public constant MILESTONE_OBJECTION_PERIOD = 3 days;
+    
+    // A tranche is rejected when objecting backers hold more than this share of the raised funds
+    uint256 public constant MILESTONE_OBJECTION_THRESHOLD_PERCENT = 50;
+    
+    // Encrypted stretch thresholds a campaign can have on top of its goal
+    uint256 public constant MAX_STRETCH_GOALS = 5;
+    
+    // Reward tiers (perk levels) a campaign can offer its backers
+    uint256 public constant MAX_REWARD_TIERS = 5;
+    
     // Decryption status for campaign results
     enum DecryptionStatus {
         NotRequested,   // Decryption hasn't been requested yet
@@ -34,6 +72,19 @@ contract FHEDge is ZamaEthereumConfig {
         Completed       // Decryption completed and verified
     }
     
+    // Asset a campaign is funded in (chosen at creation)
+    enum FundingAsset {
+        Native,         // ETH via msg.value
+        ERC20,          // Standard ERC-20 via approve/transferFrom
+        Confidential    // ERC-7984-style token via operator + confidentialTransferFrom
+    }
+    
+    struct FundingConfig {
+        FundingAsset asset;
+        address token;              // Zero for Native
+        uint256 amountUnit;         // Wei/base units per encrypted unit (e.g. 1 gwei)
+    }
+    
     // Campaign structure
     struct Campaign {
         address owner;              // Campaign creator
@@ -42,14 +93,77 @@ contract FHEDge is ZamaEthereumConfig {
         uint256 deadline;          // Campaign end timestamp
         bool active;               // Campaign status
         bool claimed;              // Whether funds have been claimed
+        bool cancelled;            // Cancelled by owner (backers can refund at any time)
         string title;              // Campaign title (public)
         string description;        // Campaign description (public)
-        uint256 ethBalance;        // Actual ETH collected for this campaign (after fee)
+        uint256 ethBalance;        // Actual ETH/ERC-20 collected for this campaign (after fee; 0 for confidential tokens)
         DecryptionStatus decryptionStatus;  // Status of public decryption
-        uint64 decryptedTotalPledged;       // Decrypted total after public reveal
+        ebool encryptedGoalReached;         // Goal comparison made public at reveal request
+        uint64 decryptedTotalPledged;       // Decrypted total after public reveal (in amount units)
         bool goalReached;                   // Whether goal was reached (after decryption)
     }
 
+    // One tranche of a milestone campaign's funds
+    struct Milestone {
+        string title;
+        uint8 sharePercent;         // Percent of the raised funds released for this milestone
+    }
+
+    // Release progress of a milestone campaign
+    struct MilestoneProgress {
+        uint256 raised;             // Campaign balance when the first tranche was requested
+        uint256 released;           // Paid out to the owner so far
+        uint256 objectionDeadline;  // End of the pending tranche's objection window (0 if none pending)
+        uint256 objectionWeight;    // Deposits of the backers objecting to the pending tranche
+        uint8 nextMilestone;        // Index of the next tranche to release
+        bool rejected;              // Backers blocked a tranche: the remainder is refundable pro rata
+    }
+
+    // Reveal of the highest stretch tier reached, independent of the goal reveal
+    struct StretchTierReveal {
+        DecryptionStatus status;
+        euint8 encryptedTier;       // 0: no stretch goal reached, i: the i-th stretch goal
+        uint8 tierReached;          // Decrypted tier once status is Completed
+    }
+
+    // Public side of a reward tier (eligibility is always checked against an encrypted minimum)
+    struct RewardTier {
+        string name;
+        uint64 publicMinimum;       // Minimum in the campaign's amount unit (0: kept encrypted)
+    }
+
+    // Optional terms fixed at creation, so backers always pledge under them (empty to skip)
+    struct CampaignSetup {
+        string[] milestoneTitles;   // In release order
+        uint8[] milestoneShares;    // Percent of the raised funds per milestone (sums to 100)
+        externalEuint64[] stretchGoals;     // Ascending, above the goal; covered by the goal's input proof
+        string[] rewardTierNames;   // Lowest tier first
+        uint64[] rewardTierPublicMinimums;  // In amount units; 0 to use the encrypted minimum
+        externalEuint64[] rewardTierEncryptedMinimums;  // Covered by the goal's input proof
+    }
+
+    // Public view of one campaign, as returned by the batch getter
+    struct CampaignSummary {
+        uint256 campaignId;
+        address owner;
+        uint256 deadline;
+        bool active;
+        bool claimed;
+        bool cancelled;
+        string title;
+        string description;
+        uint256 ethBalance;
+        FundingAsset asset;
+        address token;
+        uint256 amountUnit;
+        bool hasPledged;                    // Whether `account` holds a pledge
+        DecryptionStatus decryptionStatus;
+        uint64 decryptedTotalPledged;
+        bool goalReached;
+        uint8 milestoneCount;               // 0: funds are claimed in one shot
+        bool milestonesRejected;
+    }
+
     // Mapping from campaign ID to Campaign
     mapping(uint256 => Campaign) public campaigns;
     
@@ -59,9 +173,36 @@ contract FHEDge is ZamaEthereumConfig {
     // Mapping to track if address has pledged to a campaign
     mapping(uint256 => mapping(address => bool)) public hasPledged;
     
-    // Mapping to track actual ETH pledged by each user per campaign
+    // Mapping to track actual ETH (or ERC-20) pledged by each user per campaign (sum of all top-ups, after fee)
     mapping(uint256 => mapping(address => uint256)) public ethPledges;
     
+    // Funding asset per campaign (defaults to Native)
+    mapping(uint256 => FundingConfig) private campaignFunding;
+    
+    // Confidential-token campaigns: encrypted deposits (after fee) per backer and per campaign
+    mapping(uint256 => mapping(address => euint64)) private confidentialPledges;
+    mapping(uint256 => euint64) private confidentialBalances;
+    
+    // Campaign IDs created by each owner, in creation order (for paginated owner views)
+    mapping(address => uint256[]) private ownerCampaigns;
+    
+    // Milestones and their release progress per campaign
+    mapping(uint256 => Milestone[]) private campaignMilestones;
+    mapping(uint256 => MilestoneProgress) private milestoneProgress;
+    
+    // Campaign ID => milestone index => backer => objected to that tranche
+    mapping(uint256 => mapping(uint256 => mapping(address => bool))) public milestoneObjections;
+    
+    // Encrypted stretch thresholds per campaign (ascending) and the reveal of the tier reached
+    mapping(uint256 => euint64[]) private stretchGoals;
+    mapping(uint256 => StretchTierReveal) private stretchTierReveals;
+    
+    // Reward tiers per campaign (ascending minimums) and each backer's encrypted tier
+    // (0: none, i: the i-th tier), recomputed on every pledge
+    mapping(uint256 => RewardTier[]) private rewardTiers;
+    mapping(uint256 => euint64[]) private rewardTierMinimums;
+    mapping(uint256 => mapping(address => euint8)) private backerRewardTiers;
+    
     // Counter for campaign IDs
     uint256 public nextCampaignId;
     
@@ -90,6 +231,16 @@ contract FHEDge is ZamaEthereumConfig {
         address indexed pledger
     );
     
+    event PledgeWithdrawn(
+        uint256 indexed campaignId,
+        address indexed pledger
+    );
+    
+    event CampaignCancelled(
+        uint256 indexed campaignId,
+        address indexed owner
+    );
+    
     event PlatformFeeTransferred(
         uint256 indexed campaignId,
         address indexed platformOwner,
@@ -107,6 +258,56 @@ contract FHEDge is ZamaEthereumConfig {
         uint64 decryptedTotalPledged,
         bool goalReached
     );
+    
+    event RevealGracePeriodUpdated(uint256 gracePeriod);
+    
+    event MilestonesSet(
+        uint256 indexed campaignId,
+        uint256 milestoneCount
+    );
+    
+    event MilestoneReleaseRequested(
+        uint256 indexed campaignId,
+        uint256 indexed milestoneIndex,
+        uint256 objectionDeadline
+    );
+    
+    event MilestoneObjected(
+        uint256 indexed campaignId,
+        uint256 indexed milestoneIndex,
+        address indexed backer
+    );
+    
+    event MilestoneReleased(
+        uint256 indexed campaignId,
+        uint256 indexed milestoneIndex,
+        uint256 amount
+    );
+    
+    event MilestoneRejected(
+        uint256 indexed campaignId,
+        uint256 indexed milestoneIndex
+    );
+    
+    event StretchGoalsAdded(
+        uint256 indexed campaignId,
+        uint256 stretchGoalCount
+    );
+    
+    event StretchTierRevealRequested(
+        uint256 indexed campaignId,
+        bytes32 tierHandle
+    );
+    
+    event StretchTierRevealed(
+        uint256 indexed campaignId,
+        uint8 tierReached
+    );
+    
+    event RewardTiersSet(
+        uint256 indexed campaignId,
+        uint256 tierCount
+    );
 
     modifier nonReentrant() {
         require(!_locked, "Reentrancy detected");
@@ -116,23 +317,114 @@ contract FHEDge is ZamaEthereumConfig {
     }
 
     /**
-     * @notice Constructor sets the platform owner (immutable)
+     * @notice Constructor sets the platform owner (immutable) and default reveal grace period
      */
     constructor() {
         platformOwner = msg.sender;
+        revealGracePeriod = DEFAULT_REVEAL_GRACE_PERIOD;
+    }
+
+    /**
+     * @notice Update how long after the deadline only the campaign owner may reveal results
+     * @param gracePeriod New grace period in seconds
+     */
+    function setRevealGracePeriod(uint256 gracePeriod) external {
+        require(msg.sender == platformOwner, "Only platform owner");
+        revealGracePeriod = gracePeriod;
+        emit RevealGracePeriodUpdated(gracePeriod);
     }
 
     /**
-     * @notice Create a new crowdfunding campaign with encrypted goal
+     * @notice Create a new crowdfunding campaign with encrypted goal, funded in native ETH
      * @dev FHEVM v0.9: Uses ZamaEthereumConfig and updated FHE.fromExternal pattern
+     * @param inGoal Encrypted goal, counted in units of amountUnit
+     * @param amountUnit Wei per encrypted unit (1 gwei keeps goals up to ~18.4 billion ETH in euint64)
+     * @param setup Milestones (empty to claim the funds in one shot), stretch goals and reward tiers
+     *        (empty for none)
      */
     function createCampaign(
         externalEuint64 inGoal,
         bytes calldata inputProof,
         uint256 deadline,
         string calldata title,
-        string calldata description
-    ) external returns (uint256) {
+        string calldata description,
+        uint256 amountUnit,
+        CampaignSetup calldata setup
+    ) external returns (uint256 campaignId) {
+        require(amountUnit > 0, "Amount unit must be positive");
+        
+        campaignId = _createCampaign(
+            inGoal,
+            inputProof,
+            deadline,
+            title,
+            description,
+            FundingConfig({asset: FundingAsset.Native, token: address(0), amountUnit: amountUnit}),
+            setup
+        );
+    }
+
+    /**
+     * @notice Create a campaign funded in an ERC-20 or confidential token
+     * @dev The goal and pledges are denominated in units of amountUnit token base units.
+     *      Confidential tokens move encrypted base units, so they require amountUnit == 1.
+     * @param asset FundingAsset.ERC20 or FundingAsset.Confidential
+     * @param token Token contract address
+     * @param amountUnit Token base units per encrypted unit
+     * @param setup As for createCampaign (milestones are not available for confidential tokens)
+     */
+    function createTokenCampaign(
+        externalEuint64 inGoal,
+        bytes calldata inputProof,
+        uint256 deadline,
+        string calldata title,
+        string calldata description,
+        FundingAsset asset,
+        address token,
+        uint256 amountUnit,
+        CampaignSetup calldata setup
+    ) external returns (uint256 campaignId) {
+        require(asset != FundingAsset.Native, "Use createCampaign for ETH");
+        require(token != address(0), "Token address required");
+        require(amountUnit > 0, "Amount unit must be positive");
+        require(asset != FundingAsset.Confidential || amountUnit == 1, "Confidential tokens use unit 1");
+        
+        campaignId = _createCampaign(
+            inGoal,
+            inputProof,
+            deadline,
+            title,
+            description,
+            FundingConfig({asset: asset, token: token, amountUnit: amountUnit}),
+            setup
+        );
+    }
+
+    /**
+     * @notice Get the asset a campaign is funded in
+     * @param campaignId The campaign ID
+     * @return asset Funding asset kind
+     * @return token Token address (zero for native ETH)
+     * @return amountUnit Wei/base units per encrypted unit of goals, pledges and revealed totals
+     */
+    function getFundingAsset(uint256 campaignId) external view returns (
+        FundingAsset asset,
+        address token,
+        uint256 amountUnit
+    ) {
+        FundingConfig storage funding = campaignFunding[campaignId];
+        return (funding.asset, funding.token, funding.amountUnit);
+    }
+
+    function _createCampaign(
+        externalEuint64 inGoal,
+        bytes calldata inputProof,
+        uint256 deadline,
+        string calldata title,
+        string calldata description,
+        FundingConfig memory funding,
+        CampaignSetup calldata setup
+    ) internal returns (uint256) {
         require(deadline > block.timestamp, "Deadline must be in the future");
         require(bytes(title).length > 0, "Title cannot be empty");
         
@@ -148,10 +440,12 @@ contract FHEDge is ZamaEthereumConfig {
             deadline: deadline,
             active: true,
             claimed: false,
+            cancelled: false,
             title: title,
             description: description,
             ethBalance: 0,  // Initialize ETH balance
             decryptionStatus: DecryptionStatus.NotRequested,  // Initial decryption status
+            encryptedGoalReached: ebool.wrap(0),  // Set when decryption is requested
             decryptedTotalPledged: 0,  // Will be set after decryption
             goalReached: false  // Will be set after decryption
         });
@@ -164,33 +458,43 @@ contract FHEDge is ZamaEthereumConfig {
         FHE.allowThis(campaigns[campaignId].totalPledged);
         FHE.allow(campaigns[campaignId].totalPledged, msg.sender);
         
+        campaignFunding[campaignId] = funding;
+        
+        ownerCampaigns[msg.sender].push(campaignId);
+        
         emit CampaignCreated(campaignId, msg.sender, title, deadline);
         
+        if (setup.milestoneTitles.length > 0) {
+            _setMilestones(campaignId, setup.milestoneTitles, setup.milestoneShares);
+        }
+        if (setup.stretchGoals.length > 0) {
+            _setStretchGoals(campaignId, setup.stretchGoals, inputProof);
+        }
+        if (setup.rewardTierNames.length > 0) {
+            _setRewardTiers(campaignId, setup, inputProof);
+        }
+        
         return campaignId;
     }
 
     /**
-     * @notice Make an encrypted pledge to a campaign
+     * @notice Make an encrypted pledge to a campaign, or top up an existing one
      * @dev FHEVM v0.9: Updated to use proper proof verification pattern
      * @param campaignId The campaign to pledge to
      * @param inAmount Encrypted pledge amount as externalEuint64
      * @param inputProof Proof for the encrypted input
-     * @dev msg.value must match the encrypted amount (verified off-chain)
+     * @dev The encrypted amount is bound to msg.value on-chain: a pledge whose
+     *      ciphertext does not equal msg.value / amountUnit counts as zero toward the goal
      */
     function pledge(
         uint256 campaignId,
         externalEuint64 inAmount,
         bytes calldata inputProof
     ) external payable nonReentrant {
-        Campaign storage campaign = campaigns[campaignId];
-        
-        require(campaign.active, "Campaign is not active");
-        require(block.timestamp < campaign.deadline, "Campaign has ended");
-        require(!hasPledged[campaignId][msg.sender], "Already pledged to this campaign");
+        _requireOpenForPledges(campaignId, FundingAsset.Native);
         require(msg.value > 0, "Must send ETH with pledge");
         
-        // v0.9: Convert external encrypted input to euint64 with proof verification
-        euint64 amount = FHE.fromExternal(inAmount, inputProof);
+        euint64 amount = _bindToDeposit(campaignId, inAmount, inputProof, msg.value);
         
         // Calculate platform fee (1% of pledge)
         uint256 platformFee = (msg.value * PLATFORM_FEE_PERCENT) / FEE_DENOMINATOR;
@@ -203,26 +507,183 @@ contract FHEDge is ZamaEthereumConfig {
             emit PlatformFeeTransferred(campaignId, platformOwner, platformFee);
         }
         
-        // Store the pledge (encrypted amount)
-        pledges[campaignId][msg.sender] = amount;
+        _recordPledge(campaignId, amount, amountAfterFee);
+    }
+
+    /**
+     * @notice Pledge to an ERC-20 campaign (approve this contract for `tokenAmount` first)
+     * @dev Same on-chain binding as ETH pledges: the ciphertext must equal the tokens transferred
+     * @param campaignId The campaign to pledge to
+     * @param inAmount Encrypted pledge amount as externalEuint64
+     * @param inputProof Proof for the encrypted input
+     * @param tokenAmount Token amount pulled with transferFrom
+     */
+    function pledgeToken(
+        uint256 campaignId,
+        externalEuint64 inAmount,
+        bytes calldata inputProof,
+        uint256 tokenAmount
+    ) external nonReentrant {
+        _requireOpenForPledges(campaignId, FundingAsset.ERC20);
+        require(tokenAmount > 0, "Must send tokens with pledge");
+        
+        IERC20Minimal token = IERC20Minimal(campaignFunding[campaignId].token);
+        require(token.transferFrom(msg.sender, address(this), tokenAmount), "Token transfer failed");
+        
+        euint64 amount = _bindToDeposit(campaignId, inAmount, inputProof, tokenAmount);
+        
+        uint256 platformFee = (tokenAmount * PLATFORM_FEE_PERCENT) / FEE_DENOMINATOR;
+        if (platformFee > 0) {
+            require(token.transfer(platformOwner, platformFee), "Platform fee transfer failed");
+            emit PlatformFeeTransferred(campaignId, platformOwner, platformFee);
+        }
+        
+        _recordPledge(campaignId, amount, tokenAmount - platformFee);
+    }
+
+    /**
+     * @notice Pledge to a confidential-token campaign (set this contract as operator first)
+     * @dev The amount never appears in cleartext: it is moved with confidentialTransferFrom and
+     *      the value actually transferred (zero on insufficient balance) is what counts toward
+     *      the goal. The 1% platform fee is computed and transferred encrypted as well.
+     * @param campaignId The campaign to pledge to
+     * @param inAmount Encrypted pledge amount as externalEuint64
+     * @param inputProof Proof for the encrypted input
+     */
+    function pledgeConfidential(
+        uint256 campaignId,
+        externalEuint64 inAmount,
+        bytes calldata inputProof
+    ) external nonReentrant {
+        _requireOpenForPledges(campaignId, FundingAsset.Confidential);
+        
+        address token = campaignFunding[campaignId].token;
+        euint64 requested = FHE.fromExternal(inAmount, inputProof);
+        FHE.allowTransient(requested, token);
+        euint64 transferred = IConfidentialToken(token).confidentialTransferFrom(msg.sender, address(this), requested);
+        
+        euint64 platformFee = FHE.div(FHE.mul(transferred, uint64(PLATFORM_FEE_PERCENT)), uint64(FEE_DENOMINATOR));
+        FHE.allowTransient(platformFee, token);
+        IConfidentialToken(token).confidentialTransfer(platformOwner, platformFee);
+        
+        // Track encrypted deposits (after fee) for claim, refund and withdrawal
+        euint64 deposit = FHE.sub(transferred, platformFee);
+        euint64 backerDeposit = hasPledged[campaignId][msg.sender]
+            ? FHE.add(confidentialPledges[campaignId][msg.sender], deposit)
+            : deposit;
+        confidentialPledges[campaignId][msg.sender] = backerDeposit;
+        FHE.allowThis(backerDeposit);
+        FHE.allow(backerDeposit, msg.sender);
+        
+        euint64 balance = FHE.isInitialized(confidentialBalances[campaignId])
+            ? FHE.add(confidentialBalances[campaignId], deposit)
+            : deposit;
+        confidentialBalances[campaignId] = balance;
+        FHE.allowThis(balance);
+        FHE.allow(balance, campaigns[campaignId].owner);
+        
+        _recordPledge(campaignId, transferred, 0);
+    }
+
+    function _requireOpenForPledges(uint256 campaignId, FundingAsset asset) internal view {
+        Campaign storage campaign = campaigns[campaignId];
+        require(campaign.active, "Campaign is not active");
+        require(block.timestamp < campaign.deadline, "Campaign has ended");
+        require(campaignFunding[campaignId].asset == asset, "Wrong funding asset");
+    }
+
+    /**
+     * @dev Encrypted equality check: only an amount that matches the cleartext deposit
+     *      (expressed in the campaign's amount unit) feeds into totalPledged, so a backer
+     *      cannot inflate the goal result
+     */
+    function _bindToDeposit(
+        uint256 campaignId,
+        externalEuint64 inAmount,
+        bytes calldata inputProof,
+        uint256 deposit
+    ) internal returns (euint64) {
+        uint256 unit = campaignFunding[campaignId].amountUnit;
+        require(deposit % unit == 0, "Amount not a multiple of unit");
+        require(deposit / unit <= type(uint64).max, "Pledge exceeds euint64 range");
+        
+        // v0.9: Convert external encrypted input to euint64 with proof verification
+        euint64 claimedAmount = FHE.fromExternal(inAmount, inputProof);
+        ebool matchesDeposit = FHE.eq(claimedAmount, uint64(deposit / unit));
+        return FHE.select(matchesDeposit, claimedAmount, FHE.asEuint64(0));
+    }
+
+    /**
+     * @dev Shared pledge bookkeeping for every funding asset
+     * @param amount Encrypted amount counted toward the goal
+     * @param amountAfterFee Cleartext deposit kept by the campaign (0 for confidential tokens)
+     */
+    function _recordPledge(uint256 campaignId, euint64 amount, uint256 amountAfterFee) internal {
+        Campaign storage campaign = campaigns[campaignId];
+        
+        // Store the pledge (encrypted amount); top-ups add to the backer's running total
+        euint64 backerTotal = hasPledged[campaignId][msg.sender]
+            ? FHE.add(pledges[campaignId][msg.sender], amount)
+            : amount;
+        pledges[campaignId][msg.sender] = backerTotal;
         hasPledged[campaignId][msg.sender] = true;
         
-        // Track actual ETH received by campaign (after platform fee)
-        ethPledges[campaignId][msg.sender] = amountAfterFee;
+        // Track actual funds received by campaign (after platform fee)
+        ethPledges[campaignId][msg.sender] += amountAfterFee;
         campaign.ethBalance += amountAfterFee;
         
         // Add to total using FHE addition (homomorphic operation)
         campaign.totalPledged = FHE.add(campaign.totalPledged, amount);
         
         // v0.9: Grant access permissions for encrypted data
-        FHE.allowThis(amount);
-        FHE.allow(amount, msg.sender);
+        FHE.allowThis(backerTotal);
+        FHE.allow(backerTotal, msg.sender);
+        FHE.allow(backerTotal, campaign.owner);  // Owner dashboard: per-backer pledges
         FHE.allowThis(campaign.totalPledged);
         FHE.allow(campaign.totalPledged, campaign.owner);
         
+        // Reward eligibility: only the backer and the owner (who sees pledges anyway) can decrypt it
+        if (rewardTierMinimums[campaignId].length > 0) {
+            euint8 rewardTier = _highestTier(backerTotal, rewardTierMinimums[campaignId]);
+            backerRewardTiers[campaignId][msg.sender] = rewardTier;
+            FHE.allowThis(rewardTier);
+            FHE.allow(rewardTier, msg.sender);
+            FHE.allow(rewardTier, campaign.owner);
+        }
+        
         emit PledgeMade(campaignId, msg.sender);
     }
 
+    /**
+     * @notice Withdraw your whole pledge while the campaign is still running
+     * @dev Subtracts the backer's encrypted total from totalPledged with FHE.sub.
+     *      The 1% platform fee was already transferred at pledge time and is not returned.
+     * @param campaignId The campaign to withdraw from
+     */
+    function withdrawPledge(uint256 campaignId) external nonReentrant {
+        Campaign storage campaign = campaigns[campaignId];
+        
+        require(hasPledged[campaignId][msg.sender], "No pledge found");
+        require(campaign.active, "Campaign is not active");
+        require(block.timestamp < campaign.deadline, "Campaign has ended");
+        
+        // Remove the backer's encrypted contribution from the running total
+        campaign.totalPledged = FHE.sub(campaign.totalPledged, pledges[campaignId][msg.sender]);
+        FHE.allowThis(campaign.totalPledged);
+        FHE.allow(campaign.totalPledged, campaign.owner);
+        
+        // Reset pledge state BEFORE transfer (reentrancy protection)
+        pledges[campaignId][msg.sender] = FHE.asEuint64(0);
+        FHE.allowThis(pledges[campaignId][msg.sender]);
+        backerRewardTiers[campaignId][msg.sender] = euint8.wrap(0);  // No tier until the next pledge
+        (uint256 withdrawAmount, euint64 encryptedWithdrawal) = _releaseDeposit(campaignId);
+        
+        // DIRECT TRANSFER: Send funds (after fee) back to pledger!
+        require(_payout(campaignId, msg.sender, withdrawAmount, encryptedWithdrawal), "Withdrawal failed");
+        
+        emit PledgeWithdrawn(campaignId, msg.sender);
+    }
+
     /**
      * @notice Check if campaign goal has been reached (returns encrypted boolean)
      * @dev FHEVM v0.9: Uses FHE.ge for encrypted comparison
@@ -240,6 +701,7 @@ contract FHEDge is ZamaEthereumConfig {
     /**
      * @notice Campaign owner claims funds - DIRECTLY transfers ALL campaign ETH to owner!
      * @dev Added nonReentrant modifier for security and Transfers campaign.ethBalance (all pledged ETH) directly to owner's wallet
+     * @dev All-or-nothing: requires the public reveal to be completed and the goal to be reached
      * @param campaignId The campaign to claim from
      */
     function claimCampaign(uint256 campaignId) external nonReentrant {
@@ -249,48 +711,266 @@ contract FHEDge is ZamaEthereumConfig {
         require(campaign.active, "Campaign is not active");
         require(block.timestamp >= campaign.deadline, "Campaign has not ended");
         require(!campaign.claimed, "Already claimed");
+        require(campaign.decryptionStatus == DecryptionStatus.Completed, "Results not revealed");
+        require(campaign.goalReached, "Goal not reached");
+        require(campaignMilestones[campaignId].length == 0, "Funds are released by milestone");
         
+        // Confidential-token balances are encrypted, so emptiness cannot be checked here
         uint256 amountToTransfer = campaign.ethBalance;
-        require(amountToTransfer > 0, "No funds to claim");
+        require(
+            amountToTransfer > 0 || campaignFunding[campaignId].asset == FundingAsset.Confidential,
+            "No funds to claim"
+        );
         
         // Mark as claimed BEFORE transfer (reentrancy protection)
         campaign.active = false;
         campaign.claimed = true;
         campaign.ethBalance = 0;
         
-        // DIRECT TRANSFER: Send all campaign ETH to owner's wallet!
-        (bool success, ) = payable(msg.sender).call{value: amountToTransfer}("");
-        require(success, "ETH transfer failed");
+        // DIRECT TRANSFER: Send all campaign funds to owner's wallet!
+        require(
+            _payout(campaignId, msg.sender, amountToTransfer, confidentialBalances[campaignId]),
+            "Transfer failed"
+        );
         
         emit CampaignClaimed(campaignId, msg.sender);
     }
 
     /**
-     * @notice Pledgers can request refund if campaign failed or was not claimed
+     * @dev Split a new campaign's funds into milestones released one tranche at a time. Part of
+     *      the creation transaction, so backers always know the release terms they pledge under.
+     *      Confidential-token campaigns are excluded: objections are weighted by cleartext deposits.
+     */
+    function _setMilestones(
+        uint256 campaignId,
+        string[] calldata titles,
+        uint8[] calldata sharePercents
+    ) internal {
+        require(campaignFunding[campaignId].asset != FundingAsset.Confidential, "Not for confidential tokens");
+        require(titles.length > 0 && titles.length <= MAX_MILESTONES, "Invalid milestone count");
+        require(titles.length == sharePercents.length, "Length mismatch");
+        
+        uint256 totalPercent;
+        for (uint256 i = 0; i < titles.length; i++) {
+            require(sharePercents[i] > 0, "Empty milestone share");
+            totalPercent += sharePercents[i];
+            campaignMilestones[campaignId].push(Milestone({title: titles[i], sharePercent: sharePercents[i]}));
+        }
+        require(totalPercent == 100, "Shares must total 100%");
+        
+        emit MilestonesSet(campaignId, titles.length);
+    }
+
+    /**
+     * @notice Ask for the next milestone's tranche, opening the backers' objection window
+     * @dev Same preconditions as claimCampaign; the first request fixes the raised amount
+     *      that tranches and pro-rata refunds are computed from
+     * @param campaignId The milestone campaign
+     */
+    function requestMilestoneRelease(uint256 campaignId) external {
+        Campaign storage campaign = campaigns[campaignId];
+        MilestoneProgress storage progress = milestoneProgress[campaignId];
+        
+        require(msg.sender == campaign.owner, "Only owner can release");
+        require(campaign.active, "Campaign is not active");
+        require(block.timestamp >= campaign.deadline, "Campaign has not ended");
+        require(campaign.decryptionStatus == DecryptionStatus.Completed, "Results not revealed");
+        require(campaign.goalReached, "Goal not reached");
+        require(campaignMilestones[campaignId].length > 0, "No milestones");
+        require(progress.objectionDeadline == 0, "Release already pending");
+        
+        if (progress.nextMilestone == 0) {
+            require(campaign.ethBalance > 0, "No funds to claim");
+            progress.raised = campaign.ethBalance;
+        }
+        progress.objectionDeadline = block.timestamp + MILESTONE_OBJECTION_PERIOD;
+        progress.objectionWeight = 0;
+        
+        emit MilestoneReleaseRequested(campaignId, progress.nextMilestone, progress.objectionDeadline);
+    }
+
+    /**
+     * @notice Object to the pending tranche; your deposit counts toward blocking it
+     * @param campaignId The milestone campaign
+     */
+    function objectToMilestone(uint256 campaignId) external {
+        MilestoneProgress storage progress = milestoneProgress[campaignId];
+        uint256 milestoneIndex = progress.nextMilestone;
+        
+        require(progress.objectionDeadline != 0, "No release pending");
+        require(block.timestamp < progress.objectionDeadline, "Objection window closed");
+        require(hasPledged[campaignId][msg.sender], "No pledge found");
+        require(!milestoneObjections[campaignId][milestoneIndex][msg.sender], "Already objected");
+        
+        milestoneObjections[campaignId][milestoneIndex][msg.sender] = true;
+        progress.objectionWeight += ethPledges[campaignId][msg.sender];
+        
+        emit MilestoneObjected(campaignId, milestoneIndex, msg.sender);
+    }
+
+    /**
+     * @notice Settle the pending tranche once its objection window has closed
+     * @dev Anyone can settle. Unless objections passed the threshold, the tranche (the whole
+     *      remaining balance for the last milestone) goes to the owner; otherwise no further
+     *      tranches are released and backers refund the remainder pro rata.
+     * @param campaignId The milestone campaign
+     */
+    function settleMilestone(uint256 campaignId) external nonReentrant {
+        Campaign storage campaign = campaigns[campaignId];
+        MilestoneProgress storage progress = milestoneProgress[campaignId];
+        uint256 milestoneIndex = progress.nextMilestone;
+        
+        require(progress.objectionDeadline != 0, "No release pending");
+        require(block.timestamp >= progress.objectionDeadline, "Objection window open");
+        progress.objectionDeadline = 0;
+        
+        if (progress.objectionWeight * 100 > progress.raised * MILESTONE_OBJECTION_THRESHOLD_PERCENT) {
+            progress.rejected = true;
+            campaign.active = false;
+            emit MilestoneRejected(campaignId, milestoneIndex);
+            return;
+        }
+        
+        // The last tranche also sweeps rounding leftovers
+        bool lastMilestone = milestoneIndex + 1 == campaignMilestones[campaignId].length;
+        uint256 amount = lastMilestone
+            ? campaign.ethBalance
+            : (progress.raised * campaignMilestones[campaignId][milestoneIndex].sharePercent) / 100;
+        
+        // Update state BEFORE transfer (reentrancy protection)
+        progress.nextMilestone++;
+        progress.released += amount;
+        campaign.ethBalance -= amount;
+        if (lastMilestone) {
+            campaign.active = false;
+            campaign.claimed = true;
+        }
+        
+        require(_payout(campaignId, campaign.owner, amount, euint64.wrap(0)), "Transfer failed");
+        
+        emit MilestoneReleased(campaignId, milestoneIndex, amount);
+        if (lastMilestone) emit CampaignClaimed(campaignId, campaign.owner);
+    }
+
+    /**
+     * @notice Get a campaign's milestones and release progress
+     * @param campaignId The campaign ID
+     * @return milestones Milestones in release order (empty if funds are claimed in one shot)
+     * @return progress Release progress
+     */
+    function getMilestones(uint256 campaignId) external view returns (
+        Milestone[] memory milestones,
+        MilestoneProgress memory progress
+    ) {
+        return (campaignMilestones[campaignId], milestoneProgress[campaignId]);
+    }
+
+    /**
+     * @notice Campaign owner cancels the campaign before funds are claimed
+     * @dev Deactivates the campaign so no further pledges are accepted; every backer
+     *      can then refund without waiting for the deadline or a reveal
+     * @param campaignId The campaign to cancel
+     */
+    function cancelCampaign(uint256 campaignId) external {
+        Campaign storage campaign = campaigns[campaignId];
+        
+        require(msg.sender == campaign.owner, "Only owner can cancel");
+        require(campaign.active, "Campaign is not active");
+        require(!campaign.claimed, "Already claimed");
+        require(campaign.decryptionStatus != DecryptionStatus.Completed, "Results already revealed");
+        
+        campaign.active = false;
+        campaign.cancelled = true;
+        
+        emit CampaignCancelled(campaignId, msg.sender);
+    }
+
+    /**
+     * @notice Pledgers can request refund if the campaign failed to reach its goal
      * @param campaignId The campaign to get refund from
      * @dev Added nonReentrant modifier for security
+     * @dev All-or-nothing: only available once the revealed result shows the goal was missed,
+     *      or at any time once the owner has cancelled the campaign
      * @dev Returns the EXACT ETH amount you pledged - direct transfer back to you!
+     *      After backers reject a milestone, returns your pro-rata share of the unreleased funds.
      */
     function refund(uint256 campaignId) external nonReentrant {
         Campaign storage campaign = campaigns[campaignId];
         
         require(hasPledged[campaignId][msg.sender], "No pledge found");
-        require(block.timestamp >= campaign.deadline, "Campaign has not ended");
         require(!campaign.claimed, "Campaign was claimed");
+        if (!campaign.cancelled && !milestoneProgress[campaignId].rejected) {
+            require(block.timestamp >= campaign.deadline, "Campaign has not ended");
+            require(campaign.decryptionStatus == DecryptionStatus.Completed, "Results not revealed");
+            require(!campaign.goalReached, "Goal was reached");
+        }
         
-        uint256 refundAmount = ethPledges[campaignId][msg.sender];
-        require(refundAmount > 0, "No ETH to refund");
+        require(
+            ethPledges[campaignId][msg.sender] > 0 || campaignFunding[campaignId].asset == FundingAsset.Confidential,
+            "Nothing to refund"
+        );
         
         // Reset pledge status BEFORE transfer (reentrancy protection)
+        (uint256 refundAmount, euint64 encryptedRefund) = _releaseDeposit(campaignId);
+        
+        // DIRECT TRANSFER: Send funds back to pledger!
+        require(_payout(campaignId, msg.sender, refundAmount, encryptedRefund), "Refund failed");
+        
+        emit RefundIssued(campaignId, msg.sender);
+    }
+
+    /**
+     * @dev Clear the caller's deposit and take it out of the campaign balance
+     * @return amount Cleartext deposit (ETH or ERC-20)
+     * @return encryptedAmount Encrypted deposit (confidential tokens only)
+     */
+    function _releaseDeposit(uint256 campaignId) internal returns (uint256 amount, euint64 encryptedAmount) {
+        Campaign storage campaign = campaigns[campaignId];
+        
+        amount = ethPledges[campaignId][msg.sender];
         hasPledged[campaignId][msg.sender] = false;
         ethPledges[campaignId][msg.sender] = 0;
-        campaign.ethBalance -= refundAmount;
         
-        // DIRECT TRANSFER: Send ETH back to pledger!
-        (bool success, ) = payable(msg.sender).call{value: refundAmount}("");
-        require(success, "ETH refund failed");
+        // Rejected milestones: only the unreleased part of each deposit is left
+        MilestoneProgress storage progress = milestoneProgress[campaignId];
+        if (progress.rejected) {
+            amount = (amount * (progress.raised - progress.released)) / progress.raised;
+        }
+        campaign.ethBalance -= amount;
         
-        emit RefundIssued(campaignId, msg.sender);
+        if (campaignFunding[campaignId].asset == FundingAsset.Confidential) {
+            encryptedAmount = confidentialPledges[campaignId][msg.sender];
+            confidentialPledges[campaignId][msg.sender] = euint64.wrap(0);
+            euint64 balance = FHE.sub(confidentialBalances[campaignId], encryptedAmount);
+            confidentialBalances[campaignId] = balance;
+            FHE.allowThis(balance);
+            FHE.allow(balance, campaign.owner);
+        }
+    }
+
+    /**
+     * @dev Send campaign funds in the campaign's funding asset
+     * @return success False if a native or ERC-20 transfer failed
+     */
+    function _payout(
+        uint256 campaignId,
+        address to,
+        uint256 amount,
+        euint64 encryptedAmount
+    ) internal returns (bool success) {
+        FundingConfig storage funding = campaignFunding[campaignId];
+        
+        if (funding.asset == FundingAsset.Confidential) {
+            if (FHE.isInitialized(encryptedAmount)) {
+                FHE.allowTransient(encryptedAmount, funding.token);
+                IConfidentialToken(funding.token).confidentialTransfer(to, encryptedAmount);
+            }
+            return true;
+        }
+        if (funding.asset == FundingAsset.ERC20) {
+            return IERC20Minimal(funding.token).transfer(to, amount);
+        }
+        (success, ) = payable(to).call{value: amount}("");
     }
 
     /**
@@ -343,7 +1023,8 @@ contract FHEDge is ZamaEthereumConfig {
         bool claimed,
         string memory title,
         string memory description,
-        uint256 ethBalance
+        uint256 ethBalance,
+        bool cancelled
     ) {
         Campaign storage campaign = campaigns[campaignId];
         return (
@@ -353,20 +1034,21 @@ contract FHEDge is ZamaEthereumConfig {
             campaign.claimed,
             campaign.title,
             campaign.description,
-            campaign.ethBalance
+            campaign.ethBalance,
+            campaign.cancelled
         );
     }
 
     /**
      * @notice Request public decryption of campaign results (Step 1 of 3)
-     * @dev Owner can request decryption after deadline to publicly reveal results
+     * @dev Owner can request decryption after deadline to publicly reveal results;
+     *      once revealGracePeriod has passed, anyone can trigger the reveal
      * @param campaignId The campaign ID to decrypt
      */
     function requestDecryptCampaignResult(uint256 campaignId) external {
         Campaign storage campaign = campaigns[campaignId];
         
-        require(msg.sender == campaign.owner, "Only owner can request decryption");
-        require(block.timestamp >= campaign.deadline, "Campaign not ended");
+        _requireRevealAllowed(campaign);
         require(campaign.decryptionStatus == DecryptionStatus.NotRequested, "Decryption already requested");
         
         // Get the encrypted goal reached status
@@ -380,6 +1062,9 @@ contract FHEDge is ZamaEthereumConfig {
         bytes32 totalPledgedHandle = FHE.toBytes32(campaign.totalPledged);
         bytes32 goalReachedHandle = FHE.toBytes32(goalReachedEncrypted);
         
+        // Keep the compared ciphertext so the callback (or a resumed reveal) uses the same handles
+        campaign.encryptedGoalReached = goalReachedEncrypted;
+        
         // Update status
         campaign.decryptionStatus = DecryptionStatus.InProgress;
         
@@ -404,10 +1089,9 @@ contract FHEDge is ZamaEthereumConfig {
         
         // Rebuild handles list in SAME ORDER as requestDecryptCampaignResult
         // CRITICAL: Order must match for proof verification
-        ebool goalReachedEncrypted = isGoalReached(campaignId);
         bytes32[] memory cts = new bytes32[](2);
         cts[0] = FHE.toBytes32(campaign.totalPledged);
-        cts[1] = FHE.toBytes32(goalReachedEncrypted);
+        cts[1] = FHE.toBytes32(campaign.encryptedGoalReached);
         
         // Verify the decryption proof
         // This ensures cleartexts are authentic decryptions of the ciphertexts
@@ -425,11 +1109,238 @@ contract FHEDge is ZamaEthereumConfig {
         emit DecryptionCompleted(campaignId, totalPledged, goalReached);
     }
 
+    /**
+     * @notice Get the ciphertext handles marked for public decryption (Step 2 input)
+     * @dev Lets anyone resume a reveal stuck in InProgress without the original receipt
+     * @param campaignId The campaign ID
+     * @return totalPledgedHandle Handle of the encrypted total pledged
+     * @return goalReachedHandle Handle of the encrypted goal comparison
+     */
+    function getDecryptionHandles(uint256 campaignId) external view returns (
+        bytes32 totalPledgedHandle,
+        bytes32 goalReachedHandle
+    ) {
+        Campaign storage campaign = campaigns[campaignId];
+        require(campaign.decryptionStatus != DecryptionStatus.NotRequested, "Decryption not requested");
+        return (
+            FHE.toBytes32(campaign.totalPledged),
+            FHE.toBytes32(campaign.encryptedGoalReached)
+        );
+    }
+
+    /**
+     * @dev Reveals open to the owner at the deadline and to anyone after the grace period
+     */
+    function _requireRevealAllowed(Campaign storage campaign) internal view {
+        require(
+            msg.sender == campaign.owner || block.timestamp >= campaign.deadline + revealGracePeriod,
+            "Only owner can request decryption"
+        );
+        require(block.timestamp >= campaign.deadline, "Campaign not ended");
+        require(!campaign.cancelled, "Campaign was cancelled");
+    }
+
+    /**
+     * @notice Set the encrypted stretch thresholds of a campaign created without them
+     * @dev Thresholds stay private; only the index of the highest one reached is ever revealed
+     * @param campaignId The campaign to add stretch goals to
+     * @param inThresholds Encrypted thresholds, in units of amountUnit, ascending from the goal
+     * @param inputProof Proof covering every threshold
+     */
+    function addStretchGoals(
+        uint256 campaignId,
+        externalEuint64[] calldata inThresholds,
+        bytes calldata inputProof
+    ) external {
+        Campaign storage campaign = campaigns[campaignId];
+        
+        require(msg.sender == campaign.owner, "Only owner can add stretch goals");
+        require(campaign.active && block.timestamp < campaign.deadline, "Campaign has ended");
+        require(inThresholds.length > 0, "No stretch goals");
+        
+        _setStretchGoals(campaignId, inThresholds, inputProof);
+    }
+
+    /**
+     * @dev Store a campaign's stretch thresholds, once. Each must be above the previous one and
+     *      the first above the goal: _pushAscending makes any that isn't (and those after it)
+     *      unreachable, so the revealed tier is always the highest threshold reached.
+     */
+    function _setStretchGoals(
+        uint256 campaignId,
+        externalEuint64[] calldata inThresholds,
+        bytes calldata inputProof
+    ) internal {
+        euint64[] storage thresholds = stretchGoals[campaignId];
+        
+        require(thresholds.length == 0, "Stretch goals already set");
+        require(inThresholds.length <= MAX_STRETCH_GOALS, "Too many stretch goals");
+        
+        euint64 previous = campaigns[campaignId].goal;
+        for (uint256 i = 0; i < inThresholds.length; i++) {
+            previous = _pushAscending(thresholds, FHE.fromExternal(inThresholds[i], inputProof), previous);
+            FHE.allow(previous, msg.sender);
+        }
+        
+        emit StretchGoalsAdded(campaignId, thresholds.length);
+    }
+
+    /**
+     * @dev Append `value` to an encrypted ladder that must strictly ascend from `previous`.
+     *      A ciphertext can't be rejected without decrypting it, so a value not above `previous`
+     *      is stored as unreachable (the euint64 maximum), and so is every rung after it.
+     * @return rung The stored rung, the `previous` of the next one
+     */
+    function _pushAscending(
+        euint64[] storage ladder,
+        euint64 value,
+        euint64 previous
+    ) internal returns (euint64 rung) {
+        rung = FHE.select(FHE.gt(value, previous), value, FHE.asEuint64(type(uint64).max));
+        FHE.allowThis(rung);
+        ladder.push(rung);
+    }
+
+    /**
+     * @dev Encrypted index of the highest threshold `amount` reaches (1-based, 0 for none):
+     *      each threshold reached selects its index, so thresholds must be ascending
+     */
+    function _highestTier(euint64 amount, euint64[] storage thresholds) internal returns (euint8 tier) {
+        tier = FHE.asEuint8(0);
+        for (uint256 i = 0; i < thresholds.length; i++) {
+            tier = FHE.select(FHE.ge(amount, thresholds[i]), FHE.asEuint8(uint8(i + 1)), tier);
+        }
+    }
+
+    /**
+     * @notice Request public decryption of the highest stretch tier reached (Step 1 of 3)
+     * @dev Independent of the goal reveal, with the same permissions. The tier is computed
+     *      encrypted against the thresholds, so nothing but the tier leaks.
+     * @param campaignId The campaign ID
+     */
+    function requestStretchTierReveal(uint256 campaignId) external {
+        Campaign storage campaign = campaigns[campaignId];
+        euint64[] storage thresholds = stretchGoals[campaignId];
+        StretchTierReveal storage reveal = stretchTierReveals[campaignId];
+        
+        _requireRevealAllowed(campaign);
+        require(thresholds.length > 0, "No stretch goals");
+        require(reveal.status == DecryptionStatus.NotRequested, "Decryption already requested");
+        
+        euint8 tier = _highestTier(campaign.totalPledged, thresholds);
+        FHE.allowThis(tier);
+        FHE.makePubliclyDecryptable(tier);
+        
+        reveal.encryptedTier = tier;
+        reveal.status = DecryptionStatus.InProgress;
+        
+        emit StretchTierRevealRequested(campaignId, FHE.toBytes32(tier));
+    }
+
+    /**
+     * @notice Verify and store the decrypted stretch tier (Step 3 of 3)
+     * @dev Anyone can call this after off-chain decryption of the tier handle
+     * @param campaignId The campaign ID
+     * @param cleartexts ABI-encoded decrypted value (uint8 tierReached)
+     * @param decryptionProof Proof from Zama KMS that validates the decryption
+     */
+    function callbackStretchTierReveal(
+        uint256 campaignId,
+        bytes memory cleartexts,
+        bytes memory decryptionProof
+    ) external {
+        StretchTierReveal storage reveal = stretchTierReveals[campaignId];
+        
+        require(reveal.status == DecryptionStatus.InProgress, "Decryption not in progress");
+        
+        bytes32[] memory cts = new bytes32[](1);
+        cts[0] = FHE.toBytes32(reveal.encryptedTier);
+        FHE.checkSignatures(cts, cleartexts, decryptionProof);
+        
+        uint8 tierReached = abi.decode(cleartexts, (uint8));
+        reveal.tierReached = tierReached;
+        reveal.status = DecryptionStatus.Completed;
+        
+        emit StretchTierRevealed(campaignId, tierReached);
+    }
+
+    /**
+     * @notice Get a campaign's stretch goal count and tier reveal state
+     * @param campaignId The campaign ID
+     * @return count Number of encrypted stretch thresholds
+     * @return status Status of the tier reveal
+     * @return tierReached Highest stretch tier reached (0 for none; valid once Completed)
+     * @return tierHandle Handle to public-decrypt while InProgress (zero before the request)
+     */
+    function getStretchGoals(uint256 campaignId) external view returns (
+        uint256 count,
+        DecryptionStatus status,
+        uint8 tierReached,
+        bytes32 tierHandle
+    ) {
+        StretchTierReveal storage reveal = stretchTierReveals[campaignId];
+        return (
+            stretchGoals[campaignId].length,
+            reveal.status,
+            reveal.tierReached,
+            FHE.toBytes32(reveal.encryptedTier)
+        );
+    }
+
+    /**
+     * @dev Define a new campaign's reward tiers within its creation transaction, since tiers
+     *      are computed as pledges arrive. Each minimum is either public (trivially encrypted
+     *      on-chain) or an encrypted input. Public minimums must strictly ascend; encrypted ones
+     *      can't be compared in the clear, so _pushAscending makes a tier unreachable instead
+     *      when its minimum isn't above the previous tier's.
+     */
+    function _setRewardTiers(uint256 campaignId, CampaignSetup calldata setup, bytes calldata inputProof) internal {
+        string[] calldata names = setup.rewardTierNames;
+        require(names.length <= MAX_REWARD_TIERS, "Invalid reward tier count");
+        require(
+            names.length == setup.rewardTierPublicMinimums.length &&
+                names.length == setup.rewardTierEncryptedMinimums.length,
+            "Length mismatch"
+        );
+        
+        euint64 previous = FHE.asEuint64(0);
+        uint64 previousPublicMinimum = 0;
+        for (uint256 i = 0; i < names.length; i++) {
+            uint64 publicMinimum = setup.rewardTierPublicMinimums[i];
+            if (publicMinimum > 0) {
+                require(publicMinimum > previousPublicMinimum, "Reward tiers not ascending");
+                previousPublicMinimum = publicMinimum;
+            }
+            euint64 minimum = publicMinimum > 0
+                ? FHE.asEuint64(publicMinimum)
+                : FHE.fromExternal(setup.rewardTierEncryptedMinimums[i], inputProof);
+            previous = _pushAscending(rewardTierMinimums[campaignId], minimum, previous);
+            rewardTiers[campaignId].push(RewardTier({name: names[i], publicMinimum: publicMinimum}));
+        }
+        
+        emit RewardTiersSet(campaignId, names.length);
+    }
+
+    /**
+     * @notice Get a campaign's reward tiers and a backer's encrypted tier
+     * @param campaignId The campaign ID
+     * @param backer The backer address
+     * @return tiers Reward tiers, lowest first (empty if the campaign has none)
+     * @return backerTier Encrypted 1-based tier index (0: none), decryptable by the backer
+     *         and the owner; uninitialized until the backer pledges
+     */
+    function getRewardTiers(uint256 campaignId, address backer) external view returns (
+        RewardTier[] memory tiers,
+        euint8 backerTier
+    ) {
+        return (rewardTiers[campaignId], backerRewardTiers[campaignId][backer]);
+    }
+
     /**
      * @notice Get decrypted campaign results (if decryption is complete)
      * @param campaignId The campaign ID
      * @return status Current decryption status
-     * @return totalPledged Decrypted total pledged amount (0 if not decrypted)
+     * @return totalPledged Decrypted total pledged, in the campaign's amount unit (0 if not decrypted)
      * @return goalReached Whether goal was reached (false if not decrypted)
      */
     function getDecryptedResults(uint256 campaignId) external view returns (
@@ -444,4 +1355,105 @@ contract FHEDge is ZamaEthereumConfig {
             campaign.goalReached
         );
     }
+
+    /**
+     * @notice Get the public state of several campaigns in one call
+     * @dev Lets clients refresh many campaigns without one RPC round trip per getter
+     * @param campaignIds Campaign IDs to load (IDs at or above nextCampaignId revert)
+     * @param account Address whose hasPledged flag is included (zero address to skip)
+     * @return summaries Campaign summaries in the same order as `campaignIds`
+     */
+    function getCampaignSummaries(
+        uint256[] calldata campaignIds,
+        address account
+    ) external view returns (CampaignSummary[] memory summaries) {
+        summaries = new CampaignSummary[](campaignIds.length);
+        for (uint256 i = 0; i < campaignIds.length; i++) {
+            summaries[i] = _campaignSummary(campaignIds[i], account);
+        }
+    }
+
+    /**
+     * @notice Get a page of campaigns in ID order
+     * @param offset Index of the first campaign ID to return
+     * @param limit Maximum number of campaigns to return (at most MAX_PAGE_SIZE)
+     * @param account Address whose hasPledged flag is included (zero address to skip)
+     * @return page Campaign summaries (empty once offset reaches total)
+     * @return total Total number of campaigns
+     */
+    function getCampaignsPage(
+        uint256 offset,
+        uint256 limit,
+        address account
+    ) external view returns (CampaignSummary[] memory page, uint256 total) {
+        total = nextCampaignId;
+        page = new CampaignSummary[](_pageLength(total, offset, limit));
+        for (uint256 i = 0; i < page.length; i++) {
+            page[i] = _campaignSummary(offset + i, account);
+        }
+    }
+
+    /**
+     * @notice Get a page of the campaigns created by `owner`, oldest first
+     * @param owner Campaign creator
+     * @param offset Index into the owner's campaigns of the first one to return
+     * @param limit Maximum number of campaigns to return (at most MAX_PAGE_SIZE)
+     * @param account Address whose hasPledged flag is included (zero address to skip)
+     * @return page Campaign summaries (empty once offset reaches total)
+     * @return total Number of campaigns created by `owner`
+     */
+    function getCampaignsByOwner(
+        address owner,
+        uint256 offset,
+        uint256 limit,
+        address account
+    ) external view returns (CampaignSummary[] memory page, uint256 total) {
+        uint256[] storage ids = ownerCampaigns[owner];
+        total = ids.length;
+        page = new CampaignSummary[](_pageLength(total, offset, limit));
+        for (uint256 i = 0; i < page.length; i++) {
+            page[i] = _campaignSummary(ids[offset + i], account);
+        }
+    }
+
+    /**
+     * @dev Number of items a page starting at `offset` holds
+     */
+    function _pageLength(uint256 total, uint256 offset, uint256 limit) internal pure returns (uint256) {
+        require(limit <= MAX_PAGE_SIZE, "Page size too large");
+        if (offset >= total) return 0;
+        uint256 remaining = total - offset;
+        return remaining < limit ? remaining : limit;
+    }
+
+    /**
+     * @dev Build the public summary of one campaign for `account`
+     */
+    function _campaignSummary(
+        uint256 campaignId,
+        address account
+    ) internal view returns (CampaignSummary memory summary) {
+        require(campaignId < nextCampaignId, "Campaign does not exist");
+        Campaign storage campaign = campaigns[campaignId];
+        FundingConfig storage funding = campaignFunding[campaignId];
+
+        summary.campaignId = campaignId;
+        summary.owner = campaign.owner;
+        summary.deadline = campaign.deadline;
+        summary.active = campaign.active;
+        summary.claimed = campaign.claimed;
+        summary.cancelled = campaign.cancelled;
+        summary.title = campaign.title;
+        summary.description = campaign.description;
+        summary.ethBalance = campaign.ethBalance;
+        summary.asset = funding.asset;
+        summary.token = funding.token;
+        summary.amountUnit = funding.amountUnit;
+        summary.hasPledged = hasPledged[campaignId][account];
+        summary.decryptionStatus = campaign.decryptionStatus;
+        summary.decryptedTotalPledged = campaign.decryptedTotalPledged;
+        summary.goalReached = campaign.goalReached;
+        summary.milestoneCount = uint8(campaignMilestones[campaignId].length);
+        summary.milestonesRejected = milestoneProgress[campaignId].rejected;
+    }
 }
\ No newline at end of file
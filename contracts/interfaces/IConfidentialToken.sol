@@ -0,0 +1,22 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import {euint64} from "@fhevm/solidity/lib/FHE.sol";
+
+/**
+ * @title IConfidentialToken - Subset of ERC-7984 used by FHEDge confidential campaigns
+ * @dev Balances and transfer amounts are euint64 handles. The caller must grant the token
+ *      (transient) ACL access to any amount it passes in; the returned amount is the value
+ *      actually moved (encrypted zero if the sender's balance was insufficient).
+ */
+interface IConfidentialToken {
+    function confidentialTransfer(address to, euint64 amount) external returns (euint64 transferred);
+
+    function confidentialTransferFrom(address from, address to, euint64 amount) external returns (euint64 transferred);
+
+    function setOperator(address operator, uint48 until) external;
+
+    function isOperator(address holder, address spender) external view returns (bool);
+
+    function confidentialBalanceOf(address account) external view returns (euint64);
+}
@@ -0,0 +1,87 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import {FHE, euint64, ebool} from "@fhevm/solidity/lib/FHE.sol";
+import {ZamaEthereumConfig} from "@fhevm/solidity/config/ZamaConfig.sol";
+
+/**
+ * @title MockConfidentialToken - Minimal ERC-7984-style token for tests and local development
+ * @dev Encrypted balances with operator-based transferFrom. A transfer larger than the
+ *      sender's balance moves an encrypted zero instead of reverting, as in ERC-7984.
+ */
+contract MockConfidentialToken is ZamaEthereumConfig {
+    string public name;
+    string public symbol;
+    uint8 public immutable decimals;
+
+    mapping(address => euint64) private _balances;
+    mapping(address => mapping(address => uint48)) private _operators;
+
+    event ConfidentialTransfer(address indexed from, address indexed to, euint64 indexed amount);
+    event OperatorSet(address indexed holder, address indexed operator, uint48 until);
+
+    constructor(string memory name_, string memory symbol_, uint8 decimals_) {
+        name = name_;
+        symbol = symbol_;
+        decimals = decimals_;
+    }
+
+    /**
+     * @notice Mint a cleartext amount (test helper)
+     */
+    function mint(address to, uint64 amount) external {
+        euint64 balance = FHE.isInitialized(_balances[to])
+            ? FHE.add(_balances[to], amount)
+            : FHE.asEuint64(amount);
+        _setBalance(to, balance);
+    }
+
+    function confidentialBalanceOf(address account) external view returns (euint64) {
+        return _balances[account];
+    }
+
+    function setOperator(address operator, uint48 until) external {
+        _operators[msg.sender][operator] = until;
+        emit OperatorSet(msg.sender, operator, until);
+    }
+
+    function isOperator(address holder, address spender) public view returns (bool) {
+        return holder == spender || block.timestamp <= _operators[holder][spender];
+    }
+
+    function confidentialTransfer(address to, euint64 amount) external returns (euint64) {
+        require(FHE.isSenderAllowed(amount), "Amount not allowed");
+        return _transfer(msg.sender, to, amount);
+    }
+
+    function confidentialTransferFrom(address from, address to, euint64 amount) external returns (euint64) {
+        require(FHE.isSenderAllowed(amount), "Amount not allowed");
+        require(isOperator(from, msg.sender), "Not an operator");
+        return _transfer(from, to, amount);
+    }
+
+    function _transfer(address from, address to, euint64 amount) internal returns (euint64 transferred) {
+        euint64 fromBalance = FHE.isInitialized(_balances[from]) ? _balances[from] : FHE.asEuint64(0);
+        ebool sufficient = FHE.le(amount, fromBalance);
+        transferred = FHE.select(sufficient, amount, FHE.asEuint64(0));
+
+        _setBalance(from, FHE.sub(fromBalance, transferred));
+        euint64 toBalance = FHE.isInitialized(_balances[to])
+            ? FHE.add(_balances[to], transferred)
+            : transferred;
+        _setBalance(to, toBalance);
+
+        FHE.allowThis(transferred);
+        FHE.allow(transferred, from);
+        FHE.allow(transferred, to);
+        FHE.allowTransient(transferred, msg.sender);
+
+        emit ConfidentialTransfer(from, to, transferred);
+    }
+
+    function _setBalance(address account, euint64 balance) internal {
+        _balances[account] = balance;
+        FHE.allowThis(balance);
+        FHE.allow(balance, account);
+    }
+}
@@ -0,0 +1,41 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+/**
+ * @title ReentrantBacker - Contract wallet that re-enters FHEDge on ETH receipt (tests only)
+ * @dev `execute` forwards calls (pledge, createCampaign, refund, ...) so this contract is
+ *      msg.sender; the first ETH payout it receives replays `reentryCall` against the
+ *      target and records whether it went through.
+ */
+contract ReentrantBacker {
+    address public immutable target;
+
+    bytes public reentryCall;
+    bool public reentryAttempted;
+    bool public reentrySucceeded;
+    bytes public reentryRevertData;
+
+    constructor(address target_) {
+        target = target_;
+    }
+
+    function setReentryCall(bytes calldata data) external {
+        reentryCall = data;
+    }
+
+    function execute(bytes calldata data) external payable returns (bytes memory result) {
+        bool success;
+        (success, result) = target.call{value: msg.value}(data);
+        if (!success) {
+            assembly {
+                revert(add(result, 32), mload(result))
+            }
+        }
+    }
+
+    receive() external payable {
+        if (reentryCall.length == 0 || reentryAttempted) return;
+        reentryAttempted = true;
+        (reentrySucceeded, reentryRevertData) = target.call(reentryCall);
+    }
+}
@@ -1,64 +1,83 @@
 import { ethers } from 'ethers';
-import { useEffect, useState } from 'react';
+import { useEffect, useRef, useState } from 'react';
 import CampaignList from './components/CampaignList';
 import CreateCampaign from './components/CreateCampaign';
 import Dashboard from './components/Dashboard';
+import MyPledges from './components/MyPledges';
 import PledgeToCampaign from './components/PledgeToCampaign';
 import ViewCampaign from './components/ViewCampaign';
-import { initializeFheInstance } from './fhevmInstance';
-
-// Contract ABI - UPDATED FOR FHE v0.9+ with Public Decryption Support
-const CONTRACT_ABI = [
-  "function nextCampaignId() view returns (uint256)",
-  "function createCampaign(bytes32 inGoal, bytes calldata inputProof, uint256 deadline, string calldata title, string calldata description) returns (uint256)",
-  "function pledge(uint256 campaignId, bytes32 inAmount, bytes calldata inputProof) payable",
-  "function getCampaignInfo(uint256 campaignId) view returns (address owner, uint256 deadline, bool active, bool claimed, string title, string description, uint256 ethBalance)",
-  "function claimCampaign(uint256 campaignId)",
-  "function refund(uint256 campaignId)",
-  "function hasPledged(uint256 campaignId, address pledger) view returns (bool)",
-  "function platformOwner() view returns (address)",
-  // Public Decryption Functions (NEW)
-  "function requestDecryptCampaignResult(uint256 campaignId)",
-  "function callbackDecryptCampaignResult(uint256 campaignId, bytes memory cleartexts, bytes memory decryptionProof)",
-  "function getDecryptedResults(uint256 campaignId) view returns (uint8 status, uint64 totalPledged, bool goalReached)",
-  // Events
-  "event CampaignCreated(uint256 indexed campaignId, address indexed owner, string title, uint256 deadline)",
-  "event PledgeMade(uint256 indexed campaignId, address indexed pledger)",
-  "event CampaignClaimed(uint256 indexed campaignId, address indexed owner)",
-  "event RefundIssued(uint256 indexed campaignId, address indexed pledger)",
-  "event PlatformFeeTransferred(uint256 indexed campaignId, address indexed platformOwner, uint256 feeAmount)",
-  // Decryption Events (NEW)
-  "event DecryptionRequested(uint256 indexed campaignId, bytes32 totalPledgedHandle, bytes32 goalReachedHandle)",
-  "event DecryptionCompleted(uint256 indexed campaignId, uint64 decryptedTotalPledged, bool goalReached)"
-];
-
-// Contract address from environment variable
-const CONTRACT_ADDRESS = import.meta.env.VITE_CONTRACT_ADDRESS || "0x3cEdff9D57EC046BeA6E2787d3BB07d07778B0F9";
-const SEPOLIA_CHAIN_ID = "0xaa36a7"; // 11155111
+import { clearUserDecryptAuthorization, loadFheInstance, setFheNetwork } from './fhevmInstance';
+import { FUNDING_ASSETS, NATIVE_ASSET, loadTokenMetadata } from './tokens';
+import {
+  CAMPAIGN_PAGE_SIZE,
+  PLEDGE_OUTCOMES,
+  loadCampaignIndex,
+  loadCampaignPage,
+  loadCampaignSummaries,
+  loadOwnerCampaigns,
+  loadPledgedCampaigns
+} from './campaignIndex';
+import { watchCampaignEvents } from './campaignEvents';
+import { FHEDGE_ABI } from './abi';
+import {
+  DEFAULT_NETWORK,
+  NOT_DEPLOYED_MESSAGE,
+  SUPPORTED_NETWORKS,
+  getAddChainParams,
+  getNetwork,
+  isSameDeployment,
+  unsupportedNetworkMessage
+} from './networks';
+import { goBack, navigate, paths, useRoute } from './router';
+
+// Tab shown for each list route
+const ROUTE_TABS = { myCampaigns: 'mine', myPledges: 'pledges' };
+
+// Merge campaigns into an ID-ordered list, replacing any copy already in it
+const mergeCampaigns = (list, updates) => {
+  const ids = new Set(updates.map(campaign => campaign.id));
+  return [...list.filter(campaign => !ids.has(campaign.id)), ...updates].sort((a, b) => a.id - b.id);
+};
 
 function App() {
   // State management
   const [account, setAccount] = useState(null);
-  const [contract, setContract] = useState(null);
+  const [network, setNetwork] = useState(null); // Registry entry for the wallet's (or read-only) chain
+  const [contract, setContract] = useState(null); // Signer-bound once connected, read-only before
   const [fhevmInstance, setFhevmInstance] = useState(null);
   const [loading, setLoading] = useState(false);
   const [status, setStatus] = useState({ type: '', message: '' });
   const [theme, setTheme] = useState(localStorage.getItem('theme') || 'dark');
 
   // Modal states
-  const [showCreateModal, setShowCreateModal] = useState(false);
   const [showPledgeModal, setShowPledgeModal] = useState(false);
-  const [showViewModal, setShowViewModal] = useState(false);
   const [selectedCampaign, setSelectedCampaign] = useState(null);
 
-  // Tab state
-  const [activeTab, setActiveTab] = useState('all'); // 'all' or 'mine'
+  // Route state: /, /campaign/:id, /create, /me/campaigns or /me/pledges
+  const route = useRoute();
+  const activeTab = ROUTE_TABS[route.name] || 'all'; // 'all', 'mine' or 'pledges'
+  const [routeCampaign, setRouteCampaign] = useState(null); // { id, campaign } for /campaign/:id, campaign null if missing
 
-  // Campaigns data
+  // Campaigns data: the pages loaded so far of all campaigns and of the account's own, with
+  // how many exist on-chain, and every campaign the account backs
   const [campaigns, setCampaigns] = useState([]);
+  const [campaignTotal, setCampaignTotal] = useState(0);
   const [myCampaigns, setMyCampaigns] = useState([]);
+  const [myCampaignTotal, setMyCampaignTotal] = useState(0);
+  const [myPledges, setMyPledges] = useState([]);
   const [loadingCampaigns, setLoadingCampaigns] = useState(false);
+  const [loadingMoreCampaigns, setLoadingMoreCampaigns] = useState(false);
+  const [loadingPledges, setLoadingPledges] = useState(false);
   const [lastRefresh, setLastRefresh] = useState(Date.now());
+  const revealGracePeriod = useRef(0);
+  // Campaigns read so far per list (the next page's offset); refs so polling sees the latest
+  const loadedCounts = useRef({ all: 0, mine: 0 });
+
+  // Campaign page: the indexed copy once loaded (kept current by live events), the direct read until then
+  const viewedCampaign = route.name === 'campaign'
+    ? campaigns.find(campaign => campaign.id === route.id) ||
+      (routeCampaign?.id === route.id ? routeCampaign.campaign : undefined)
+    : undefined;
 
   // Apply theme
   useEffect(() => {
@@ -70,39 +89,84 @@ function App() {
     setTheme(prev => prev === 'dark' ? 'light' : 'dark');
   };
 
-  // Initialize FHE SDK on mount
+  // Browse read-only until a wallet connects (and again after it disconnects)
   useEffect(() => {
-    initFHEVM();
-  }, []);
+    if (!account) openReadOnly();
+  }, [account]);
 
   // Load campaigns when contract is ready
   useEffect(() => {
-    if (contract && account) {
+    if (contract) {
       loadCampaigns();
     }
-  }, [contract, account]);
+  }, [contract]);
 
-  // Auto-refresh campaigns every 5 minutes when connected
+  // Campaign page: read the campaign by id rather than waiting for the full index
   useEffect(() => {
-    if (!contract || !account) return;
+    if (!contract || route.name !== 'campaign') return;
 
-    const interval = setInterval(() => {
-      console.log('🔄 Auto-refreshing campaigns...');
-      loadCampaigns(true); // Silent refresh (no loading spinner)
-    }, 300000); // 5 minutes
+    let cancelled = false;
+    loadCampaign(route.id).then(campaign => {
+      if (!cancelled) setRouteCampaign({ id: route.id, campaign });
+    });
+    return () => { cancelled = true; };
+  }, [contract, route.name, route.id]);
 
-    return () => clearInterval(interval);
-  }, [contract, account]);
+  // /create opens the create modal once the wallet and FHE SDK are ready
+  const contractReady = !!contract;
+  useEffect(() => {
+    if (route.name !== 'create' || !contractReady) return;
+    prepareEncryption().then(ready => {
+      if (!ready) navigate(paths.home(), { replace: true });
+    });
+  }, [route.name, contractReady]);
 
-  const initFHEVM = async () => {
-    // FHE SDK will be loaded when wallet connects
-    // No pre-loading to avoid issues
+  // Unknown paths fall back to the campaign list
+  useEffect(() => {
+    if (route.name === 'notFound') navigate(paths.home(), { replace: true });
+  }, [route.name]);
+
+  // Live updates: patch the campaign an event touched (polls with backoff if the subscription drops)
+  useEffect(() => {
+    if (!contract) return;
+
+    return watchCampaignEvents(contract, {
+      onCampaignChanged: (campaignId, eventName) => refreshCampaign(campaignId, eventName),
+      onPoll: () => loadCampaigns(true), // Silent refresh (no loading spinner)
+      staleAfterMs: network.staleBlockMs
+    });
+  }, [contract]);
+
+  // Follow wallet network switches: reconnect on a supported chain, refuse any other
+  useEffect(() => {
+    if (!account || !window.ethereum?.on) return;
+
+    const handleChainChanged = (chainId) => {
+      resetSession();
+      if (getNetwork(chainId)) {
+        connectWallet();
+      } else {
+        setStatus({ type: 'error', message: `❌ ${unsupportedNetworkMessage(chainId)}` });
+      }
+    };
+
+    window.ethereum.on('chainChanged', handleChainChanged);
+    return () => window.ethereum.removeListener('chainChanged', handleChainChanged);
+  }, [account]);
+
+  // Public campaign data and revealed results over the default network's RPC: no wallet, no FHE SDK
+  const openReadOnly = () => {
+    if (!DEFAULT_NETWORK?.rpcUrl) return;
+    const provider = new ethers.JsonRpcProvider(DEFAULT_NETWORK.rpcUrl, DEFAULT_NETWORK.chainId, { staticNetwork: true });
+    setNetwork(DEFAULT_NETWORK);
+    setContract(new ethers.Contract(DEFAULT_NETWORK.contractAddress, FHEDGE_ABI, provider));
   };
 
+  // Connect the wallet; resolves to its network entry, or null if the user did not end up connected
   const connectWallet = async () => {
     if (!window.ethereum) {
       alert('Please install MetaMask to use this dApp');
-      return;
+      return null;
     }
 
     try {
@@ -114,112 +178,146 @@ function App() {
         method: 'eth_requestAccounts'
       });
 
-      // Check/switch network
+      // Use the deployment for the wallet's chain, offering a switch if it has none
       const chainId = await window.ethereum.request({ method: 'eth_chainId' });
+      let walletNetwork = getNetwork(chainId);
 
-      if (chainId !== SEPOLIA_CHAIN_ID) {
-        setStatus({ type: 'warning', message: '⚠️ Switching to Sepolia...' });
+      if (!walletNetwork) {
+        if (!DEFAULT_NETWORK) {
+          throw new Error(unsupportedNetworkMessage(chainId));
+        }
+        setStatus({ type: 'warning', message: `⚠️ Unsupported network, switching to ${DEFAULT_NETWORK.name}...` });
         try {
-          await window.ethereum.request({
-            method: 'wallet_switchEthereumChain',
-            params: [{ chainId: SEPOLIA_CHAIN_ID }],
-          });
+          await switchToNetwork(DEFAULT_NETWORK);
         } catch (switchError) {
-          if (switchError.code === 4902) {
-            alert('Please add Sepolia network to your wallet manually');
-          }
-          throw switchError;
+          console.error('Network switch failed:', switchError);
+          throw new Error(unsupportedNetworkMessage(chainId));
         }
+        walletNetwork = DEFAULT_NETWORK;
       }
 
-      // Set account immediately for faster feedback
-      setAccount(accounts[0]);
-      setStatus({ type: 'success', message: '✅ Wallet connected!' });
-
-      // Setup contract and FHE SDK in parallel for faster loading
-      setStatus({ type: 'info', message: '⚙️ Setting up...' });
+      const provider = new ethers.BrowserProvider(window.ethereum);
+      const signer = await provider.getSigner();
 
-      const [contractInstance, fheInstance] = await Promise.all([
-        (async () => {
-          const provider = new ethers.BrowserProvider(window.ethereum);
-          const signer = await provider.getSigner();
-          return new ethers.Contract(CONTRACT_ADDRESS, CONTRACT_ABI, signer);
-        })(),
-        initializeFheInstance()
-      ]);
+      // Campaigns read from another deployment (e.g. browsing Sepolia read-only) don't exist under the same ids here
+      if (!isSameDeployment(walletNetwork, network)) {
+        clearCampaigns();
+        setRouteCampaign(null);
+        setShowPledgeModal(false);
+        setSelectedCampaign(null);
+      }
 
-      setContract(contractInstance);
-      setFhevmInstance(fheInstance);
+      // The FHE SDK is only started by the first create or pledge (prepareEncryption)
+      setFheNetwork(walletNetwork);
+      setAccount(accounts[0]);
+      setNetwork(walletNetwork);
+      setContract(new ethers.Contract(walletNetwork.contractAddress, FHEDGE_ABI, signer));
 
-      setStatus({ type: 'success', message: '✅ Ready!' });
+      setStatus({ type: 'success', message: '✅ Wallet connected!' });
       setTimeout(() => setStatus({ type: '', message: '' }), 2000);
+      return walletNetwork;
     } catch (error) {
       console.error('Connection error:', error);
       setStatus({
         type: 'error',
         message: `❌ ${error.message || 'Failed to connect wallet'}`
       });
+      return null;
     } finally {
       setLoading(false);
     }
   };
 
-  const disconnectWallet = () => {
+  const switchToNetwork = async (target) => {
+    try {
+      await window.ethereum.request({
+        method: 'wallet_switchEthereumChain',
+        params: [{ chainId: target.chainIdHex }],
+      });
+    } catch (switchError) {
+      // Local chains are unknown to the wallet until added
+      if (switchError.code !== 4902 || !target.rpcUrl) throw switchError;
+      await window.ethereum.request({
+        method: 'wallet_addEthereumChain',
+        params: [getAddChainParams(target)],
+      });
+    }
+  };
+
+  // Creating and pledging encrypt amounts: connect and start the FHE SDK only when needed.
+  // Resolves to the wallet's network entry, or null if either step failed
+  const prepareEncryption = async () => {
+    const walletNetwork = account ? network : await connectWallet();
+    if (!walletNetwork) return null;
+    if (fhevmInstance) return walletNetwork;
+
+    try {
+      setStatus({ type: 'info', message: '⚙️ Loading FHE encryption...' });
+      setFhevmInstance(await loadFheInstance());
+      setStatus({ type: '', message: '' });
+      return walletNetwork;
+    } catch (error) {
+      console.error('FHE initialization error:', error);
+      setStatus({ type: 'error', message: `❌ ${error.message || 'Failed to load FHE encryption'}` });
+      return null;
+    }
+  };
+
+  const resetSession = () => {
     setAccount(null);
+    setNetwork(null);
     setContract(null);
     setFhevmInstance(null);
-    setCampaigns([]);
-    setMyCampaigns([]);
+    setFheNetwork(null);
+    clearUserDecryptAuthorization();
+    clearCampaigns();
+    setRouteCampaign(null);
+    setShowPledgeModal(false);
+    setSelectedCampaign(null);
+  };
+
+  const disconnectWallet = () => {
+    resetSession();
     setStatus({ type: 'info', message: '👋 Wallet disconnected' });
     setTimeout(() => setStatus({ type: '', message: '' }), 3000);
   };
 
+  const clearCampaigns = () => {
+    loadedCounts.current = { all: 0, mine: 0 };
+    setCampaigns([]);
+    setCampaignTotal(0);
+    setMyCampaigns([]);
+    setMyCampaignTotal(0);
+    setMyPledges([]);
+  };
+
+  // Reload the pages the lists already show (at least the first), and the account's pledges
   const loadCampaigns = async (silent = false) => {
-    if (!contract || !account) return;
+    if (!contract) return;
 
     try {
       if (!silent) setLoadingCampaigns(true);
-      const nextId = await contract.nextCampaignId();
-      const total = Number(nextId);
-
-      const allCampaigns = [];
-      const userCampaigns = [];
-
-      for (let i = 0; i < total; i++) {
-        try {
-          const info = await contract.getCampaignInfo(i);
-          const hasPledged = await contract.hasPledged(i, account);
-          const decryptionResults = await contract.getDecryptedResults(i);
-
-          const campaign = {
-            id: i,
-            owner: info[0],
-            deadline: Number(info[1]),
-            active: info[2],
-            claimed: info[3],
-            title: info[4],
-            description: info[5],
-            ethBalance: info[6],  // ETH balance for this campaign
-            isOwner: info[0].toLowerCase() === account.toLowerCase(),
-            hasPledged: hasPledged,
-            // Decryption status
-            decryptionStatus: ['NotRequested', 'InProgress', 'Completed'][Number(decryptionResults[0])],
-            decryptedTotalPledged: String(decryptionResults[1]),
-            goalReached: decryptionResults[2]
-          };
-
-          allCampaigns.push(campaign);
-
-          if (campaign.isOwner) {
-            userCampaigns.push(campaign);
-          }
-        } catch (err) {
-          console.log(`Campaign ${i} error:`, err);
-        }
-      }
+      revealGracePeriod.current = Number(await contract.revealGracePeriod());
+
+      // Scanning the pledge logs can take a while: My Pledges shows its own spinner
+      if (account) loadMyPledges(silent);
+
+      const [all, mine] = await Promise.all([
+        loadCampaignIndex(contract, account || ethers.ZeroAddress, {
+          deploymentBlock: network.deploymentBlock,
+          loaded: loadedCounts.current.all
+        }),
+        account
+          ? loadOwnerCampaigns(contract, account, account, 0, Math.max(CAMPAIGN_PAGE_SIZE, loadedCounts.current.mine))
+          : { campaigns: [], total: 0 }
+      ]);
+      const [decorated, myDecorated] = await Promise.all([decorateCampaigns(all.campaigns), decorateCampaigns(mine.campaigns)]);
 
-      setCampaigns(allCampaigns);
-      setMyCampaigns(userCampaigns);
+      loadedCounts.current = { all: all.campaigns.length, mine: mine.campaigns.length };
+      setCampaigns(decorated);
+      setCampaignTotal(all.total);
+      setMyCampaigns(myDecorated);
+      setMyCampaignTotal(mine.total);
       setLastRefresh(Date.now());
     } catch (error) {
       console.error('Error loading campaigns:', error);
@@ -231,8 +329,124 @@ function App() {
     }
   };
 
+  // Next page of the list on screen, requested when its end scrolls into view
+  const loadMoreCampaigns = async () => {
+    if (!contract || loadingMoreCampaigns) return;
+
+    try {
+      setLoadingMoreCampaigns(true);
+      if (activeTab === 'mine') {
+        const page = await loadOwnerCampaigns(contract, account, account, loadedCounts.current.mine);
+        loadedCounts.current.mine += page.campaigns.length;
+        const decorated = await decorateCampaigns(page.campaigns);
+        setMyCampaigns(prev => mergeCampaigns(prev, decorated));
+        setMyCampaignTotal(page.total);
+      } else {
+        const page = await loadCampaignPage(contract, account || ethers.ZeroAddress, loadedCounts.current.all);
+        loadedCounts.current.all += page.campaigns.length;
+        const decorated = await decorateCampaigns(page.campaigns);
+        setCampaigns(prev => mergeCampaigns(prev, decorated));
+        setCampaignTotal(page.total);
+      }
+    } catch (error) {
+      console.error('Error loading more campaigns:', error);
+      setStatus({ type: 'error', message: '❌ Failed to load more campaigns' });
+    } finally {
+      setLoadingMoreCampaigns(false);
+    }
+  };
+
+  // Every campaign the account has backed, found from its pledge logs
+  const loadMyPledges = async (silent = false) => {
+    try {
+      setLoadingPledges(true);
+      const pledged = await loadPledgedCampaigns(contract, account, { deploymentBlock: network.deploymentBlock });
+      setMyPledges(await decorateCampaigns(pledged));
+    } catch (error) {
+      console.error('Error loading pledges:', error);
+      if (!silent) {
+        setStatus({ type: 'error', message: '❌ Failed to load your pledges' });
+      }
+    } finally {
+      setLoadingPledges(false);
+    }
+  };
+
+  // Add token metadata and per-account fields (null if the token can't be read)
+  const decorateCampaign = async (indexedCampaign) => {
+    // Funding asset: 'Native' (ETH), 'ERC20' or 'Confidential' (ERC-7984)
+    const fundingAsset = FUNDING_ASSETS[indexedCampaign.fundingAssetIndex];
+    let assetMetadata = NATIVE_ASSET;
+    if (fundingAsset !== 'Native') {
+      try {
+        assetMetadata = await loadTokenMetadata(indexedCampaign.fundingToken, contract.runner);
+      } catch (err) {
+        console.error(`Campaign ${indexedCampaign.id} error:`, err);
+        return null;
+      }
+    }
+
+    // ethBalance is the ETH/ERC-20 balance held for the campaign; goals, pledges and
+    // revealed totals are encrypted in multiples of amountUnit (e.g. gwei)
+    return {
+      ...indexedCampaign,
+      fundingAsset,
+      assetSymbol: assetMetadata.symbol,
+      assetDecimals: assetMetadata.decimals,
+      isOwner: !!account && indexedCampaign.owner.toLowerCase() === account.toLowerCase(),
+      // After this timestamp anyone (not just the owner) can reveal results
+      publicRevealAt: indexedCampaign.deadline + revealGracePeriod.current
+    };
+  };
+
+  const decorateCampaigns = async (indexed) => {
+    const loaded = await Promise.all(indexed.map(decorateCampaign));
+    return loaded.filter(Boolean);
+  };
+
+  // Read one campaign by id; null if it doesn't exist (or its token can't be read)
+  const loadCampaign = async (campaignId) => {
+    try {
+      revealGracePeriod.current = Number(await contract.revealGracePeriod());
+      const [indexed] = await loadCampaignSummaries(contract, account || ethers.ZeroAddress, [campaignId]);
+      return await decorateCampaign(indexed);
+    } catch (error) {
+      console.error(`Error loading campaign ${campaignId}:`, error);
+      return null;
+    }
+  };
+
+  // Re-read one campaign after a live event and patch it into the lists that show it.
+  // A new campaign only raises the totals: it arrives with the page it falls in
+  const refreshCampaign = async (campaignId, eventName) => {
+    try {
+      const [indexed] = await loadCampaignSummaries(contract, account || ethers.ZeroAddress, [campaignId]);
+      const campaign = await decorateCampaign(indexed);
+      if (!campaign) return;
+
+      const patch = prev => prev.some(c => c.id === campaign.id) ? mergeCampaigns(prev, [campaign]) : prev;
+      setCampaigns(patch);
+      setMyCampaigns(patch);
+      setMyPledges(prev => {
+        if (campaign.hasPledged) return mergeCampaigns(prev, [{ ...campaign, pledgeOutcome: null }]);
+        const pledged = prev.find(c => c.id === campaign.id);
+        if (!pledged) return prev;
+        // A pledge that just ended takes its outcome from the event that ended it
+        const pledgeOutcome = pledged.pledgeOutcome ?? PLEDGE_OUTCOMES[eventName] ?? null;
+        return mergeCampaigns(prev, [{ ...campaign, pledgeOutcome }]);
+      });
+      if (eventName === 'CampaignCreated') {
+        setCampaignTotal(total => Math.max(total, campaign.id + 1));
+        if (campaign.isOwner) setMyCampaignTotal(total => total + 1);
+      }
+      setLastRefresh(Date.now());
+    } catch (error) {
+      console.error(`Error refreshing campaign ${campaignId}:`, error);
+    }
+  };
+
   const handleCreateSuccess = () => {
-    setShowCreateModal(false);
+    navigate(paths.home(), { replace: true });
     setStatus({ type: 'success', message: '🎉 Campaign created successfully!' });
     setTimeout(() => setStatus({ type: '', message: '' }), 5000);
     loadCampaigns();
@@ -246,20 +460,43 @@ function App() {
     loadCampaigns();
   };
 
-  const handlePledgeClick = (campaign) => {
+  const handleCreateClick = () => {
+    navigate(paths.create());
+  };
+
+  const handlePledgeClick = async (campaign) => {
+    const browsedNetwork = network;
+    const walletNetwork = await prepareEncryption();
+    if (!walletNetwork) return;
+
+    // Connecting moved to another deployment: the same id is a different campaign (or none) there
+    if (!isSameDeployment(walletNetwork, browsedNetwork)) {
+      setStatus({
+        type: 'warning',
+        message: `⚠️ Your wallet is on ${walletNetwork.name}: campaign #${campaign.id} was listed from ${browsedNetwork?.name ?? 'another network'}, please pick the campaign again`
+      });
+      return;
+    }
+
     setSelectedCampaign(campaign);
     setShowPledgeModal(true);
   };
 
   const handleViewClick = (campaign) => {
-    setSelectedCampaign(campaign);
-    setShowViewModal(true);
+    navigate(paths.campaign(campaign.id));
   };
 
   const handleRefreshCampaigns = () => {
     loadCampaigns();
   };
 
+  // Campaign page after an action: re-read it and the list
+  const handleCampaignRefresh = async () => {
+    const campaign = await loadCampaign(route.id);
+    setRouteCampaign({ id: route.id, campaign });
+    loadCampaigns(true);
+  };
+
   return (
     <div className="app">
       {/* Header */}
@@ -279,9 +516,9 @@ function App() {
               {theme === 'dark' ? '☀️' : '🌙'}
             </button>
 
-            {account && (
+            {contract && (
               <button
-                onClick={() => setShowCreateModal(true)}
+                onClick={handleCreateClick}
                 className="btn-primary"
               >
                 ➕ Create Campaign
@@ -297,7 +534,11 @@ function App() {
           <div className="wallet-connect">
             <div className="connect-info">
               <h3>🚀 Get Started</h3>
-              <p>Connect your wallet to create campaigns and make pledges</p>
+              <p>
+                {contract
+                  ? `Browsing ${network.name} read-only. Connect your wallet to create campaigns and make pledges`
+                  : 'Connect your wallet to create campaigns and make pledges'}
+              </p>
               <ul className="features-list">
                 <li>🔒 Fully encrypted goals and pledges</li>
                 <li>💰 Support causes privately</li>
@@ -320,7 +561,7 @@ function App() {
               <span className="wallet-address">
                 {account.substring(0, 6)}...{account.substring(38)}
               </span>
-              <span className="network-badge">Sepolia</span>
+              <span className="network-badge">{network?.name}</span>
             </div>
             <button onClick={disconnectWallet} className="btn-secondary">
               Disconnect
@@ -337,12 +578,45 @@ function App() {
       )}
 
       {/* Main Content */}
-      {account && contract && fhevmInstance ? (
+      {contract && route.name === 'campaign' ? (
+        viewedCampaign ? (
+          <ViewCampaign
+            campaign={viewedCampaign}
+            contract={contract}
+            account={account}
+            deploymentBlock={network.deploymentBlock}
+            onBack={() => goBack(paths.home())}
+            onPledge={handlePledgeClick}
+            onConnect={connectWallet}
+            onRefresh={handleCampaignRefresh}
+          />
+        ) : (
+          <div className="campaigns-section">
+            {viewedCampaign === null ? (
+              <div className="no-campaigns">
+                <div className="no-campaigns-icon">🔍</div>
+                <h3>Campaign #{route.id} not found</h3>
+                <p>It may not exist on {network?.name}</p>
+                <button onClick={() => navigate(paths.home())} className="btn-secondary" style={{ marginTop: '20px' }}>
+                  Browse Campaigns
+                </button>
+              </div>
+            ) : (
+              <div className="loading-campaigns">
+                <div className="spinner"></div>
+                <p>Loading campaign #{route.id}...</p>
+              </div>
+            )}
+          </div>
+        )
+      ) : contract ? (
         <>
           {/* Dashboard Stats */}
           <Dashboard
             campaigns={campaigns}
+            campaignTotal={campaignTotal}
             myCampaigns={myCampaigns}
+            myCampaignTotal={myCampaignTotal}
             account={account}
             onRefresh={handleRefreshCampaigns}
             lastRefresh={lastRefresh}
@@ -355,65 +629,75 @@ function App() {
           <div className="tabs">
             <button
               className={`tab ${activeTab === 'all' ? 'active' : ''}`}
-              onClick={() => setActiveTab('all')}
+              onClick={() => navigate(paths.home())}
             >
-              🌍 All Campaigns ({campaigns.length})
-            </button>
-            <button
-              className={`tab ${activeTab === 'mine' ? 'active' : ''}`}
-              onClick={() => setActiveTab('mine')}
-            >
-              👤 My Campaigns ({myCampaigns.length})
+              🌍 All Campaigns ({campaignTotal})
             </button>
+            {account && (
+              <>
+                <button
+                  className={`tab ${activeTab === 'mine' ? 'active' : ''}`}
+                  onClick={() => navigate(paths.myCampaigns())}
+                >
+                  👤 My Campaigns ({myCampaignTotal})
+                </button>
+                <button
+                  className={`tab ${activeTab === 'pledges' ? 'active' : ''}`}
+                  onClick={() => navigate(paths.myPledges())}
+                >
+                  🧾 My Pledges ({myPledges.length})
+                </button>
+              </>
+            )}
           </div>
 
           {/* Campaign List */}
-          <CampaignList
-            campaigns={activeTab === 'all' ? campaigns : myCampaigns}
-            loading={loadingCampaigns}
-            account={account}
-            contract={contract}
-            onPledge={handlePledgeClick}
-            onView={handleViewClick}
-            onRefresh={loadCampaigns}
-          />
-
-          {/* Modals */}
-          {showCreateModal && (
-            <CreateCampaign
-              contract={contract}
-              fhevmInstance={fhevmInstance}
+          {activeTab !== 'all' && !account ? (
+            <div className="campaigns-section">
+              <div className="no-campaigns">
+                <div className="no-campaigns-icon">🔗</div>
+                <h3>Connect your wallet</h3>
+                <p>{activeTab === 'mine' ? 'Campaigns you create' : 'Campaigns you back'} will show up here</p>
+                <button onClick={connectWallet} disabled={loading} className="btn-primary" style={{ marginTop: '20px' }}>
+                  🔗 Connect Wallet
+                </button>
+              </div>
+            </div>
+          ) : activeTab === 'pledges' ? (
+            <MyPledges
+              pledges={myPledges}
+              loading={loadingPledges && myPledges.length === 0}
               account={account}
-              onClose={() => setShowCreateModal(false)}
-              onSuccess={handleCreateSuccess}
-            />
-          )}
-
-          {showPledgeModal && selectedCampaign && (
-            <PledgeToCampaign
               contract={contract}
-              fhevmInstance={fhevmInstance}
+              onView={handleViewClick}
+              onRefresh={loadCampaigns}
+            />
+          ) : (
+            <CampaignList
+              campaigns={activeTab === 'all' ? campaigns : myCampaigns}
+              total={activeTab === 'all' ? campaignTotal : myCampaignTotal}
+              hasMore={activeTab === 'all'
+                ? loadedCounts.current.all < campaignTotal
+                : loadedCounts.current.mine < myCampaignTotal}
+              loading={loadingCampaigns}
+              loadingMore={loadingMoreCampaigns}
+              onLoadMore={loadMoreCampaigns}
               account={account}
-              campaign={selectedCampaign}
-              onClose={() => {
-                setShowPledgeModal(false);
-                setSelectedCampaign(null);
-              }}
-              onSuccess={handlePledgeSuccess}
+              contract={contract}
+              onPledge={handlePledgeClick}
+              onView={handleViewClick}
+              onRefresh={loadCampaigns}
             />
           )}
 
-          {showViewModal && selectedCampaign && (
-            <ViewCampaign
-              campaign={selectedCampaign}
+          {/* Modals */}
+          {route.name === 'create' && account && fhevmInstance && (
+            <CreateCampaign
               contract={contract}
+              fhevmInstance={fhevmInstance}
               account={account}
-              onClose={() => {
-                setShowViewModal(false);
-                setSelectedCampaign(null);
-              }}
-              onPledge={handlePledgeClick}
-              onRefresh={() => loadCampaigns(true)}
+              onClose={() => goBack(paths.home())}
+              onSuccess={handleCreateSuccess}
             />
           )}
         </>
@@ -425,7 +709,11 @@ function App() {
               <div className="step">
                 <div className="step-number">1</div>
                 <h3>Connect Wallet</h3>
-                <p>Use MetaMask to connect to Sepolia testnet</p>
+                <p>
+                  {SUPPORTED_NETWORKS.length > 0
+                    ? `Use MetaMask to connect to ${SUPPORTED_NETWORKS.map(supported => supported.name).join(' or ')}`
+                    : NOT_DEPLOYED_MESSAGE}
+                </p>
               </div>
               <div className="step">
                 <div className="step-number">2</div>
@@ -469,6 +757,21 @@ function App() {
           </div>
         </div>
       )}
+
+      {/* Pledge modal: opened from the lists and from campaign pages */}
+      {showPledgeModal && selectedCampaign && account && fhevmInstance && (
+        <PledgeToCampaign
+          contract={contract}
+          fhevmInstance={fhevmInstance}
+          account={account}
+          campaign={selectedCampaign}
+          onClose={() => {
+            setShowPledgeModal(false);
+            setSelectedCampaign(null);
+          }}
+          onSuccess={handlePledgeSuccess}
+        />
+      )}
     </div>
   );
 }
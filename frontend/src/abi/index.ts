@@ -0,0 +1,68 @@
+// Generated by scripts/export-abi.js from the FHEDge artifact - do not edit
+import type { AddressLike, BaseContract, BigNumberish, BytesLike, ContractTransactionResponse, InterfaceAbi, Overrides, PayableOverrides } from 'ethers';
+import abi from './FHEDge.json';
+
+export const FHEDGE_ABI: InterfaceAbi = abi;
+
+export type FHEDgeEventName = 'CampaignCancelled' | 'CampaignClaimed' | 'CampaignCreated' | 'DecryptionCompleted' | 'DecryptionRequested' | 'MilestoneObjected' | 'MilestoneRejected' | 'MilestoneReleaseRequested' | 'MilestoneReleased' | 'MilestonesSet' | 'PlatformFeeTransferred' | 'PledgeMade' | 'PledgeWithdrawn' | 'PublicDecryptionVerified' | 'RefundIssued' | 'RevealGracePeriodUpdated' | 'RewardTiersSet' | 'StretchGoalsAdded' | 'StretchTierRevealRequested' | 'StretchTierRevealed';
+
+export interface CampaignSummary { campaignId: bigint; owner: string; deadline: bigint; active: boolean; claimed: boolean; cancelled: boolean; title: string; description: string; ethBalance: bigint; asset: bigint; token: string; amountUnit: bigint; hasPledged: boolean; decryptionStatus: bigint; decryptedTotalPledged: bigint; goalReached: boolean; milestoneCount: bigint; milestonesRejected: boolean }
+
+export interface Milestone { title: string; sharePercent: bigint }
+
+export interface MilestoneProgress { raised: bigint; released: bigint; objectionDeadline: bigint; objectionWeight: bigint; nextMilestone: bigint; rejected: boolean }
+
+export interface RewardTier { name: string; publicMinimum: bigint }
+
+export interface FHEDge extends BaseContract {
+  DEFAULT_REVEAL_GRACE_PERIOD(): Promise<bigint>;
+  FEE_DENOMINATOR(): Promise<bigint>;
+  MAX_MILESTONES(): Promise<bigint>;
+  MAX_PAGE_SIZE(): Promise<bigint>;
+  MAX_REWARD_TIERS(): Promise<bigint>;
+  MAX_STRETCH_GOALS(): Promise<bigint>;
+  MILESTONE_OBJECTION_PERIOD(): Promise<bigint>;
+  MILESTONE_OBJECTION_THRESHOLD_PERCENT(): Promise<bigint>;
+  PLATFORM_FEE_PERCENT(): Promise<bigint>;
+  addStretchGoals(campaignId: BigNumberish, inThresholds: BytesLike[], inputProof: BytesLike, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  callbackDecryptCampaignResult(campaignId: BigNumberish, cleartexts: BytesLike, decryptionProof: BytesLike, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  callbackStretchTierReveal(campaignId: BigNumberish, cleartexts: BytesLike, decryptionProof: BytesLike, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  campaigns(arg0: BigNumberish): Promise<[string, string, string, bigint, boolean, boolean, boolean, string, string, bigint, bigint, string, bigint, boolean]>;
+  cancelCampaign(campaignId: BigNumberish, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  claimCampaign(campaignId: BigNumberish, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  confidentialProtocolId(): Promise<bigint>;
+  createCampaign(inGoal: BytesLike, inputProof: BytesLike, deadline: BigNumberish, title: string, description: string, amountUnit: BigNumberish, setup: { milestoneTitles: string[]; milestoneShares: BigNumberish[]; stretchGoals: BytesLike[]; rewardTierNames: string[]; rewardTierPublicMinimums: BigNumberish[]; rewardTierEncryptedMinimums: BytesLike[] }, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  createTokenCampaign(inGoal: BytesLike, inputProof: BytesLike, deadline: BigNumberish, title: string, description: string, asset: BigNumberish, token: AddressLike, amountUnit: BigNumberish, setup: { milestoneTitles: string[]; milestoneShares: BigNumberish[]; stretchGoals: BytesLike[]; rewardTierNames: string[]; rewardTierPublicMinimums: BigNumberish[]; rewardTierEncryptedMinimums: BytesLike[] }, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  ethPledges(arg0: BigNumberish, arg1: AddressLike): Promise<bigint>;
+  getCampaignInfo(campaignId: BigNumberish): Promise<[string, bigint, boolean, boolean, string, string, bigint, boolean]>;
+  getCampaignSummaries(campaignIds: BigNumberish[], account: AddressLike): Promise<CampaignSummary[]>;
+  getCampaignsByOwner(owner: AddressLike, offset: BigNumberish, limit: BigNumberish, account: AddressLike): Promise<[CampaignSummary[], bigint]>;
+  getCampaignsPage(offset: BigNumberish, limit: BigNumberish, account: AddressLike): Promise<[CampaignSummary[], bigint]>;
+  getDecryptedResults(campaignId: BigNumberish): Promise<[bigint, bigint, boolean]>;
+  getDecryptionHandles(campaignId: BigNumberish): Promise<[string, string]>;
+  getFundingAsset(campaignId: BigNumberish): Promise<[bigint, string, bigint]>;
+  getGoal(campaignId: BigNumberish): Promise<string>;
+  getMilestones(campaignId: BigNumberish): Promise<[Milestone[], MilestoneProgress]>;
+  getPledgeAmount(campaignId: BigNumberish, pledger: AddressLike): Promise<string>;
+  getRewardTiers(campaignId: BigNumberish, backer: AddressLike): Promise<[RewardTier[], string]>;
+  getStretchGoals(campaignId: BigNumberish): Promise<[bigint, bigint, bigint, string]>;
+  getTotalPledged(campaignId: BigNumberish): Promise<string>;
+  hasPledged(arg0: BigNumberish, arg1: AddressLike): Promise<boolean>;
+  isGoalReached(campaignId: BigNumberish, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  milestoneObjections(arg0: BigNumberish, arg1: BigNumberish, arg2: AddressLike): Promise<boolean>;
+  nextCampaignId(): Promise<bigint>;
+  objectToMilestone(campaignId: BigNumberish, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  platformOwner(): Promise<string>;
+  pledge(campaignId: BigNumberish, inAmount: BytesLike, inputProof: BytesLike, overrides?: PayableOverrides): Promise<ContractTransactionResponse>;
+  pledgeConfidential(campaignId: BigNumberish, inAmount: BytesLike, inputProof: BytesLike, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  pledgeToken(campaignId: BigNumberish, inAmount: BytesLike, inputProof: BytesLike, tokenAmount: BigNumberish, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  pledges(arg0: BigNumberish, arg1: AddressLike): Promise<string>;
+  refund(campaignId: BigNumberish, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  requestDecryptCampaignResult(campaignId: BigNumberish, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  requestMilestoneRelease(campaignId: BigNumberish, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  requestStretchTierReveal(campaignId: BigNumberish, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  revealGracePeriod(): Promise<bigint>;
+  setRevealGracePeriod(gracePeriod: BigNumberish, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  settleMilestone(campaignId: BigNumberish, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  withdrawPledge(campaignId: BigNumberish, overrides?: Overrides): Promise<ContractTransactionResponse>;
+}
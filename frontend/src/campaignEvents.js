@@ -0,0 +1,98 @@
+import { TRACKED_EVENTS } from './campaignIndex';
+
+const WATCHDOG_INTERVAL_MS = 30000;
+
+// Fallback polling delay: doubles each time the subscription fails again, up to the old 5-minute refresh
+const MIN_POLL_DELAY_MS = 15000;
+const MAX_POLL_DELAY_MS = 300000;
+
+/**
+ * Subscribe to campaign events and report which campaign changed.
+ * ethers swallows filter polling errors, so a block heartbeat detects a dropped
+ * subscription; while it is down, `onPoll` runs with exponential backoff and the
+ * subscription is retried after each poll.
+ * @param {object} handlers
+ * @param {function} handlers.onCampaignChanged Called with (campaignId, eventName)
+ * @param {function} handlers.onPoll Full refresh used while the subscription is down
+ * @param {number|null} handlers.staleAfterMs No block for this long means the subscription
+ *   dropped (null disables the check, e.g. on an automining local node)
+ * @returns {function} Stops watching
+ */
+export function watchCampaignEvents(contract, { onCampaignChanged, onPoll, staleAfterMs }) {
+  const provider = contract.runner.provider;
+  let stopped = false;
+  let live = false;
+  let lastBlockAt = Date.now();
+  let pollDelay = MIN_POLL_DELAY_MS;
+  let pollTimer = null;
+
+  const handleEvent = (...args) => {
+    // The last listener argument is the ContractEventPayload
+    const payload = args[args.length - 1];
+    onCampaignChanged(Number(payload.args.campaignId), payload.eventName);
+  };
+
+  const handleBlock = () => {
+    lastBlockAt = Date.now();
+    pollDelay = MIN_POLL_DELAY_MS;
+  };
+
+  const detach = async () => {
+    live = false;
+    await Promise.all([
+      ...TRACKED_EVENTS.map(name => contract.off(name, handleEvent)),
+      provider.off('block', handleBlock)
+    ]).catch(error => console.warn('Failed to remove event listeners:', error));
+  };
+
+  const attach = async () => {
+    await Promise.all([
+      ...TRACKED_EVENTS.map(name => contract.on(name, handleEvent)),
+      provider.on('block', handleBlock)
+    ]);
+    lastBlockAt = Date.now();
+    live = true;
+  };
+
+  const fallBackToPolling = async () => {
+    await detach();
+    if (stopped) return;
+    console.warn(`📡 Event subscription down, polling in ${pollDelay / 1000}s`);
+    pollTimer = setTimeout(pollAndResubscribe, pollDelay);
+    pollDelay = Math.min(pollDelay * 2, MAX_POLL_DELAY_MS);
+  };
+
+  const pollAndResubscribe = async () => {
+    if (stopped) return;
+    try {
+      await onPoll();
+    } catch (error) {
+      console.error('Polling refresh failed:', error);
+    }
+    if (stopped) return;
+    try {
+      await attach();
+    } catch (error) {
+      console.warn('Resubscribe failed:', error);
+      await fallBackToPolling();
+    }
+  };
+
+  const watchdog = staleAfterMs && setInterval(() => {
+    if (live && Date.now() - lastBlockAt > staleAfterMs) {
+      fallBackToPolling();
+    }
+  }, WATCHDOG_INTERVAL_MS);
+
+  attach().catch(error => {
+    console.warn('Event subscription failed:', error);
+    fallBackToPolling();
+  });
+
+  return () => {
+    stopped = true;
+    clearInterval(watchdog);
+    clearTimeout(pollTimer);
+    detach();
+  };
+}
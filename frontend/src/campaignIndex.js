@@ -0,0 +1,304 @@
+// Event-indexed campaign loading: a cached snapshot of the pages loaded so far per
+// (chain, contract, account), refreshed from contract logs, with campaigns read through
+// the contract's batch and paged views
+
+const DB_NAME = 'fhedge-index';
+const DB_VERSION = 1;
+const STORE = 'snapshots';
+
+// Campaigns fetched per getCampaignsPage/getCampaignsByOwner/getCampaignSummaries call (contract caps pages at 100)
+const SUMMARY_BATCH_SIZE = 50;
+
+// Campaigns a list loads at a time as it scrolls
+export const CAMPAIGN_PAGE_SIZE = 12;
+
+// Many public RPCs cap eth_getLogs ranges around 10k blocks
+const LOG_BLOCK_RANGE = 10000;
+
+// Past this many blocks a full batch reload is cheaper than scanning logs
+const MAX_DELTA_BLOCKS = 200000;
+
+// Re-scan a few blocks behind the cached head so shallow reorgs are picked up
+const REORG_DEPTH = 12;
+
+// Events that change a campaign's public summary, milestone progress, stretch tier reveal or reward tiers
+export const TRACKED_EVENTS = [
+  'CampaignCreated',
+  'PledgeMade',
+  'PledgeWithdrawn',
+  'RefundIssued',
+  'CampaignClaimed',
+  'CampaignCancelled',
+  'DecryptionRequested',
+  'DecryptionCompleted',
+  'MilestonesSet',
+  'MilestoneReleaseRequested',
+  'MilestoneObjected',
+  'MilestoneReleased',
+  'MilestoneRejected',
+  'StretchGoalsAdded',
+  'StretchTierRevealRequested',
+  'StretchTierRevealed',
+  'RewardTiersSet'
+];
+
+const DECRYPTION_STATUSES = ['NotRequested', 'InProgress', 'Completed'];
+
+let dbPromise = null;
+
+function openDatabase() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available'));
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => request.result.createObjectStore(STORE);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).catch(error => {
+      dbPromise = null;
+      throw error;
+    });
+  }
+  return dbPromise;
+}
+
+function runTransaction(mode, operation) {
+  return openDatabase().then(db => new Promise((resolve, reject) => {
+    const request = operation(db.transaction(STORE, mode).objectStore(STORE));
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  }));
+}
+
+// The cache is an optimization: if IndexedDB is unavailable we just reload everything
+async function readSnapshot(key) {
+  try {
+    return await runTransaction('readonly', store => store.get(key));
+  } catch (error) {
+    console.warn('Campaign cache unavailable:', error);
+    return null;
+  }
+}
+
+async function writeSnapshot(key, snapshot) {
+  try {
+    await runTransaction('readwrite', store => store.put(snapshot, key));
+  } catch (error) {
+    console.warn('Failed to store campaign cache:', error);
+  }
+}
+
+/**
+ * Convert a CampaignSummary struct into a plain object IndexedDB can store
+ * (BigInt amounts are kept as decimal strings)
+ */
+function toCachedCampaign(summary) {
+  return {
+    id: Number(summary.campaignId),
+    owner: summary.owner,
+    deadline: Number(summary.deadline),
+    active: summary.active,
+    claimed: summary.claimed,
+    cancelled: summary.cancelled,
+    title: summary.title,
+    description: summary.description,
+    ethBalance: summary.ethBalance.toString(),
+    fundingAssetIndex: Number(summary.asset),
+    fundingToken: summary.token,
+    amountUnit: summary.amountUnit.toString(),
+    hasPledged: summary.hasPledged,
+    decryptionStatus: DECRYPTION_STATUSES[Number(summary.decryptionStatus)],
+    decryptedTotalPledged: summary.decryptedTotalPledged.toString(),
+    goalReached: summary.goalReached,
+    milestoneCount: Number(summary.milestoneCount),
+    milestonesRejected: summary.milestonesRejected
+  };
+}
+
+function fromCachedCampaign(cached) {
+  return {
+    ...cached,
+    ethBalance: BigInt(cached.ethBalance),
+    amountUnit: BigInt(cached.amountUnit)
+  };
+}
+
+async function fetchSummaries(contract, campaignIds, account) {
+  const summaries = [];
+  for (let i = 0; i < campaignIds.length; i += SUMMARY_BATCH_SIZE) {
+    const batch = campaignIds.slice(i, i + SUMMARY_BATCH_SIZE);
+    summaries.push(...await contract.getCampaignSummaries(batch, account));
+  }
+  return summaries.map(toCachedCampaign);
+}
+
+/**
+ * Re-read specific campaigns, e.g. after a live event
+ */
+export async function loadCampaignSummaries(contract, account, campaignIds) {
+  const campaigns = await fetchSummaries(contract, campaignIds, account);
+  return campaigns.map(fromCachedCampaign);
+}
+
+/**
+ * Read `count` campaigns from `offset` through a paged view, SUMMARY_BATCH_SIZE per call
+ * @param {function} readPage Contract call taking (offset, limit) and returning [page, total]
+ * @returns {Promise<{ campaigns: object[], total: number }>} Cached-form campaigns (fewer at the end)
+ */
+async function fetchPages(readPage, offset, count) {
+  const campaigns = [];
+  let total = Infinity;
+  while (campaigns.length < count && offset + campaigns.length < total) {
+    const limit = Math.min(SUMMARY_BATCH_SIZE, count - campaigns.length);
+    const [page, pageTotal] = await readPage(offset + campaigns.length, limit);
+    total = Number(pageTotal);
+    if (page.length === 0) break;
+    campaigns.push(...page.map(toCachedCampaign));
+  }
+  return { campaigns, total };
+}
+
+/**
+ * Contract logs matching `topics` in [fromBlock, toBlock], queried LOG_BLOCK_RANGE blocks at a time
+ */
+export async function getLogsInRange(contract, topics, fromBlock, toBlock) {
+  const provider = contract.runner.provider;
+  const address = await contract.getAddress();
+  const logs = [];
+  for (let start = fromBlock; start <= toBlock; start += LOG_BLOCK_RANGE) {
+    const end = Math.min(start + LOG_BLOCK_RANGE - 1, toBlock);
+    logs.push(...await provider.getLogs({ address, topics, fromBlock: start, toBlock: end }));
+  }
+  return logs;
+}
+
+/**
+ * Campaign IDs touched by any tracked event in [fromBlock, toBlock]
+ */
+async function findChangedCampaigns(contract, fromBlock, toBlock) {
+  const topics = [TRACKED_EVENTS.map(name => contract.interface.getEvent(name).topicHash)];
+  const logs = await getLogsInRange(contract, topics, fromBlock, toBlock);
+  // Every tracked event indexes campaignId as its first topic
+  return new Set(logs.map(log => Number(BigInt(log.topics[1]))));
+}
+
+async function snapshotKey(contract, account) {
+  const [network, contractAddress] = await Promise.all([
+    contract.runner.provider.getNetwork(),
+    contract.getAddress()
+  ]);
+  return `${network.chainId}:${contractAddress.toLowerCase()}:${account.toLowerCase()}`;
+}
+
+/**
+ * Load the first campaigns in ID order, with their public state for `account` (the contract's signer).
+ * Only the pages a list has loaded are cached: the first load reads one page through
+ * getCampaignsPage, later loads re-read the cached campaigns that emitted a tracked event
+ * since the cached block. Further pages come from loadCampaignPage.
+ * @param {object} [options]
+ * @param {number} [options.deploymentBlock] Block the contract was deployed in (lower bound for log scans)
+ * @param {number} [options.loaded] Campaigns the list already shows (at least this many are returned, if they exist)
+ * @returns {Promise<{ campaigns: object[], total: number, block: number }>} Campaigns ordered by ID, and how many exist
+ */
+export async function loadCampaignIndex(contract, account, { deploymentBlock = 0, loaded = 0 } = {}) {
+  const provider = contract.runner.provider;
+  const [key, latestBlock, nextId] = await Promise.all([
+    snapshotKey(contract, account),
+    provider.getBlockNumber(),
+    contract.nextCampaignId()
+  ]);
+  const total = Number(nextId);
+
+  let snapshot = await readSnapshot(key);
+  // A restarted local node or redeployed contract invalidates the cache
+  if (snapshot && (snapshot.block > latestBlock || snapshot.block < deploymentBlock || snapshot.campaigns.length > total)) {
+    snapshot = null;
+  }
+  if (snapshot && latestBlock - snapshot.block > MAX_DELTA_BLOCKS) {
+    snapshot = null;
+  }
+
+  let campaigns = [];
+  if (snapshot) {
+    const fromBlock = Math.max(deploymentBlock, snapshot.block - REORG_DEPTH + 1);
+    const changed = await findChangedCampaigns(contract, fromBlock, latestBlock);
+
+    campaigns = [...snapshot.campaigns];
+    const changedIds = [...changed].filter(id => id < campaigns.length).sort((a, b) => a - b);
+    for (const campaign of await fetchSummaries(contract, changedIds, account)) {
+      campaigns[campaign.id] = campaign;
+    }
+  }
+
+  const wanted = Math.min(total, Math.max(CAMPAIGN_PAGE_SIZE, loaded));
+  if (campaigns.length < wanted) {
+    const readPage = (offset, limit) => contract.getCampaignsPage(offset, limit, account);
+    const { campaigns: more } = await fetchPages(readPage, campaigns.length, wanted - campaigns.length);
+    campaigns.push(...more);
+  }
+
+  await writeSnapshot(key, { block: latestBlock, campaigns });
+  return { campaigns: campaigns.map(fromCachedCampaign), total, block: latestBlock };
+}
+
+/**
+ * Load the page of campaigns starting at `offset` (the number already loaded) and add it to the cache
+ * @returns {Promise<{ campaigns: object[], total: number }>} Campaigns ordered by ID, and how many exist
+ */
+export async function loadCampaignPage(contract, account, offset) {
+  const readPage = (start, limit) => contract.getCampaignsPage(start, limit, account);
+  const [key, { campaigns, total }] = await Promise.all([
+    snapshotKey(contract, account),
+    fetchPages(readPage, offset, CAMPAIGN_PAGE_SIZE)
+  ]);
+
+  // Only a snapshot that ends where this page starts can be extended
+  const snapshot = await readSnapshot(key);
+  if (snapshot && snapshot.campaigns.length === offset) {
+    await writeSnapshot(key, { ...snapshot, campaigns: [...snapshot.campaigns, ...campaigns] });
+  }
+  return { campaigns: campaigns.map(fromCachedCampaign), total };
+}
+
+/**
+ * Load `count` of the campaigns created by `owner` from `offset`, oldest first, with `account`'s hasPledged
+ * @returns {Promise<{ campaigns: object[], total: number }>} The campaigns, and how many `owner` created
+ */
+export async function loadOwnerCampaigns(contract, owner, account, offset = 0, count = CAMPAIGN_PAGE_SIZE) {
+  const readPage = (start, limit) => contract.getCampaignsByOwner(owner, start, limit, account);
+  const { campaigns, total } = await fetchPages(readPage, offset, count);
+  return { campaigns: campaigns.map(fromCachedCampaign), total };
+}
+
+// How a pledge ended, by the account's last pledge event in a campaign it no longer backs
+export const PLEDGE_OUTCOMES = { RefundIssued: 'refunded', PledgeWithdrawn: 'withdrawn' };
+
+/**
+ * Load every campaign `account` has pledged to, found from its pledge logs. Campaigns it no
+ * longer backs keep a `pledgeOutcome` of 'refunded' or 'withdrawn' (null while it still does)
+ * @param {object} [options]
+ * @param {number} [options.deploymentBlock] Block the contract was deployed in (lower bound for the log scan)
+ * @returns {Promise<object[]>} Campaigns ordered by ID
+ */
+export async function loadPledgedCampaigns(contract, account, { deploymentBlock = 0 } = {}) {
+  const latestBlock = await contract.runner.provider.getBlockNumber();
+  // PledgeMade, RefundIssued and PledgeWithdrawn all index (campaignId, pledger)
+  const [, , pledgerTopic] = await contract.filters.PledgeMade(null, account).getTopicFilter();
+  const eventTopics = ['PledgeMade', ...Object.keys(PLEDGE_OUTCOMES)]
+    .map(name => contract.interface.getEvent(name).topicHash);
+  const logs = await getLogsInRange(contract, [eventTopics, null, pledgerTopic], deploymentBlock, latestBlock);
+
+  // Logs arrive in chain order, so the last one per campaign is the latest
+  const lastEvents = new Map();
+  logs.forEach(log => lastEvents.set(Number(BigInt(log.topics[1])), contract.interface.parseLog(log).name));
+
+  const campaignIds = [...lastEvents.keys()].sort((a, b) => a - b);
+  const campaigns = await fetchSummaries(contract, campaignIds, account);
+  return campaigns.map(campaign => ({
+    ...fromCachedCampaign(campaign),
+    pledgeOutcome: campaign.hasPledged ? null : PLEDGE_OUTCOMES[lastEvents.get(campaign.id)] ?? null
+  }));
+}
@@ -1,8 +1,14 @@
-import { useState } from 'react';
+import { useEffect, useRef, useState } from 'react';
+import { canClaimFunds, hasClaimableFunds, isAwaitingReveal } from '../settlement';
 
-function CampaignList({ campaigns, loading, account, contract, onPledge, onView, onRefresh }) {
+/**
+ * Campaign cards with search and status filters over the pages loaded so far.
+ * `total` campaigns exist on-chain; while `hasMore`, scrolling to the end calls `onLoadMore`
+ */
+function CampaignList({ campaigns, total, hasMore, loading, loadingMore, account, contract, onPledge, onView, onLoadMore, onRefresh }) {
   const [searchTerm, setSearchTerm] = useState('');
-  const [filterStatus, setFilterStatus] = useState('all'); // all, active, ended, claimed
+  const [filterStatus, setFilterStatus] = useState('all'); // all, active, ended, claimed, cancelled
+  const loadMoreRef = useRef(null);
 
   const filteredCampaigns = campaigns.filter(campaign => {
     // Search filter
@@ -16,14 +22,32 @@ function CampaignList({ campaigns, loading, account, contract, onPledge, onView,
     if (filterStatus === 'active') {
       matchesStatus = campaign.active && !isExpired;
     } else if (filterStatus === 'ended') {
-      matchesStatus = (isExpired || !campaign.active) && !campaign.claimed;
+      matchesStatus = (isExpired || !campaign.active) && !campaign.claimed && !campaign.cancelled;
     } else if (filterStatus === 'claimed') {
       matchesStatus = campaign.claimed;
+    } else if (filterStatus === 'cancelled') {
+      matchesStatus = campaign.cancelled;
     }
 
     return matchesSearch && matchesStatus;
   });
 
+  // Fetch the next page when the sentinel below the grid scrolls into view; re-observing
+  // after each page catches a sentinel that is still visible on tall screens (or when a
+  // search matches nothing loaded yet)
+  useEffect(() => {
+    const sentinel = loadMoreRef.current;
+    if (!sentinel || !hasMore || loadingMore || typeof IntersectionObserver === 'undefined') return;
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting) {
+        onLoadMore();
+      }
+    }, { rootMargin: '200px' });
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [hasMore, loadingMore, campaigns.length]);
+
   const formatDate = (timestamp) => {
     const date = new Date(timestamp * 1000);
     return date.toLocaleDateString('en-US', { 
@@ -52,6 +76,11 @@ function CampaignList({ campaigns, loading, account, contract, onPledge, onView,
       return <span className="badge badge-claimed">Claimed</span>;
     }
     
+    // Cancelled by owner (takes priority over expiry)
+    if (campaign.cancelled) {
+      return <span className="badge badge-cancelled">Cancelled</span>;
+    }
+    
     // Check if expired (prioritize over contract.active)
     const timeLeft = campaign.deadline * 1000 - Date.now();
     if (timeLeft < 0) {
@@ -117,6 +146,12 @@ function CampaignList({ campaigns, loading, account, contract, onPledge, onView,
           >
             Claimed
           </button>
+          <button 
+            className={`filter-btn ${filterStatus === 'cancelled' ? 'active' : ''}`}
+            onClick={() => setFilterStatus('cancelled')}
+          >
+            Cancelled
+          </button>
         </div>
 
         <button onClick={onRefresh} className="btn-refresh" title="Refresh">
@@ -147,9 +182,13 @@ function CampaignList({ campaigns, loading, account, contract, onPledge, onView,
           {filteredCampaigns.map((campaign) => {
             const isOwner = campaign.isOwner;
             const isExpired = campaign.deadline * 1000 < Date.now();
-            const canPledge = campaign.active && !isExpired && !isOwner && !campaign.hasPledged;
-            const canClaim = isOwner && campaign.active && isExpired && !campaign.claimed && campaign.ethBalance > 0;
-            const canRefund = !isOwner && !campaign.active && !campaign.claimed;
+            const canPledge = campaign.active && !isExpired && !isOwner;
+            // All-or-nothing: settlement depends on the publicly revealed goal result (or cancellation)
+            const isRevealed = campaign.decryptionStatus === 'Completed';
+            const canClaim = canClaimFunds(campaign);
+            const canRefund = !isOwner && campaign.hasPledged && !campaign.claimed &&
+              (campaign.cancelled || (isRevealed && !campaign.goalReached) || campaign.milestonesRejected);
+            const awaitingReveal = isAwaitingReveal(campaign);
 
             return (
               <div key={campaign.id} className="campaign-card">
@@ -200,16 +239,22 @@ function CampaignList({ campaigns, loading, account, contract, onPledge, onView,
                     <button 
                       onClick={() => onPledge(campaign)}
                       className="btn-pledge"
-                      disabled={campaign.hasPledged}
                     >
-                      {campaign.hasPledged ? '✅ Already Pledged' : '💰 Pledge'}
+                      {campaign.hasPledged ? '➕ Top Up' : '💰 Pledge'}
                     </button>
                   )}
 
-                  {canClaim && (
+                  {/* Milestone campaigns release tranche by tranche from the campaign page */}
+                  {canClaim && campaign.milestoneCount > 0 && (
+                    <button onClick={() => onView(campaign)} className="btn-claim">
+                      🪜 Release Milestones
+                    </button>
+                  )}
+
+                  {canClaim && !campaign.milestoneCount && (
                     <button 
                       onClick={async () => {
-                        if (!window.confirm('🎉 Claim all funds now?\n\nThis will transfer ALL ETH from this campaign directly to your wallet!')) {
+                        if (!window.confirm(`🎉 Claim all funds now?\n\nThis will transfer ALL ${campaign.assetSymbol || 'ETH'} from this campaign directly to your wallet!`)) {
                           return;
                         }
                         try {
@@ -227,7 +272,27 @@ function CampaignList({ campaigns, loading, account, contract, onPledge, onView,
                     </button>
                   )}
 
-                  {isOwner && campaign.active && isExpired && !campaign.claimed && campaign.ethBalance === 0 && (
+                  {awaitingReveal && (
+                    <button 
+                      disabled
+                      className="btn-claim-disabled"
+                      title="Reveal the campaign results before claiming"
+                    >
+                      🔒 Reveal Results to Claim
+                    </button>
+                  )}
+
+                  {isOwner && isRevealed && !campaign.goalReached && !campaign.claimed && !campaign.cancelled && (
+                    <button 
+                      disabled
+                      className="btn-claim-disabled"
+                      title="Backers can refund their pledges"
+                    >
+                      🎯 Goal Not Reached
+                    </button>
+                  )}
+
+                  {isOwner && campaign.active && isExpired && !campaign.claimed && !hasClaimableFunds(campaign) && (
                     <button 
                       disabled
                       className="btn-claim-disabled"
@@ -260,6 +325,19 @@ function CampaignList({ campaigns, loading, account, contract, onPledge, onView,
           })}
         </div>
       )}
+
+      {/* Infinite scroll */}
+      {hasMore && (
+        <div ref={loadMoreRef} className="load-more">
+          <span>
+            Loaded {campaigns.length} of {total} campaigns
+            {loadingMore && ' · loading more campaigns...'}
+          </span>
+          <button onClick={onLoadMore} className="btn-secondary" disabled={loadingMore}>
+            Load more
+          </button>
+        </div>
+      )}
     </div>
   );
 }
@@ -1,5 +1,18 @@
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
 import { ethers } from 'ethers';
+import { MAX_REWARD_TIERS } from '../rewardTiers';
+import {
+  FUNDING_ASSETS,
+  FUNDING_ASSET_LABELS,
+  NATIVE_ASSET,
+  defaultAmountUnit,
+  loadTokenMetadata,
+  toCampaignUnits
+} from '../tokens';
+
+// Mirror FHEDge.MAX_MILESTONES and FHEDge.MAX_STRETCH_GOALS
+const MAX_MILESTONES = 10;
+const MAX_STRETCH_GOALS = 5;
 
 function CreateCampaign({ contract, fhevmInstance, account, onClose, onSuccess }) {
   const [formData, setFormData] = useState({
@@ -7,11 +20,66 @@ function CreateCampaign({ contract, fhevmInstance, account, onClose, onSuccess }
     description: '',
     goal: '',
     durationType: 'days',
-    durationValue: '30'
+    durationValue: '30',
+    fundingAsset: 'Native',
+    tokenAddress: ''
   });
   const [loading, setLoading] = useState(false);
   const [status, setStatus] = useState({ type: '', message: '' });
 
+  // Optional milestones: funds released tranche by tranche (not for confidential tokens)
+  const [useMilestones, setUseMilestones] = useState(false);
+  const [milestones, setMilestones] = useState([
+    { title: '', share: '50' },
+    { title: '', share: '50' }
+  ]);
+  const milestonesEnabled = useMilestones && formData.fundingAsset !== 'Confidential';
+  const milestoneShareTotal = milestones.reduce((total, milestone) => total + (parseInt(milestone.share) || 0), 0);
+
+  const updateMilestone = (index, field, value) => {
+    setMilestones(milestones.map((milestone, i) => i === index ? { ...milestone, [field]: value } : milestone));
+  };
+
+  // Optional stretch goals: encrypted thresholds above the goal, in ascending order
+  const [stretchGoals, setStretchGoals] = useState([]);
+
+  // Optional reward tiers, lowest first; private minimums are encrypted, public ones shown to backers
+  const [rewardTiers, setRewardTiers] = useState([]);
+
+  const updateRewardTier = (index, field, value) => {
+    setRewardTiers(rewardTiers.map((tier, i) => i === index ? { ...tier, [field]: value } : tier));
+  };
+
+  // Symbol/decimals of the selected funding token (ETH for native campaigns)
+  const isTokenCampaign = formData.fundingAsset !== 'Native';
+  const [tokenMetadata, setTokenMetadata] = useState(NATIVE_ASSET);
+  const [tokenError, setTokenError] = useState('');
+
+  useEffect(() => {
+    if (!isTokenCampaign) {
+      setTokenMetadata(NATIVE_ASSET);
+      setTokenError('');
+      return;
+    }
+    setTokenMetadata(null);
+    if (!ethers.isAddress(formData.tokenAddress)) {
+      setTokenError(formData.tokenAddress ? 'Invalid token address' : '');
+      return;
+    }
+
+    let cancelled = false;
+    loadTokenMetadata(formData.tokenAddress, contract.runner)
+      .then(metadata => {
+        if (cancelled) return;
+        setTokenMetadata(metadata);
+        setTokenError('');
+      })
+      .catch(() => {
+        if (!cancelled) setTokenError('Could not read symbol/decimals from this token');
+      });
+    return () => { cancelled = true; };
+  }, [contract, isTokenCampaign, formData.tokenAddress]);
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     
@@ -20,16 +88,63 @@ function CreateCampaign({ contract, fhevmInstance, account, onClose, onSuccess }
       return;
     }
 
+    if (!tokenMetadata) {
+      setStatus({ type: 'error', message: tokenError || 'Please enter the funding token address' });
+      return;
+    }
+
+    if (milestonesEnabled) {
+      if (milestones.some(milestone => !milestone.title.trim() || !(parseInt(milestone.share) > 0))) {
+        setStatus({ type: 'error', message: 'Every milestone needs a title and a share above 0%' });
+        return;
+      }
+      if (milestoneShareTotal !== 100) {
+        setStatus({ type: 'error', message: `Milestone shares must total 100% (currently ${milestoneShareTotal}%)` });
+        return;
+      }
+    }
+
+    // Goals are encrypted in the campaign's amount unit (gwei for ETH) so they fit in euint64.
+    // Confidential tokens move encrypted base units, so they always use unit 1.
+    const amountUnit = formData.fundingAsset === 'Confidential' ? 1n : defaultAmountUnit(tokenMetadata.decimals);
+    const toUnits = (amount) => toCampaignUnits(amount, {
+      assetSymbol: tokenMetadata.symbol,
+      assetDecimals: tokenMetadata.decimals,
+      amountUnit
+    }).units;
+
+    // Amounts are compared in the units the contract checks, not as floats
+    let goalUnits, stretchUnits, tierUnits;
+    try {
+      goalUnits = toUnits(formData.goal);
+      stretchUnits = stretchGoals.map(toUnits);
+      tierUnits = rewardTiers.map(tier => tier.minimum ? toUnits(tier.minimum) : 0n);
+    } catch (error) {
+      setStatus({ type: 'error', message: error.shortMessage || error.message });
+      return;
+    }
+
+    if (stretchUnits.some((units, index) => units <= (index === 0 ? goalUnits : stretchUnits[index - 1]))) {
+      setStatus({ type: 'error', message: 'Stretch goals must be above the goal and in ascending order' });
+      return;
+    }
+
+    if (rewardTiers.some((tier, index) => !tier.name.trim() || tierUnits[index] <= 0n ||
+      (index > 0 && tierUnits[index] <= tierUnits[index - 1]))) {
+      setStatus({ type: 'error', message: 'Reward tiers need a name and ascending minimums above 0' });
+      return;
+    }
+
     try {
       setLoading(true);
       setStatus({ type: 'info', message: '🔐 Encrypting goal amount...' });
 
-      // Convert ETH to wei for encryption
-      const goalInWei = ethers.parseEther(formData.goal);
-      
+      // One encrypted input: the goal, the stretch goals, then the private reward tier minimums
       const contractAddress = await contract.getAddress();
       const input = fhevmInstance.createEncryptedInput(contractAddress, account);
-      input.add64(Number(goalInWei));
+      input.add64(goalUnits);
+      stretchUnits.forEach(units => input.add64(units));
+      rewardTiers.forEach((tier, index) => tier.private && input.add64(tierUnits[index]));
       const encryptedGoal = await input.encrypt();
 
       setStatus({ type: 'info', message: '📝 Creating campaign...' });
@@ -54,14 +169,40 @@ function CreateCampaign({ contract, fhevmInstance, account, onClose, onSuccess }
 
       const deadline = Math.floor(Date.now() / 1000) + durationInSeconds;
 
+      // Milestones, stretch goals and reward tiers are part of the creation transaction, so no
+      // pledge can precede them. Per tier: a public minimum, or 0 and the next encrypted handle.
+      let nextHandle = 1 + stretchUnits.length;
+      const setup = {
+        milestoneTitles: milestonesEnabled ? milestones.map(milestone => milestone.title.trim()) : [],
+        milestoneShares: milestonesEnabled ? milestones.map(milestone => parseInt(milestone.share)) : [],
+        stretchGoals: encryptedGoal.handles.slice(1, 1 + stretchUnits.length),
+        rewardTierNames: rewardTiers.map(tier => tier.name.trim()),
+        rewardTierPublicMinimums: rewardTiers.map((tier, index) => tier.private ? 0n : tierUnits[index]),
+        rewardTierEncryptedMinimums: rewardTiers.map(tier => tier.private ? encryptedGoal.handles[nextHandle++] : ethers.ZeroHash)
+      };
+
       // Create campaign
-      const tx = await contract.createCampaign(
-        encryptedGoal.handles[0],
-        encryptedGoal.inputProof,
-        deadline,
-        formData.title,
-        formData.description || "No description provided"
-      );
+      const tx = isTokenCampaign
+        ? await contract.createTokenCampaign(
+            encryptedGoal.handles[0],
+            encryptedGoal.inputProof,
+            deadline,
+            formData.title,
+            formData.description || "No description provided",
+            FUNDING_ASSETS.indexOf(formData.fundingAsset),
+            formData.tokenAddress,
+            amountUnit,
+            setup
+          )
+        : await contract.createCampaign(
+            encryptedGoal.handles[0],
+            encryptedGoal.inputProof,
+            deadline,
+            formData.title,
+            formData.description || "No description provided",
+            amountUnit,
+            setup
+          );
 
       setStatus({ type: 'info', message: '⏳ Waiting for confirmation...' });
       await tx.wait();
@@ -120,7 +261,42 @@ function CreateCampaign({ contract, fhevmInstance, account, onClose, onSuccess }
           </div>
 
           <div className="form-group">
-            <label>Goal Amount (ETH) * 🔒 Encrypted</label>
+            <label>Funding Asset</label>
+            <select
+              value={formData.fundingAsset}
+              onChange={(e) => setFormData({...formData, fundingAsset: e.target.value})}
+              disabled={loading}
+            >
+              {FUNDING_ASSETS.map(asset => (
+                <option key={asset} value={asset}>{FUNDING_ASSET_LABELS[asset]}</option>
+              ))}
+            </select>
+            {formData.fundingAsset === 'Confidential' && (
+              <small>🔐 Pledge amounts stay encrypted during the token transfer too</small>
+            )}
+          </div>
+
+          {isTokenCampaign && (
+            <div className="form-group">
+              <label>Token Address *</label>
+              <input
+                type="text"
+                value={formData.tokenAddress}
+                onChange={(e) => setFormData({...formData, tokenAddress: e.target.value.trim()})}
+                placeholder="0x..."
+                disabled={loading}
+                required
+              />
+              {tokenError ? (
+                <small className="text-danger">⚠️ {tokenError}</small>
+              ) : tokenMetadata && (
+                <small>✅ {tokenMetadata.symbol} ({tokenMetadata.decimals} decimals)</small>
+              )}
+            </div>
+          )}
+
+          <div className="form-group">
+            <label>Goal Amount ({tokenMetadata?.symbol || 'tokens'}) * 🔒 Encrypted</label>
             <input
               type="number"
               step="0.001"
@@ -131,7 +307,104 @@ function CreateCampaign({ contract, fhevmInstance, account, onClose, onSuccess }
               required
               min="0.001"
             />
-            <small>💡 Examples: 0.1 ETH, 1 ETH, 0.001 ETH</small>
+            {!isTokenCampaign && <small>💡 Examples: 0.1 ETH, 1 ETH, 0.001 ETH</small>}
+          </div>
+
+          <div className="form-group">
+            <label>Stretch Goals ({tokenMetadata?.symbol || 'tokens'}) 🔒 Encrypted</label>
+            {stretchGoals.map((amount, index) => (
+              <div key={index} style={{display: 'flex', gap: '10px', marginBottom: '10px'}}>
+                <input
+                  type="number"
+                  step="0.001"
+                  value={amount}
+                  onChange={(e) => setStretchGoals(stretchGoals.map((value, i) => i === index ? e.target.value : value))}
+                  placeholder={`Stretch goal ${index + 1}`}
+                  disabled={loading}
+                  required
+                  min="0.001"
+                  style={{flex: 1}}
+                />
+                <button
+                  type="button"
+                  onClick={() => setStretchGoals(stretchGoals.filter((_, i) => i !== index))}
+                  className="btn-secondary"
+                  disabled={loading}
+                  title="Remove stretch goal"
+                >
+                  ✕
+                </button>
+              </div>
+            ))}
+            <button
+              type="button"
+              onClick={() => setStretchGoals([...stretchGoals, ''])}
+              className="btn-secondary"
+              disabled={loading || stretchGoals.length >= MAX_STRETCH_GOALS}
+            >
+              ➕ Add Stretch Goal
+            </button>
+            <small style={{display: 'block', marginTop: '5px'}}>
+              🚀 Optional higher targets, each above the last, set with the campaign. A target out of order can never be reached. After the deadline only the highest one reached is revealed
+            </small>
+          </div>
+
+          <div className="form-group">
+            <label>🎁 Reward Tiers</label>
+            {rewardTiers.map((tier, index) => (
+              <div key={index} style={{display: 'flex', gap: '10px', marginBottom: '10px', alignItems: 'center'}}>
+                <input
+                  type="text"
+                  value={tier.name}
+                  onChange={(e) => updateRewardTier(index, 'name', e.target.value)}
+                  placeholder={`Tier ${index + 1} name`}
+                  disabled={loading}
+                  style={{flex: 2}}
+                />
+                <input
+                  type="number"
+                  step="0.001"
+                  value={tier.minimum}
+                  onChange={(e) => updateRewardTier(index, 'minimum', e.target.value)}
+                  placeholder={`Min. ${tokenMetadata?.symbol || 'tokens'}`}
+                  disabled={loading}
+                  min="0.001"
+                  style={{flex: 1}}
+                />
+                <label style={{display: 'flex', alignItems: 'center', gap: '5px', whiteSpace: 'nowrap'}}>
+                  <input
+                    type="checkbox"
+                    checked={tier.private}
+                    onChange={(e) => updateRewardTier(index, 'private', e.target.checked)}
+                    disabled={loading}
+                    style={{width: 'auto'}}
+                  />
+                  🔒
+                </label>
+                <button
+                  type="button"
+                  onClick={() => setRewardTiers(rewardTiers.filter((_, i) => i !== index))}
+                  className="btn-secondary"
+                  disabled={loading}
+                  title="Remove reward tier"
+                >
+                  ✕
+                </button>
+              </div>
+            ))}
+            <button
+              type="button"
+              onClick={() => setRewardTiers([...rewardTiers, { name: '', minimum: '', private: false }])}
+              className="btn-secondary"
+              disabled={loading || rewardTiers.length >= MAX_REWARD_TIERS}
+            >
+              ➕ Add Reward Tier
+            </button>
+            <small style={{display: 'block', marginTop: '5px'}}>
+              🎁 Optional perks by pledge total, lowest first, each minimum above the last. Tick 🔒 to keep
+              a minimum encrypted (an encrypted minimum out of order makes its tier and those above it
+              unreachable); each backer privately decrypts which tier they qualify for
+            </small>
           </div>
 
           <div className="form-group">
@@ -162,6 +435,73 @@ function CreateCampaign({ contract, fhevmInstance, account, onClose, onSuccess }
             <small>⏰ Range: 5 minutes to 90 days</small>
           </div>
 
+          {formData.fundingAsset !== 'Confidential' && (
+            <div className="form-group">
+              <label style={{display: 'flex', alignItems: 'center', gap: '10px'}}>
+                <input
+                  type="checkbox"
+                  checked={useMilestones}
+                  onChange={(e) => setUseMilestones(e.target.checked)}
+                  disabled={loading}
+                  style={{width: 'auto'}}
+                />
+                🪜 Release funds by milestone
+              </label>
+              {milestonesEnabled && (
+                <>
+                  {milestones.map((milestone, index) => (
+                    <div key={index} style={{display: 'flex', gap: '10px', marginTop: '10px'}}>
+                      <input
+                        type="text"
+                        value={milestone.title}
+                        onChange={(e) => updateMilestone(index, 'title', e.target.value)}
+                        placeholder={`Milestone ${index + 1}`}
+                        disabled={loading}
+                        style={{flex: 3}}
+                      />
+                      <input
+                        type="number"
+                        value={milestone.share}
+                        onChange={(e) => updateMilestone(index, 'share', e.target.value)}
+                        placeholder="%"
+                        disabled={loading}
+                        min="1"
+                        max="100"
+                        style={{flex: 1}}
+                      />
+                      <button
+                        type="button"
+                        onClick={() => setMilestones(milestones.filter((_, i) => i !== index))}
+                        className="btn-secondary"
+                        disabled={loading || milestones.length === 1}
+                        title="Remove milestone"
+                      >
+                        ✕
+                      </button>
+                    </div>
+                  ))}
+                  <div style={{display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginTop: '10px'}}>
+                    <small className={milestoneShareTotal === 100 ? '' : 'text-danger'}>
+                      Total: {milestoneShareTotal}% of the raised funds
+                    </small>
+                    <button
+                      type="button"
+                      onClick={() => setMilestones([...milestones, { title: '', share: '' }])}
+                      className="btn-secondary"
+                      disabled={loading || milestones.length >= MAX_MILESTONES}
+                    >
+                      ➕ Add Milestone
+                    </button>
+                  </div>
+                  <small>
+                    💡 After the goal is reached you request each tranche in turn; backers get 3 days to object,
+                    and if backers holding over half the funds do, they refund the unreleased remainder
+                  </small>
+                </>
+              )}
+            </div>
+          )}
+
           <div className="modal-actions">
             <button 
               type="submit" 
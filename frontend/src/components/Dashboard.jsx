@@ -1,5 +1,8 @@
 
-function Dashboard({ campaigns, myCampaigns, account, onRefresh, lastRefresh }) {
+// Totals are on-chain counts; status breakdowns cover the campaigns loaded so far
+function Dashboard({ campaigns, campaignTotal, myCampaigns, myCampaignTotal, account, onRefresh, lastRefresh }) {
+  const partiallyLoaded = campaigns.length < campaignTotal;
+
   // Count campaigns based on actual status (considering expiration)
   const activeCampaigns = campaigns.filter(c => {
     const isExpired = c.deadline * 1000 < Date.now();
@@ -53,8 +56,9 @@ function Dashboard({ campaigns, myCampaigns, account, onRefresh, lastRefresh })
         <div className="stat-card">
           <div className="stat-icon">🌍</div>
           <div className="stat-content">
-            <h3>{campaigns.length}</h3>
+            <h3>{campaignTotal}</h3>
             <p>Total Campaigns</p>
+            {partiallyLoaded && <small>{campaigns.length} loaded</small>}
           </div>
         </div>
 
@@ -63,6 +67,7 @@ function Dashboard({ campaigns, myCampaigns, account, onRefresh, lastRefresh })
           <div className="stat-content">
             <h3>{activeCampaigns}</h3>
             <p>Active Now</p>
+            {partiallyLoaded && <small>of those loaded</small>}
           </div>
         </div>
 
@@ -71,15 +76,19 @@ function Dashboard({ campaigns, myCampaigns, account, onRefresh, lastRefresh })
           <div className="stat-content">
             <h3>{claimedCampaigns}</h3>
             <p>Successfully Claimed</p>
+            {partiallyLoaded && <small>of those loaded</small>}
           </div>
         </div>
 
         <div className="stat-card stat-mine">
           <div className="stat-icon">👤</div>
           <div className="stat-content">
-            <h3>{myCampaigns.length}</h3>
+            <h3>{myCampaignTotal}</h3>
             <p>My Campaigns</p>
-            <small>{myActive} active • {myClaimed} claimed</small>
+            <small>
+              {myActive} active • {myClaimed} claimed
+              {myCampaigns.length < myCampaignTotal && ` (of ${myCampaigns.length} loaded)`}
+            </small>
           </div>
         </div>
       </div>
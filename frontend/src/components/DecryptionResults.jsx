@@ -1,16 +1,43 @@
-import { useState } from 'react';
+import { useEffect, useState } from 'react';
 import { publicDecryptMultiple } from '../fhevmInstance';
+import { formatEncryptedUnits } from '../tokens';
+
+// Mirrors FHEDge.DecryptionStatus
+const DECRYPTION_STATUSES = ['NotRequested', 'InProgress', 'Completed'];
 
 /**
  * Decryption Results Component
  * Displays campaign decryption status and handles the 3-step workflow
+ * (read-only visitors see the results; revealing prompts them to connect).
+ * Campaigns with stretch goals get a tier ladder with its own, separate reveal.
  */
-function DecryptionResults({ campaign, contract, onUpdate, onClose }) {
+function DecryptionResults({ campaign, contract, readOnly, onConnect, onUpdate, onClose }) {
     const [loading, setLoading] = useState(false);
     const [status, setStatus] = useState('');
     const isOwner = campaign.isOwner;
     const isExpired = (campaign.deadline * 1000 - Date.now()) < 0;
-    const canRequestDecryption = isOwner && isExpired && campaign.decryptionStatus === 'NotRequested' && campaign.active;
+    const isPublicRevealOpen = campaign.publicRevealAt !== undefined && campaign.publicRevealAt * 1000 <= Date.now();
+    const canRequestDecryption = (isOwner || isPublicRevealOpen) && isExpired &&
+        campaign.decryptionStatus === 'NotRequested' && campaign.active;
+
+    // Stretch goals: { count, status, tierReached, tierHandle }, count 0 if the campaign has none
+    const [stretch, setStretch] = useState(null);
+
+    useEffect(() => {
+        let cancelled = false;
+        contract.getStretchGoals(campaign.id)
+            .then(([count, stretchStatus, tierReached, tierHandle]) => {
+                if (cancelled) return;
+                setStretch({
+                    count: Number(count),
+                    status: DECRYPTION_STATUSES[Number(stretchStatus)],
+                    tierReached: Number(tierReached),
+                    tierHandle
+                });
+            })
+            .catch(error => console.error('Error loading stretch goals:', error));
+        return () => { cancelled = true; };
+    }, [contract, campaign]);
 
     const handleRequestDecryption = async () => {
         try {
@@ -40,44 +67,105 @@ function DecryptionResults({ campaign, contract, onUpdate, onClose }) {
 
             // Extract handles from event
             const parsedEvent = contract.interface.parseLog(event);
-            const totalPledgedHandle = parsedEvent.args.totalPledgedHandle;
-            const goalReachedHandle = parsedEvent.args.goalReachedHandle;
 
-            console.log('📦 Handles to decrypt:', {
-                totalPledgedHandle,
-                goalReachedHandle
-            });
+            await completeDecryption(
+                parsedEvent.args.totalPledgedHandle,
+                parsedEvent.args.goalReachedHandle
+            );
+        } catch (error) {
+            console.error('Decryption failed:', error);
+            setStatus(`❌ Failed: ${error.message?.substring(0, 60) || 'Unknown error'}`);
+            setTimeout(() => setStatus(''), 5000);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    // Resume a reveal left InProgress (e.g. tab closed after Step 1).
+    // The callback is permissionless, so anyone can finish it.
+    const handleResumeDecryption = async () => {
+        try {
+            setLoading(true);
+            setStatus('🔍 Fetching pending decryption handles...');
+
+            const [totalPledgedHandle, goalReachedHandle] = await contract.getDecryptionHandles(campaign.id);
+
+            await completeDecryption(totalPledgedHandle, goalReachedHandle);
+        } catch (error) {
+            console.error('Resuming decryption failed:', error);
+            setStatus(`❌ Failed: ${error.message?.substring(0, 60) || 'Unknown error'}`);
+            setTimeout(() => setStatus(''), 5000);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    // Steps 2 and 3: off-chain public decryption, then on-chain proof verification
+    const completeDecryption = async (totalPledgedHandle, goalReachedHandle) => {
+        // Step 2: Off-chain decryption
+        setStatus('🔓 Decrypting values off-chain (calling Zama relayer)...');
+        const results = await publicDecryptMultiple([
+            totalPledgedHandle,
+            goalReachedHandle
+        ]);
+
+        // Step 3: On-chain verification
+        setStatus('✍️ Submitting decryption proof...');
+        const callbackTx = await contract.callbackDecryptCampaignResult(
+            campaign.id,
+            results.abiEncodedClearValues,
+            results.decryptionProof
+        );
 
-            // Step 2: Off-chain decryption
-            setStatus('🔓 Decrypting values off-chain (calling Zama relayer)...');
-            const results = await publicDecryptMultiple([
-                totalPledgedHandle,
-                goalReachedHandle
-            ]);
+        setStatus('⏳ Verifying proof on-chain...');
+        await callbackTx.wait();
 
-            console.log('✅ Decryption results:', results);
+        setStatus('✅ Decryption complete!');
+        setTimeout(() => {
+            setStatus('');
+            if (onUpdate) onUpdate();
+            // Close modal to show refreshed data
+            if (onClose) onClose();
+        }, 1500);
+    };
+
+    // Stretch tier reveal: same 3 steps and permissions, one handle (the tier index)
+    const handleStretchReveal = async () => {
+        try {
+            setLoading(true);
+            let tierHandle = stretch.tierHandle;
+
+            if (stretch.status === 'NotRequested') {
+                setStatus('📡 Requesting stretch tier decryption...');
+                const tx = await contract.requestStretchTierReveal(campaign.id);
+                const receipt = await tx.wait();
+                const event = receipt.logs
+                    .map(log => { try { return contract.interface.parseLog(log); } catch { return null; } })
+                    .find(parsed => parsed?.name === 'StretchTierRevealRequested');
+                if (!event) {
+                    throw new Error('StretchTierRevealRequested event not found');
+                }
+                tierHandle = event.args.tierHandle;
+            }
+
+            setStatus('🔓 Decrypting the stretch tier off-chain (calling Zama relayer)...');
+            const results = await publicDecryptMultiple([tierHandle]);
 
-            // Step 3: On-chain verification
             setStatus('✍️ Submitting decryption proof...');
-            const callbackTx = await contract.callbackDecryptCampaignResult(
+            const callbackTx = await contract.callbackStretchTierReveal(
                 campaign.id,
                 results.abiEncodedClearValues,
                 results.decryptionProof
             );
-
-            setStatus('⏳ Verifying proof on-chain...');
             await callbackTx.wait();
 
-            setStatus('✅ Decryption complete!');
+            setStatus('✅ Stretch tier revealed!');
             setTimeout(() => {
                 setStatus('');
                 if (onUpdate) onUpdate();
-                // Close modal to show refreshed data
-                if (onClose) onClose();
             }, 1500);
-
         } catch (error) {
-            console.error('Decryption failed:', error);
+            console.error('Stretch tier reveal failed:', error);
             setStatus(`❌ Failed: ${error.message?.substring(0, 60) || 'Unknown error'}`);
             setTimeout(() => setStatus(''), 5000);
         } finally {
@@ -85,11 +173,17 @@ function DecryptionResults({ campaign, contract, onUpdate, onClose }) {
         }
     };
 
-    // Show "Reveal Results" button only to owner after deadline
+    // Show "Reveal Results" button to owner after deadline, and to everyone after the grace period
     // Show completed results to EVERYONE
-    const showRevealButton = isOwner && isExpired && campaign.decryptionStatus === 'NotRequested' && campaign.active;
+    const showRevealButton = canRequestDecryption;
+    const showRevealCountdown = !isOwner && !isPublicRevealOpen && isExpired &&
+        campaign.decryptionStatus === 'NotRequested' && campaign.active && campaign.publicRevealAt !== undefined;
     const showResults = campaign.decryptionStatus === 'Completed';
-    const showInProgress = campaign.decryptionStatus === 'InProgress' && isOwner;
+    const showInProgress = campaign.decryptionStatus === 'InProgress';
+    const hasStretchGoals = stretch?.count > 0;
+    const stretchRevealed = hasStretchGoals && stretch.status === 'Completed';
+    const canRevealStretch = hasStretchGoals && !stretchRevealed && isExpired && !campaign.cancelled &&
+        (isOwner || isPublicRevealOpen || stretch.status === 'InProgress');
 
     // Don't show anything if not expired yet, or if nothing to display
     if (!isExpired && !showResults) {
@@ -107,18 +201,22 @@ function DecryptionResults({ campaign, contract, onUpdate, onClose }) {
                 </div>
             )}
 
-            {/* Reveal Button - Owner only, before decryption */}
+            {/* Reveal Button - Owner after deadline, anyone after the grace period */}
             {showRevealButton && (
                 <div>
                     <p style={{ marginBottom: '15px', color: '#666' }}>
-                        🔒 Campaign results are encrypted. Reveal them publicly to show transparency.
+                        {isOwner
+                            ? '🔒 Campaign results are encrypted. Reveal them publicly to show transparency.'
+                            : '🔒 The owner has not revealed the results. Anyone can reveal them now that the grace period has passed.'}
                     </p>
                     <button
-                        onClick={handleRequestDecryption}
+                        onClick={readOnly ? onConnect : handleRequestDecryption}
                         className="btn-primary btn-large"
                         disabled={loading}
                     >
-                        {loading ? '🔄 Processing...' : '🔍 Reveal Campaign Results'}
+                        {readOnly
+                            ? '🔗 Connect Wallet to Reveal'
+                            : loading ? '🔄 Processing...' : '🔍 Reveal Campaign Results'}
                     </button>
                     <p style={{ marginTop: '10px', fontSize: '0.9em', color: '#888' }}>
                         This will make total pledged and goal status public
@@ -126,17 +224,42 @@ function DecryptionResults({ campaign, contract, onUpdate, onClose }) {
                 </div>
             )}
 
-            {/* In Progress - Owner only */}
-            {showInProgress && (
+            {/* Waiting for public reveal window - non-owners */}
+            {showRevealCountdown && (
                 <div className="privacy-notice">
                     <span className="privacy-icon">⏳</span>
                     <div>
-                        <h4>Decryption In Progress</h4>
-                        <p>Waiting for off-chain decryption to complete...</p>
+                        <h4>Awaiting Owner Reveal</h4>
+                        <p>
+                            If the owner does not reveal the results, anyone can reveal them after{' '}
+                            {new Date(campaign.publicRevealAt * 1000).toLocaleString()}.
+                        </p>
                     </div>
                 </div>
             )}
 
+            {/* In Progress - anyone can resume the pending reveal */}
+            {showInProgress && (
+                <div>
+                    <div className="privacy-notice" style={{ marginBottom: '15px' }}>
+                        <span className="privacy-icon">⏳</span>
+                        <div>
+                            <h4>Decryption In Progress</h4>
+                            <p>The reveal was requested but the decryption proof has not been submitted yet.</p>
+                        </div>
+                    </div>
+                    <button
+                        onClick={readOnly ? onConnect : handleResumeDecryption}
+                        className="btn-primary btn-large"
+                        disabled={loading}
+                    >
+                        {readOnly
+                            ? '🔗 Connect Wallet to Resume'
+                            : loading ? '🔄 Processing...' : '▶️ Resume Reveal'}
+                    </button>
+                </div>
+            )}
+
             {/* Completed Results - VISIBLE TO EVERYONE */}
             {showResults && (
                 <div style={{
@@ -148,7 +271,7 @@ function DecryptionResults({ campaign, contract, onUpdate, onClose }) {
                     <div style={{ marginBottom: '15px' }}>
                         <div style={{ fontSize: '0.9em', opacity: 0.9 }}>Total Pledged</div>
                         <div style={{ fontSize: '1.8em', fontWeight: 'bold' }}>
-                            {(Number(campaign.decryptedTotalPledged) / 1e18).toFixed(4)} ETH
+                            {formatEncryptedUnits(campaign.decryptedTotalPledged, campaign)}
                         </div>
                     </div>
                     <div>
@@ -162,6 +285,47 @@ function DecryptionResults({ campaign, contract, onUpdate, onClose }) {
                     </p>
                 </div>
             )}
+
+            {/* Stretch tier ladder - thresholds stay encrypted, only the tier reached is revealed */}
+            {hasStretchGoals && (
+                <div style={{ marginTop: '20px' }}>
+                    <h4 style={{ color: 'var(--primary)', marginBottom: '10px' }}>🚀 Stretch Goals</h4>
+                    <ul className="backer-list">
+                        {Array.from({ length: stretch.count }, (_, index) => stretch.count - index).map(tier => (
+                            <li key={tier}>
+                                <span>Stretch goal {tier}</span>
+                                <strong>
+                                    {!stretchRevealed ? '🔒' : stretch.tierReached >= tier ? '✅ Reached' : '—'}
+                                </strong>
+                            </li>
+                        ))}
+                        <li>
+                            <span>🎯 Goal</span>
+                            <strong>{!showResults ? '🔒' : campaign.goalReached ? '✅ Reached' : '❌ Missed'}</strong>
+                        </li>
+                    </ul>
+                    {stretchRevealed && (
+                        <p style={{ marginTop: '10px', fontSize: '0.9em', color: '#888' }}>
+                            {stretch.tierReached > 0
+                                ? `Highest stretch goal reached: ${stretch.tierReached} of ${stretch.count}`
+                                : 'No stretch goal was reached'}
+                        </p>
+                    )}
+                    {canRevealStretch && (
+                        <button
+                            onClick={readOnly ? onConnect : handleStretchReveal}
+                            className="btn-secondary"
+                            disabled={loading}
+                            style={{ marginTop: '15px' }}
+                        >
+                            {readOnly
+                                ? '🔗 Connect Wallet to Reveal'
+                                : loading ? '🔄 Processing...'
+                                : stretch.status === 'InProgress' ? '▶️ Resume Stretch Tier Reveal' : '🚀 Reveal Stretch Tier'}
+                        </button>
+                    )}
+                </div>
+            )}
         </div>
     );
 }
@@ -0,0 +1,184 @@
+import { useEffect, useState } from 'react';
+import { formatAssetAmount } from '../tokens';
+
+/**
+ * Milestone Timeline Component
+ * Progress of a milestone campaign's tranche releases: the owner requests each
+ * tranche, backers object during its window, and anyone settles it afterwards
+ */
+function MilestoneTimeline({ campaign, contract, account, onUpdate }) {
+    const [milestones, setMilestones] = useState([]);
+    const [progress, setProgress] = useState(null);
+    const [hasObjected, setHasObjected] = useState(false);
+    const [busy, setBusy] = useState(false);
+    const [status, setStatus] = useState('');
+
+    // Re-read whenever the campaign summary changes (live events replace the object)
+    useEffect(() => {
+        let cancelled = false;
+
+        const load = async () => {
+            const [loadedMilestones, loadedProgress] = await contract.getMilestones(campaign.id);
+            const objected = account
+                ? await contract.milestoneObjections(campaign.id, loadedProgress.nextMilestone, account)
+                : false;
+            if (cancelled) return;
+            setMilestones(loadedMilestones.map(milestone => ({
+                title: milestone.title,
+                sharePercent: Number(milestone.sharePercent)
+            })));
+            setProgress({
+                raised: loadedProgress.raised,
+                released: loadedProgress.released,
+                objectionDeadline: Number(loadedProgress.objectionDeadline),
+                objectionWeight: loadedProgress.objectionWeight,
+                nextMilestone: Number(loadedProgress.nextMilestone),
+                rejected: loadedProgress.rejected
+            });
+            setHasObjected(objected);
+        };
+
+        load().catch(error => console.error('Error loading milestones:', error));
+        return () => { cancelled = true; };
+    }, [contract, campaign, account]);
+
+    if (!progress || milestones.length === 0) return null;
+
+    const now = Date.now() / 1000;
+    const isOwner = campaign.isOwner;
+    const pending = progress.objectionDeadline > 0;
+    const windowOpen = pending && now < progress.objectionDeadline;
+
+    // Tranches are shares of the balance fixed at the first request (the current balance until then)
+    const base = progress.raised > 0n ? progress.raised : campaign.ethBalance;
+    const objectionPercent = progress.raised > 0n
+        ? Number((progress.objectionWeight * 10000n) / progress.raised) / 100
+        : 0;
+
+    const canRequest = isOwner && campaign.active && now >= campaign.deadline && !pending &&
+        campaign.decryptionStatus === 'Completed' && campaign.goalReached;
+    const canObject = !!account && windowOpen && !isOwner && campaign.hasPledged && !hasObjected;
+    const canSettle = !!account && pending && !windowOpen;
+
+    const send = async (label, call) => {
+        try {
+            setBusy(true);
+            setStatus(`⏳ ${label}...`);
+            const tx = await call();
+            await tx.wait();
+            setStatus('');
+            onUpdate?.();
+        } catch (error) {
+            console.error(`${label} failed:`, error);
+            setStatus(`❌ Error: ${error.message?.substring(0, 100) || 'Unknown error'}`);
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const milestoneState = (index) => {
+        if (index < progress.nextMilestone) return { icon: '✅', label: 'Released' };
+        if (index > progress.nextMilestone) return { icon: '⏸️', label: 'Upcoming' };
+        if (progress.rejected) return { icon: '🚫', label: 'Rejected by backers' };
+        if (windowOpen) {
+            return { icon: '⏳', label: `Objections open until ${new Date(progress.objectionDeadline * 1000).toLocaleString()}` };
+        }
+        if (pending) return { icon: '⚖️', label: 'Objection window closed, ready to settle' };
+        return { icon: '⏸️', label: 'Next' };
+    };
+
+    return (
+        <div className="detail-section" style={{ marginTop: '20px' }}>
+            <h3>🪜 Milestones</h3>
+
+            {status && (
+                <div
+                    className={`alert ${status.startsWith('❌') ? 'alert-error' : 'alert-info'}`}
+                    style={{ marginBottom: '15px' }}
+                >
+                    {status}
+                </div>
+            )}
+
+            <ul className="backer-list">
+                {milestones.map((milestone, index) => {
+                    const state = milestoneState(index);
+                    return (
+                        <li key={index}>
+                            <span>
+                                {state.icon} <strong>{index + 1}. {milestone.title}</strong>
+                                <br />
+                                <small style={{ color: '#9ca3af' }}>{state.label}</small>
+                            </span>
+                            <span style={{ textAlign: 'right' }}>
+                                <strong>{milestone.sharePercent}%</strong>
+                                {base > 0n && (
+                                    <>
+                                        <br />
+                                        <small>{formatAssetAmount((base * BigInt(milestone.sharePercent)) / 100n, campaign)}</small>
+                                    </>
+                                )}
+                            </span>
+                        </li>
+                    );
+                })}
+            </ul>
+
+            {progress.raised > 0n && (
+                <>
+                    <div className="goal-progress">
+                        <div
+                            className="goal-progress-fill"
+                            style={{ width: `${Number((progress.released * 100n) / progress.raised)}%` }}
+                        />
+                    </div>
+                    <p style={{ color: '#9ca3af', marginTop: '10px' }}>
+                        {formatAssetAmount(progress.released, campaign)} of {formatAssetAmount(progress.raised, campaign)} released
+                        {pending && ` · objections from ${objectionPercent}% of the funds (over 50% blocks the tranche)`}
+                    </p>
+                </>
+            )}
+
+            {progress.rejected && (
+                <p style={{ color: '#9ca3af', marginTop: '10px' }}>
+                    Backers blocked this tranche: each backer can refund their share of the unreleased funds.
+                </p>
+            )}
+
+            <div style={{ display: 'flex', gap: '10px', marginTop: '15px', flexWrap: 'wrap' }}>
+                {canRequest && (
+                    <button
+                        onClick={() => send('Requesting release', () => contract.requestMilestoneRelease(campaign.id))}
+                        disabled={busy}
+                        className="btn-primary"
+                    >
+                        📤 Request Milestone {progress.nextMilestone + 1} Release
+                    </button>
+                )}
+                {canObject && (
+                    <button
+                        onClick={() => send('Objecting', () => contract.objectToMilestone(campaign.id))}
+                        disabled={busy}
+                        className="btn-danger"
+                    >
+                        ✋ Object to This Tranche
+                    </button>
+                )}
+                {windowOpen && hasObjected && (
+                    <span className="badge badge-you">You objected</span>
+                )}
+                {canSettle && (
+                    <button
+                        onClick={() => send('Settling milestone', () => contract.settleMilestone(campaign.id))}
+                        disabled={busy}
+                        className="btn-success"
+                    >
+                        ⚖️ Settle Milestone {progress.nextMilestone + 1}
+                    </button>
+                )}
+            </div>
+        </div>
+    );
+}
+
+export default MilestoneTimeline;
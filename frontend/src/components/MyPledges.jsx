@@ -0,0 +1,252 @@
+import { useEffect, useState } from 'react';
+import { userDecryptMultiple } from '../fhevmInstance';
+import { formatRewardTier, loadRewardTiers } from '../rewardTiers';
+import { formatAssetAmount, formatEncryptedUnits } from '../tokens';
+
+// Where a backed campaign stands, mirroring the contract's refund() checks
+function getPledgeStatus(campaign) {
+  const isExpired = campaign.deadline * 1000 < Date.now();
+  const isRevealed = campaign.decryptionStatus === 'Completed';
+
+  if (campaign.pledgeOutcome === 'refunded') {
+    return { label: 'Refunded', badge: 'badge-ended', canRefund: false,
+      note: 'Your pledge was refunded to you' };
+  }
+  if (campaign.pledgeOutcome === 'withdrawn') {
+    return { label: 'Withdrawn', badge: 'badge-ended', canRefund: false,
+      note: 'You withdrew your pledge before the deadline' };
+  }
+
+  if (campaign.claimed) {
+    return { label: 'Funded', badge: 'badge-claimed', canRefund: false,
+      note: 'The goal was reached and the owner claimed the funds' };
+  }
+  if (campaign.cancelled) {
+    return { label: 'Cancelled', badge: 'badge-cancelled', canRefund: true,
+      note: 'Cancelled by the owner - you can refund now' };
+  }
+  if (campaign.milestonesRejected) {
+    return { label: 'Milestone Rejected', badge: 'badge-cancelled', canRefund: true,
+      note: 'Backers blocked a milestone - you can refund your share of the unreleased funds' };
+  }
+  if (campaign.active && !isExpired) {
+    return { label: 'Active', badge: 'badge-active', canRefund: false,
+      note: 'You can still top up or withdraw before the deadline' };
+  }
+  if (!isRevealed) {
+    return { label: 'Awaiting Reveal', badge: 'badge-expired', canRefund: false,
+      note: 'Refunds open if the revealed total misses the goal' };
+  }
+  if (campaign.goalReached) {
+    return { label: 'Goal Reached', badge: 'badge-ended', canRefund: false,
+      note: campaign.milestoneCount > 0
+        ? 'The goal was reached - funds go to the owner milestone by milestone, and you can object to each tranche'
+        : 'The goal was reached - your pledge goes to the owner' };
+  }
+  return { label: 'Goal Missed', badge: 'badge-expired', canRefund: true,
+    note: 'The goal was not reached - you can refund' };
+}
+
+/**
+ * My Pledges Component
+ * Backer's view of every campaign they have pledged to: cleartext deposit,
+ * user-decrypted encrypted pledge and reward tier, and refund eligibility.
+ * Refunded and withdrawn pledges stay listed with their outcome
+ */
+function MyPledges({ pledges, loading, account, contract, onView, onRefresh }) {
+  // Cleartext deposits (ethPledges), reward tiers, and decrypted pledges and tiers, keyed by campaign id
+  const [deposits, setDeposits] = useState({});
+  const [rewardTiers, setRewardTiers] = useState({});
+  const [decrypted, setDecrypted] = useState({});
+  const [decryptedTiers, setDecryptedTiers] = useState({});
+  const [decrypting, setDecrypting] = useState(false);
+  const [refundingId, setRefundingId] = useState(null);
+  const [status, setStatus] = useState('');
+
+  useEffect(() => {
+    if (!contract || !account) return;
+    Promise.all(pledges.map(campaign => contract.ethPledges(campaign.id, account)))
+      .then(amounts => {
+        setDeposits(Object.fromEntries(pledges.map((campaign, index) => [campaign.id, amounts[index]])));
+      })
+      .catch(error => console.error('Error loading deposits:', error));
+    Promise.all(pledges.map(campaign => loadRewardTiers(contract, campaign.id, account)))
+      .then(loaded => {
+        setRewardTiers(Object.fromEntries(pledges.map((campaign, index) => [campaign.id, loaded[index]])));
+      })
+      .catch(error => console.error('Error loading reward tiers:', error));
+  }, [contract, account, pledges]);
+
+  // Drop decrypted values when the wallet changes
+  useEffect(() => {
+    setDecrypted({});
+    setDecryptedTiers({});
+  }, [account]);
+
+  const handleDecryptAll = async () => {
+    try {
+      setDecrypting(true);
+      setStatus('📡 Loading encrypted handles...');
+      const contractAddress = await contract.getAddress();
+
+      // Every pledge and reward tier in one request, so the wallet signs once
+      const held = pledges.filter(campaign => campaign.hasPledged);
+      const pledgeHandles = await Promise.all(held.map(campaign => contract.getPledgeAmount(campaign.id, account)));
+      const tierHandles = held.map(campaign => rewardTiers[campaign.id]?.tierHandle ?? null);
+
+      setStatus('✍️ Sign the decryption request in your wallet...');
+      const values = await userDecryptMultiple(
+        [...pledgeHandles, ...tierHandles.filter(Boolean)],
+        contractAddress,
+        contract.runner
+      );
+
+      setDecrypted(Object.fromEntries(held.map((campaign, index) =>
+        [campaign.id, BigInt(values[pledgeHandles[index]])])));
+      setDecryptedTiers(Object.fromEntries(held.map((campaign, index) =>
+        [campaign.id, tierHandles[index] ? Number(values[tierHandles[index]]) : 0])));
+      setStatus('');
+    } catch (error) {
+      console.error('Error decrypting pledges:', error);
+      setStatus(`❌ Error: ${error.message?.substring(0, 100) || 'Unknown error'}`);
+    } finally {
+      setDecrypting(false);
+    }
+  };
+
+  const handleRefund = async (campaign) => {
+    try {
+      setRefundingId(campaign.id);
+      const tx = await contract.refund(campaign.id);
+      await tx.wait();
+      alert('✅ Refund processed!');
+      onRefresh();
+    } catch (error) {
+      alert(`❌ ${error.message}`);
+    } finally {
+      setRefundingId(null);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="campaigns-section">
+        <div className="loading-campaigns">
+          <div className="spinner"></div>
+          <p>Loading your pledges...</p>
+        </div>
+      </div>
+    );
+  }
+
+  const refundable = pledges.filter(campaign => getPledgeStatus(campaign).canRefund).length;
+  const held = pledges.filter(campaign => campaign.hasPledged).length;
+
+  return (
+    <div className="campaigns-section">
+      <div className="campaigns-toolbar">
+        <div className="results-count" style={{ flex: 1 }}>
+          {held} pledge(s){refundable > 0 && ` · ${refundable} ready to refund`}
+          {held < pledges.length && ` · ${pledges.length - held} refunded or withdrawn`}
+        </div>
+        {held > 0 && (
+          <button onClick={handleDecryptAll} disabled={decrypting} className="btn-secondary">
+            {decrypting ? '⏳ Decrypting...' : '🔓 Decrypt My Pledges'}
+          </button>
+        )}
+        <button onClick={onRefresh} className="btn-refresh" title="Refresh">
+          🔄
+        </button>
+      </div>
+
+      {status && (
+        <div
+          className={`alert ${status.startsWith('❌') ? 'alert-error' : 'alert-info'}`}
+          style={{ marginBottom: '15px' }}
+        >
+          {status}
+        </div>
+      )}
+
+      {pledges.length === 0 ? (
+        <div className="no-campaigns">
+          <div className="no-campaigns-icon">🧾</div>
+          <h3>No pledges yet</h3>
+          <p>Campaigns you back will show up here</p>
+        </div>
+      ) : (
+        <div className="campaigns-grid">
+          {pledges.map((campaign) => {
+            const pledgeStatus = getPledgeStatus(campaign);
+            const deposit = deposits[campaign.id];
+            const tiers = rewardTiers[campaign.id]?.tiers ?? [];
+
+            return (
+              <div key={campaign.id} className="campaign-card">
+                <div className="campaign-card-header">
+                  <h3>{campaign.title}</h3>
+                  <span className={`badge ${pledgeStatus.badge}`}>{pledgeStatus.label}</span>
+                </div>
+
+                <div className="campaign-meta">
+                  <div className="meta-item">
+                    <span className="meta-label">ID:</span>
+                    <span className="meta-value">#{campaign.id}</span>
+                  </div>
+                  <div className="meta-item">
+                    <span className="meta-label">Deposited:</span>
+                    <span className="meta-value">
+                      {campaign.fundingAsset === 'Confidential'
+                        ? '🔒 Encrypted'
+                        : deposit !== undefined ? formatAssetAmount(deposit, campaign) : '...'}
+                    </span>
+                  </div>
+                  <div className="meta-item">
+                    <span className="meta-label">My Pledge:</span>
+                    <span className="meta-value">
+                      {!campaign.hasPledged
+                        ? '—'
+                        : decrypted[campaign.id] !== undefined
+                          ? formatEncryptedUnits(decrypted[campaign.id], campaign)
+                          : '🔒 Encrypted'}
+                    </span>
+                  </div>
+                  {tiers.length > 0 && campaign.hasPledged && (
+                    <div className="meta-item">
+                      <span className="meta-label">My Reward:</span>
+                      <span className="meta-value">
+                        {decryptedTiers[campaign.id] !== undefined
+                          ? `🎁 ${formatRewardTier(decryptedTiers[campaign.id], tiers)}`
+                          : '🔒 Encrypted'}
+                      </span>
+                    </div>
+                  )}
+                </div>
+
+                <p className="campaign-description">{pledgeStatus.note}</p>
+
+                <div className="campaign-actions">
+                  <button onClick={() => onView(campaign)} className="btn-view">
+                    👁️ View Details
+                  </button>
+
+                  {pledgeStatus.canRefund && (
+                    <button
+                      onClick={() => handleRefund(campaign)}
+                      disabled={refundingId !== null}
+                      className="btn-refund"
+                    >
+                      {refundingId === campaign.id ? '⏳ Refunding...' : '↩️ Refund'}
+                    </button>
+                  )}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default MyPledges;
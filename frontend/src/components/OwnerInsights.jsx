@@ -0,0 +1,147 @@
+import { useState } from 'react';
+import { getLogsInRange } from '../campaignIndex';
+import { userDecryptMultiple } from '../fhevmInstance';
+import { formatEncryptedUnits } from '../tokens';
+
+/**
+ * Owner Insights Component
+ * Owner-only private view: user-decrypts the encrypted goal, running total and
+ * every backer's pledge (one EIP-712 signature), nothing is revealed on-chain
+ */
+function OwnerInsights({ campaign, contract, deploymentBlock = 0 }) {
+    const [insights, setInsights] = useState(null);
+    const [loading, setLoading] = useState(false);
+    const [status, setStatus] = useState('');
+
+    const loadBackers = async () => {
+        // Scanned from the deployment block in chunks: many RPCs cap eth_getLogs ranges
+        const latestBlock = await contract.runner.provider.getBlockNumber();
+        const topics = await contract.filters.PledgeMade(campaign.id).getTopicFilter();
+        const logs = await getLogsInRange(contract, topics, deploymentBlock, latestBlock);
+        const addresses = [...new Set(logs.map(log => contract.interface.parseLog(log).args.pledger))];
+
+        // Withdrawn or refunded backers no longer hold a pledge
+        const stillPledged = await Promise.all(
+            addresses.map(address => contract.hasPledged(campaign.id, address))
+        );
+        return addresses.filter((_, index) => stillPledged[index]);
+    };
+
+    const handleDecrypt = async () => {
+        try {
+            setLoading(true);
+            setStatus('📡 Loading encrypted handles...');
+
+            const contractAddress = await contract.getAddress();
+            const backers = await loadBackers();
+            const [goalHandle, totalHandle, ...pledgeHandles] = await Promise.all([
+                contract.getGoal(campaign.id),
+                contract.getTotalPledged(campaign.id),
+                ...backers.map(backer => contract.getPledgeAmount(campaign.id, backer))
+            ]);
+
+            setStatus('✍️ Sign the decryption request in your wallet...');
+            const values = await userDecryptMultiple(
+                [goalHandle, totalHandle, ...pledgeHandles],
+                contractAddress,
+                contract.runner
+            );
+
+            const goal = BigInt(values[goalHandle]);
+            const total = BigInt(values[totalHandle]);
+            setInsights({
+                goal,
+                total,
+                // Basis points so BigInt math keeps two decimals of precision
+                percent: goal > 0n ? Number((total * 10000n) / goal) / 100 : 0,
+                backers: backers
+                    .map((address, index) => ({ address, pledge: BigInt(values[pledgeHandles[index]]) }))
+                    .sort((a, b) => (b.pledge > a.pledge ? 1 : b.pledge < a.pledge ? -1 : 0))
+            });
+            setStatus('');
+        } catch (error) {
+            console.error('Owner decryption error:', error);
+            setStatus(`❌ Error: ${error.message?.substring(0, 100) || 'Unknown error'}`);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    return (
+        <div className="detail-section" style={{ marginTop: '20px' }}>
+            <h3>🔐 Owner Insights (Private)</h3>
+
+            {status && (
+                <div
+                    className={`alert ${status.startsWith('❌') ? 'alert-error' : 'alert-info'}`}
+                    style={{ marginBottom: '15px' }}
+                >
+                    {status}
+                </div>
+            )}
+
+            {!insights ? (
+                <>
+                    <p style={{ color: '#9ca3af', marginBottom: '15px' }}>
+                        Only you can decrypt your goal, progress and individual pledges.
+                        Values are decrypted locally with your wallet signature and never published.
+                    </p>
+                    <button onClick={handleDecrypt} disabled={loading} className="btn-primary">
+                        {loading ? '⏳ Decrypting...' : '🔓 Decrypt My Campaign Data'}
+                    </button>
+                </>
+            ) : (
+                <>
+                    <div className="detail-grid">
+                        <div className="detail-item">
+                            <div className="detail-label">🎯 Goal</div>
+                            <div className="detail-value">{formatEncryptedUnits(insights.goal, campaign)}</div>
+                        </div>
+                        <div className="detail-item">
+                            <div className="detail-label">💰 Pledged So Far</div>
+                            <div className="detail-value">{formatEncryptedUnits(insights.total, campaign)}</div>
+                        </div>
+                        <div className="detail-item">
+                            <div className="detail-label">📈 Progress</div>
+                            <div className="detail-value">{insights.percent.toFixed(2)}%</div>
+                        </div>
+                    </div>
+
+                    <div className="goal-progress">
+                        <div
+                            className="goal-progress-fill"
+                            style={{ width: `${Math.min(insights.percent, 100)}%` }}
+                        />
+                    </div>
+
+                    <h4 style={{ color: 'var(--primary)', margin: '20px 0 10px' }}>
+                        👥 Backers ({insights.backers.length})
+                    </h4>
+                    {insights.backers.length === 0 ? (
+                        <p style={{ color: '#9ca3af' }}>No active pledges yet.</p>
+                    ) : (
+                        <ul className="backer-list">
+                            {insights.backers.map(({ address, pledge }) => (
+                                <li key={address}>
+                                    <span className="mono">{address.substring(0, 8)}...{address.substring(38)}</span>
+                                    <strong>{formatEncryptedUnits(pledge, campaign)}</strong>
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+
+                    <button
+                        onClick={handleDecrypt}
+                        disabled={loading}
+                        className="btn-secondary"
+                        style={{ marginTop: '15px' }}
+                    >
+                        {loading ? '⏳ Refreshing...' : '🔄 Refresh'}
+                    </button>
+                </>
+            )}
+        </div>
+    );
+}
+
+export default OwnerInsights;
@@ -1,11 +1,111 @@
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
 import { ethers } from 'ethers';
+import { userDecryptValue } from '../fhevmInstance';
+import { decryptRewardTier, formatRewardTier, loadRewardTiers } from '../rewardTiers';
+import {
+  CONFIDENTIAL_TOKEN_ABI,
+  ERC20_ABI,
+  formatAssetAmount,
+  formatEncryptedUnits,
+  toCampaignUnits
+} from '../tokens';
+
+// How long this contract stays an operator on the backer's confidential tokens
+const OPERATOR_DURATION_SECONDS = 60 * 60;
 
 function PledgeToCampaign({ contract, fhevmInstance, account, campaign, onClose, onSuccess }) {
   const [amount, setAmount] = useState('');
   const [loading, setLoading] = useState(false);
   const [status, setStatus] = useState({ type: '', message: '' });
 
+  const asset = campaign.fundingAsset || 'Native';
+  const symbol = campaign.assetSymbol || 'ETH';
+
+  // Top-up flow: backer's existing pledge
+  const isTopUp = campaign.hasPledged;
+  const [deposited, setDeposited] = useState(null);
+  const [myTotal, setMyTotal] = useState(null);
+  const [decryptingTotal, setDecryptingTotal] = useState(false);
+
+  useEffect(() => {
+    // Confidential-token deposits are encrypted; there is no cleartext amount to show
+    if (!isTopUp || asset === 'Confidential') return;
+    contract.ethPledges(campaign.id, account)
+      .then(setDeposited)
+      .catch(error => console.error('Error loading deposited amount:', error));
+  }, [contract, campaign.id, account, isTopUp, asset]);
+
+  // Reward tiers, and the backer's privately decrypted tier (null until checked)
+  const [rewardTiers, setRewardTiers] = useState([]);
+  const [myTier, setMyTier] = useState(null);
+  const [checkingTier, setCheckingTier] = useState(false);
+
+  useEffect(() => {
+    loadRewardTiers(contract, campaign.id, account)
+      .then(({ tiers }) => setRewardTiers(tiers))
+      .catch(error => console.error('Error loading reward tiers:', error));
+  }, [contract, campaign.id, account]);
+
+  // Only the backer's wallet can decrypt their tier; the amount behind it stays private
+  const checkMyTier = async () => {
+    const { tierHandle } = await loadRewardTiers(contract, campaign.id, account);
+    return tierHandle ? decryptRewardTier(contract, tierHandle) : 0;
+  };
+
+  const handleCheckMyTier = async () => {
+    try {
+      setCheckingTier(true);
+      setMyTier(await checkMyTier());
+    } catch (error) {
+      console.error('Error decrypting reward tier:', error);
+      setStatus({
+        type: 'error',
+        message: `Failed to decrypt your tier: ${error.message?.substring(0, 80) || 'Unknown error'}`
+      });
+    } finally {
+      setCheckingTier(false);
+    }
+  };
+
+  // ERC-20: make sure this contract may pull the pledge with transferFrom
+  const ensureAllowance = async (contractAddress, amount) => {
+    const token = new ethers.Contract(campaign.fundingToken, ERC20_ABI, contract.runner);
+    const allowance = await token.allowance(account, contractAddress);
+    if (allowance >= amount) return;
+
+    setStatus({ type: 'info', message: `✍️ Approving ${formatAssetAmount(amount, campaign)}...` });
+    const tx = await token.approve(contractAddress, amount);
+    await tx.wait();
+  };
+
+  // ERC-7984: this contract moves encrypted amounts as an operator
+  const ensureOperator = async (contractAddress) => {
+    const token = new ethers.Contract(campaign.fundingToken, CONFIDENTIAL_TOKEN_ABI, contract.runner);
+    if (await token.isOperator(account, contractAddress)) return;
+
+    setStatus({ type: 'info', message: `✍️ Authorizing FHEDge to transfer your ${symbol}...` });
+    const until = Math.floor(Date.now() / 1000) + OPERATOR_DURATION_SECONDS;
+    const tx = await token.setOperator(contractAddress, until);
+    await tx.wait();
+  };
+
+  const handleDecryptMyTotal = async () => {
+    try {
+      setDecryptingTotal(true);
+      const contractAddress = await contract.getAddress();
+      const handle = await contract.getPledgeAmount(campaign.id, account);
+      setMyTotal(await userDecryptValue(handle, contractAddress, contract.runner));
+    } catch (error) {
+      console.error('Error decrypting pledge total:', error);
+      setStatus({
+        type: 'error',
+        message: `Failed to decrypt your total: ${error.message?.substring(0, 80) || 'Unknown error'}`
+      });
+    } finally {
+      setDecryptingTotal(false);
+    }
+  };
+
   const handlePledge = async (e) => {
     e.preventDefault();
     
@@ -16,33 +116,80 @@ function PledgeToCampaign({ contract, fhevmInstance, account, campaign, onClose,
 
     try {
       setLoading(true);
-      setStatus({ type: 'info', message: '🔐 Encrypting pledge amount...' });
 
-      // Convert ETH to wei for encryption
-      const amountInWei = ethers.parseEther(amount);
+      // The contract only counts the pledge if the encrypted amount equals deposit / amountUnit,
+      // so convert with BigInt math (Number() would lose precision) and validate before encrypting
+      let deposit, units;
+      try {
+        ({ baseUnits: deposit, units } = toCampaignUnits(amount, campaign));
+      } catch (error) {
+        setStatus({ type: 'error', message: error.message });
+        return;
+      }
       
       const contractAddress = await contract.getAddress();
+      if (asset === 'ERC20') {
+        await ensureAllowance(contractAddress, deposit);
+      } else if (asset === 'Confidential') {
+        await ensureOperator(contractAddress);
+      }
+
+      setStatus({ type: 'info', message: '🔐 Encrypting pledge amount...' });
       const input = fhevmInstance.createEncryptedInput(contractAddress, account);
-      input.add64(Number(amountInWei));
+      input.add64(units);
       const encryptedAmount = await input.encrypt();
 
       setStatus({ type: 'info', message: '💰 Submitting pledge...' });
 
-      // Make the pledge with ETH value
-      const tx = await contract.pledge(
-        campaign.id,
-        encryptedAmount.handles[0],
-        encryptedAmount.inputProof,
-        { value: amountInWei }
-      );
+      let tx;
+      if (asset === 'ERC20') {
+        tx = await contract.pledgeToken(
+          campaign.id,
+          encryptedAmount.handles[0],
+          encryptedAmount.inputProof,
+          deposit
+        );
+      } else if (asset === 'Confidential') {
+        // The amount only travels encrypted: the token moves it with confidentialTransferFrom
+        tx = await contract.pledgeConfidential(
+          campaign.id,
+          encryptedAmount.handles[0],
+          encryptedAmount.inputProof
+        );
+      } else {
+        // Make the pledge with ETH value
+        tx = await contract.pledge(
+          campaign.id,
+          encryptedAmount.handles[0],
+          encryptedAmount.inputProof,
+          { value: deposit }
+        );
+      }
 
       setStatus({ type: 'info', message: '⏳ Waiting for confirmation...' });
       await tx.wait();
 
-      setStatus({ type: 'success', message: '✅ Pledge successful!' });
+      const successMessage = isTopUp ? '✅ Top-up successful!' : '✅ Pledge successful!';
+      if (rewardTiers.length > 0) {
+        setStatus({ type: 'info', message: `${successMessage} 🎁 Decrypting your reward tier...` });
+        try {
+          const tier = await checkMyTier();
+          setMyTier(tier);
+          setStatus({
+            type: 'success',
+            message: tier > 0 ? `${successMessage} 🎁 You qualify for ${formatRewardTier(tier, rewardTiers)}` : successMessage
+          });
+        } catch (error) {
+          // The pledge went through; the tier can still be checked from My Pledges
+          console.error('Error decrypting reward tier:', error);
+          setStatus({ type: 'success', message: successMessage });
+        }
+      } else {
+        setStatus({ type: 'success', message: successMessage });
+      }
       setTimeout(() => {
         onSuccess();
-      }, 1500);
+      }, rewardTiers.length > 0 ? 3000 : 1500);
     } catch (error) {
       console.error('Error making pledge:', error);
       setStatus({ 
@@ -58,7 +205,7 @@ function PledgeToCampaign({ contract, fhevmInstance, account, campaign, onClose,
     <div className="modal" onClick={onClose}>
       <div className="modal-content" onClick={(e) => e.stopPropagation()}>
         <div className="modal-header">
-          <h2>💰 Make a Pledge</h2>
+          <h2>{isTopUp ? '➕ Top Up Your Pledge' : '💰 Make a Pledge'}</h2>
           <button className="close-btn" onClick={onClose} disabled={loading}>×</button>
         </div>
 
@@ -87,6 +234,77 @@ function PledgeToCampaign({ contract, fhevmInstance, account, campaign, onClose,
           </div>
         </div>
 
+        {isTopUp && (
+          <div className="privacy-notice" style={{marginBottom: '20px'}}>
+            <span className="privacy-icon">🧾</span>
+            <div style={{flex: 1}}>
+              <h4>Your Pledge So Far</h4>
+              {asset !== 'Confidential' && (
+                <p>
+                  {symbol} deposited (after fee):{' '}
+                  <strong>{deposited !== null ? formatAssetAmount(deposited, campaign) : '...'}</strong>
+                </p>
+              )}
+              <p>
+                Encrypted running total:{' '}
+                {myTotal !== null ? (
+                  <strong>{formatEncryptedUnits(myTotal, campaign)}</strong>
+                ) : (
+                  <button
+                    type="button"
+                    onClick={handleDecryptMyTotal}
+                    className="btn-secondary"
+                    disabled={decryptingTotal || loading}
+                  >
+                    {decryptingTotal ? '🔄 Decrypting...' : '🔓 Decrypt my total'}
+                  </button>
+                )}
+              </p>
+            </div>
+          </div>
+        )}
+
+        {rewardTiers.length > 0 && (
+          <div className="privacy-notice" style={{marginBottom: '20px'}}>
+            <span className="privacy-icon">🎁</span>
+            <div style={{flex: 1}}>
+              <h4>Reward Tiers</h4>
+              <ul className="backer-list">
+                {rewardTiers.map((tier, index) => (
+                  <li key={index}>
+                    <span>{formatRewardTier(index + 1, rewardTiers)}</span>
+                    <strong>
+                      {tier.publicMinimum > 0n
+                        ? `from ${formatEncryptedUnits(tier.publicMinimum, campaign)}`
+                        : '🔒 Private minimum'}
+                    </strong>
+                  </li>
+                ))}
+              </ul>
+              {isTopUp && (
+                <p style={{marginTop: '10px'}}>
+                  Your tier:{' '}
+                  {myTier !== null ? (
+                    <strong>{formatRewardTier(myTier, rewardTiers)}</strong>
+                  ) : (
+                    <button
+                      type="button"
+                      onClick={handleCheckMyTier}
+                      className="btn-secondary"
+                      disabled={checkingTier || loading}
+                    >
+                      {checkingTier ? '🔄 Decrypting...' : '🔓 Check my tier'}
+                    </button>
+                  )}
+                </p>
+              )}
+              <p style={{marginTop: '10px'}}>
+                <small>Your tier is computed on your encrypted total - only you and the owner can decrypt it</small>
+              </p>
+            </div>
+          </div>
+        )}
+
         {status.message && (
           <div className={`alert alert-${status.type}`} style={{marginBottom: '20px'}}>
             {status.message}
@@ -95,7 +313,7 @@ function PledgeToCampaign({ contract, fhevmInstance, account, campaign, onClose,
 
         <form onSubmit={handlePledge}>
           <div className="form-group">
-            <label>Pledge Amount (ETH) * 🔒 Encrypted</label>
+            <label>{isTopUp ? 'Top-Up Amount' : 'Pledge Amount'} ({symbol}) * 🔒 Encrypted</label>
             <input
               type="number"
               step="0.001"
@@ -107,7 +325,17 @@ function PledgeToCampaign({ contract, fhevmInstance, account, campaign, onClose,
               min="0.001"
               autoFocus
             />
-            <small>💡 Examples: 0.1 ETH, 1 ETH, 0.01 ETH</small>
+            {asset === 'Native' && <small>💡 Examples: 0.1 ETH, 1 ETH, 0.01 ETH</small>}
+            <small style={{display: 'block'}}>
+              {asset === 'Confidential'
+                ? `🔐 ${symbol} is transferred encrypted - the amount never appears on-chain`
+                : `🔗 The encrypted amount is checked on-chain against the ${symbol} you send`}
+            </small>
+            {asset === 'ERC20' && (
+              <small style={{display: 'block'}}>
+                ✍️ You may be asked to approve {symbol} spending first
+              </small>
+            )}
             <div 
               style={{
                 marginTop: '18px',
@@ -142,7 +370,7 @@ function PledgeToCampaign({ contract, fhevmInstance, account, campaign, onClose,
               className="btn-primary btn-large"
               disabled={loading}
             >
-              {loading ? '🔄 Processing...' : '💸 Pledge Now'}
+              {loading ? '🔄 Processing...' : isTopUp ? '➕ Top Up Now' : '💸 Pledge Now'}
             </button>
             <button 
               type="button" 
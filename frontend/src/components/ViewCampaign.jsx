@@ -1,6 +1,11 @@
+import { useState } from 'react';
 import DecryptionResults from './DecryptionResults';
+import OwnerInsights from './OwnerInsights';
+import MilestoneTimeline from './MilestoneTimeline';
+import { canClaimFunds, hasClaimableFunds, isAwaitingReveal } from '../settlement';
+import { formatAssetAmount } from '../tokens';
 
-function ViewCampaign({ campaign, contract, account, onClose, onPledge, onRefresh }) {
+function ViewCampaign({ campaign, contract, account, deploymentBlock, onBack, onPledge, onConnect, onRefresh }) {
   const timeLeft = campaign.deadline * 1000 - Date.now();
   const daysLeft = Math.floor(timeLeft / (1000 * 60 * 60 * 24));
   const hoursLeft = Math.floor((timeLeft % (1000 * 60 * 60 * 24)) / (1000 * 60 * 60));
@@ -9,7 +14,61 @@ function ViewCampaign({ campaign, contract, account, onClose, onPledge, onRefres
   const isExpired = timeLeft < 0;
   const isOwner = campaign.isOwner;
   const hasPledged = campaign.hasPledged || false;
-  const canPledge = campaign.active && !isExpired && !isOwner && !hasPledged;
+  const canPledge = campaign.active && !isExpired && !isOwner;
+
+  // All-or-nothing: claim or refund depends on the publicly revealed goal result.
+  // Milestone campaigns release funds through the timeline instead of one claim.
+  const isRevealed = campaign.decryptionStatus === 'Completed';
+  const hasMilestones = campaign.milestoneCount > 0;
+  const canClaim = canClaimFunds(campaign) && !hasMilestones;
+  const canRefund = !isOwner && hasPledged && !campaign.claimed &&
+    (campaign.cancelled || (isRevealed && !campaign.goalReached) || campaign.milestonesRejected);
+  const canCancel = isOwner && campaign.active && !campaign.claimed && !isRevealed;
+
+  // Backers can pull their pledge out while the campaign is still running
+  const canWithdraw = !isOwner && hasPledged && campaign.active && !isExpired;
+  const [confirmingWithdraw, setConfirmingWithdraw] = useState(false);
+  const [withdrawAmount, setWithdrawAmount] = useState(null);
+  const [withdrawing, setWithdrawing] = useState(false);
+
+  const startWithdraw = async () => {
+    try {
+      setWithdrawAmount(await contract.ethPledges(campaign.id, account));
+    } catch (error) {
+      console.error('Error loading pledged amount:', error);
+      setWithdrawAmount(null);
+    }
+    setConfirmingWithdraw(true);
+  };
+
+  const handleCancel = async () => {
+    if (!window.confirm('🛑 Cancel this campaign?\n\nNo further pledges will be accepted and every backer will be able to refund immediately. This cannot be undone.')) {
+      return;
+    }
+    try {
+      const tx = await contract.cancelCampaign(campaign.id);
+      await tx.wait();
+      alert('✅ Campaign cancelled. Backers can now refund their pledges.');
+      onRefresh?.();
+    } catch (error) {
+      alert(`❌ ${error.message} `);
+    }
+  };
+
+  const handleWithdraw = async () => {
+    try {
+      setWithdrawing(true);
+      const tx = await contract.withdrawPledge(campaign.id);
+      await tx.wait();
+      alert('✅ Pledge withdrawn!');
+      onRefresh?.();
+    } catch (error) {
+      alert(`❌ ${error.message} `);
+    } finally {
+      setWithdrawing(false);
+      setConfirmingWithdraw(false);
+    }
+  };
 
   const formatDate = (timestamp) => {
     return new Date(timestamp * 1000).toLocaleString();
@@ -19,6 +78,9 @@ function ViewCampaign({ campaign, contract, account, onClose, onPledge, onRefres
     if (campaign.claimed) {
       return <span className="badge badge-claimed">🎉 Claimed</span>;
     }
+    if (campaign.cancelled) {
+      return <span className="badge badge-cancelled">🛑 Cancelled</span>;
+    }
     if (isExpired) {
       return <span className="badge badge-expired">⏰ Expired</span>;
     }
@@ -29,11 +91,11 @@ function ViewCampaign({ campaign, contract, account, onClose, onPledge, onRefres
   };
 
   return (
-    <div className="modal" onClick={onClose}>
-      <div className="modal-content modal-large" onClick={(e) => e.stopPropagation()}>
+    <div className="campaign-page">
+      <div className="campaign-page-content">
         <div className="modal-header">
           <h2>Campaign Details</h2>
-          <button className="close-btn" onClick={onClose}>×</button>
+          <button className="btn-secondary" onClick={onBack}>← Back</button>
         </div>
 
         <div className="campaign-detail">
@@ -66,9 +128,11 @@ function ViewCampaign({ campaign, contract, account, onClose, onPledge, onRefres
 
             {campaign.ethBalance !== undefined && (
               <div className="detail-item">
-                <div className="detail-label">💰 Raised (ETH)</div>
+                <div className="detail-label">💰 Raised ({campaign.assetSymbol || 'ETH'})</div>
                 <div className="detail-value highlight">
-                  {(Number(campaign.ethBalance) / 1e18).toFixed(4)} ETH
+                  {campaign.fundingAsset === 'Confidential'
+                    ? '🔒 Encrypted'
+                    : formatAssetAmount(campaign.ethBalance, campaign)}
                 </div>
               </div>
             )}
@@ -83,7 +147,7 @@ function ViewCampaign({ campaign, contract, account, onClose, onPledge, onRefres
             <div className="detail-item">
               <div className="detail-label">📊 Status</div>
               <div className="detail-value">
-                {campaign.claimed ? 'Claimed' : isExpired ? 'Expired' : campaign.active ? 'Active' : 'Ended'}
+                {campaign.claimed ? 'Claimed' : campaign.cancelled ? 'Cancelled' : isExpired ? 'Expired' : campaign.active ? 'Active' : 'Ended'}
               </div>
             </div>
 
@@ -112,40 +176,69 @@ function ViewCampaign({ campaign, contract, account, onClose, onPledge, onRefres
             </div>
           </div>
 
+          {/* Tranche releases and backer objections */}
+          {hasMilestones && (
+            <MilestoneTimeline campaign={campaign} contract={contract} account={account} onUpdate={onRefresh} />
+          )}
+
+          {/* Owner-only private view of goal, progress and per-backer pledges */}
+          {isOwner && <OwnerInsights campaign={campaign} contract={contract} deploymentBlock={deploymentBlock} />}
+
           {/* Decryption Results (NEW) */}
           <DecryptionResults
             campaign={campaign}
             contract={contract}
+            readOnly={!account}
+            onConnect={onConnect}
             onUpdate={onRefresh}
-            onClose={onClose}
           />
 
+          {/* Withdrawal confirmation */}
+          {confirmingWithdraw && (
+            <div className="alert alert-warning" style={{ marginBottom: '20px' }}>
+              <p>
+                <strong>Withdraw your pledge?</strong> Your encrypted amount will be removed from the campaign total
+                and {campaign.fundingAsset !== 'Confidential' && withdrawAmount !== null
+                  ? formatAssetAmount(withdrawAmount, campaign)
+                  : 'your deposit'} will
+                be returned to your wallet. The 1% platform fee is not refunded.
+              </p>
+              <div style={{ display: 'flex', gap: '10px', marginTop: '10px' }}>
+                <button onClick={handleWithdraw} className="btn-danger" disabled={withdrawing}>
+                  {withdrawing ? '🔄 Withdrawing...' : '✔️ Confirm Withdrawal'}
+                </button>
+                <button onClick={() => setConfirmingWithdraw(false)} className="btn-secondary" disabled={withdrawing}>
+                  Cancel
+                </button>
+              </div>
+            </div>
+          )}
+
           {/* Actions */}
           <div className="detail-actions">
-            {campaign.active && !isExpired && !isOwner && (
+            {canPledge && (
               <button
-                onClick={() => {
-                  if (!hasPledged) {
-                    onClose();
-                    onPledge(campaign);
-                  }
-                }}
+                onClick={() => onPledge(campaign)}
                 className="btn-primary btn-large"
-                disabled={hasPledged}
-                style={hasPledged ? { opacity: 0.6, cursor: 'not-allowed' } : {}}
               >
-                {hasPledged ? '✅ Already Pledged' : '💰 Make a Pledge'}
+                {hasPledged ? '➕ Top Up Pledge' : '💰 Make a Pledge'}
               </button>
             )}
 
-            {isOwner && campaign.active && isExpired && !campaign.claimed && campaign.ethBalance > 0 && (
+            {canWithdraw && !confirmingWithdraw && (
+              <button onClick={startWithdraw} className="btn-danger btn-large">
+                ↩️ Withdraw Pledge
+              </button>
+            )}
+
+            {canClaim && (
               <button
                 onClick={async () => {
                   try {
                     const tx = await contract.claimCampaign(campaign.id);
                     await tx.wait();
                     alert('✅ Campaign claimed successfully!');
-                    onClose();
+                    onRefresh?.();
                   } catch (error) {
                     alert(`❌ ${error.message} `);
                   }
@@ -156,7 +249,7 @@ function ViewCampaign({ campaign, contract, account, onClose, onPledge, onRefres
               </button>
             )}
 
-            {isOwner && campaign.active && isExpired && !campaign.claimed && campaign.ethBalance === 0 && (
+            {isOwner && campaign.active && isExpired && !campaign.claimed && !hasClaimableFunds(campaign) && (
               <button
                 disabled
                 className="btn-claim-disabled btn-large"
@@ -166,14 +259,34 @@ function ViewCampaign({ campaign, contract, account, onClose, onPledge, onRefres
               </button>
             )}
 
-            {!isOwner && !campaign.active && !campaign.claimed && (
+            {isAwaitingReveal(campaign) && (
+              <button
+                disabled
+                className="btn-claim-disabled btn-large"
+                title="Reveal the campaign results before claiming"
+              >
+                🔒 Reveal Results to Claim
+              </button>
+            )}
+
+            {isOwner && isRevealed && !campaign.goalReached && !campaign.claimed && !campaign.cancelled && (
+              <button
+                disabled
+                className="btn-claim-disabled btn-large"
+                title="Backers can refund their pledges"
+              >
+                🎯 Goal Not Reached
+              </button>
+            )}
+
+            {canRefund && (
               <button
                 onClick={async () => {
                   try {
                     const tx = await contract.refund(campaign.id);
                     await tx.wait();
                     alert('✅ Refund successful!');
-                    onClose();
+                    onRefresh?.();
                   } catch (error) {
                     alert(`❌ ${error.message} `);
                   }
@@ -184,8 +297,14 @@ function ViewCampaign({ campaign, contract, account, onClose, onPledge, onRefres
               </button>
             )}
 
-            <button onClick={onClose} className="btn-secondary btn-large">
-              Close
+            {canCancel && (
+              <button onClick={handleCancel} className="btn-danger btn-large">
+                🛑 Cancel Campaign
+              </button>
+            )}
+
+            <button onClick={onBack} className="btn-secondary btn-large">
+              Back to Campaigns
             </button>
           </div>
         </div>
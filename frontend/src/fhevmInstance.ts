@@ -1,4 +1,5 @@
 // This loads the ES Module version (.js) instead of UMD (.umd.cjs)
+import { JsonRpcProvider } from 'ethers';
 
 // ============ TYPES AND CONSTANTS ============
 interface FheConfig {
@@ -7,18 +8,40 @@ interface FheConfig {
   relayerUrl: string;
 }
 
+// Entry of the network registry in networks.js
+interface NetworkConfig {
+  name: string;
+  chainIdHex: string;
+  fheMode: 'relayer' | 'mock';
+  fheConfig?: string;
+  relayerUrl?: string;
+  rpcUrl?: string;
+}
+
 interface Keypair {
   publicKey: string;
   privateKey: string;
 }
 
+interface UserDecryptAuthorization {
+  keypair: Keypair;
+  signature: string;
+  contractAddresses: string[];
+  userAddress: string;
+  startTimestamp: number;
+  durationDays: number;
+}
+
 // Constants
-const SEPOLIA_CHAIN_ID = '0xaa36a7';
-const RELAYER_URL = 'https://relayer.testnet.zama.org';
 const KEYPAIR_STORAGE_KEY = 'fhevm_keypair';
+const USER_DECRYPT_DURATION_DAYS = 1;
+const ZERO_HANDLE = '0x' + '0'.repeat(64);
 
 // ============ MODULE STATE ============
 let fheInstance: any = null;
+let fheInstancePromise: Promise<any> | null = null;
+let fheNetwork: NetworkConfig | null = null;
+let userDecryptAuthorization: UserDecryptAuthorization | null = null;
 
 // ============ ERROR MESSAGES ============
 const ErrorMessages = {
@@ -26,11 +49,12 @@ const ErrorMessages = {
   NO_SDK: 'RelayerSDK not loaded. Make sure index.html includes the correct script tag.',
   INCOMPLETE_SDK: 'SDK exports incomplete. Check SDK version.',
   WASM_FAILED: 'Failed to load WASM module. This may be a browser compatibility issue or network problem.',
-  INSTANCE_FAILED: 'Failed to create FHE instance. Please ensure you are connected to Sepolia testnet.',
-  NOT_INITIALIZED: 'FHE instance not initialized. Call initializeFheInstance() first.',
+  INSTANCE_FAILED: 'Failed to create FHE instance. Please ensure your wallet is on a supported network.',
+  NOT_INITIALIZED: 'FHE instance not initialized. Connect a wallet first.',
   INVALID_CIPHERTEXT: 'Invalid ciphertext handle format. Expected 0x-prefixed 32-byte hex string.',
   DECRYPTION_UNAVAILABLE: 'Decryption service temporarily unavailable. Please try again later.',
   SEPOLIA_DOWN: 'FHE system contracts on Sepolia are not responding. Check Zama Discord for testnet status.',
+  MOCK_NODE_UNAVAILABLE: 'No FHEVM mock node found. Start one with `npx hardhat node` (uses @fhevm/hardhat-plugin).',
 } as const;
 
 // ============ NETWORK UTILITIES ============
@@ -39,17 +63,17 @@ class NetworkUtils {
     return await window.ethereum.request({ method: 'eth_chainId' });
   }
 
-  static isSepoliaNetwork(chainId: string): boolean {
-    return chainId === SEPOLIA_CHAIN_ID;
+  static isNetwork(chainId: string, network: NetworkConfig): boolean {
+    return chainId.toLowerCase() === network.chainIdHex;
   }
 
-  static async validateNetwork(): Promise<void> {
+  static async validateNetwork(network: NetworkConfig): Promise<void> {
     try {
       const chainId = await this.getCurrentChainId();
-      console.log('🌐 Blockchain Network:', chainId === '0xaa36a7' ? 'Sepolia Testnet' : `Chain ID ${chainId}`);
+      console.log('🌐 Blockchain Network:', this.isNetwork(chainId, network) ? network.name : `Chain ID ${chainId}`);
 
-      if (!this.isSepoliaNetwork(chainId)) {
-        console.warn('⚠️  Not on Sepolia testnet. Current chain:', chainId);
+      if (!this.isNetwork(chainId, network)) {
+        console.warn(`⚠️  Not on ${network.name}. Current chain:`, chainId);
       }
     } catch (error) {
       console.warn('⚠️  Could not verify chain ID:', error);
@@ -93,6 +117,49 @@ class KeypairManager {
   }
 }
 
+// ============ USER DECRYPTION AUTHORIZATION ============
+class UserDecryptAuthorizer {
+  static isValid(auth: UserDecryptAuthorization | null, contractAddress: string, userAddress: string): boolean {
+    if (!auth) return false;
+
+    const expiresAt = auth.startTimestamp + auth.durationDays * 24 * 60 * 60;
+    return auth.userAddress.toLowerCase() === userAddress.toLowerCase() &&
+      auth.contractAddresses.some(address => address.toLowerCase() === contractAddress.toLowerCase()) &&
+      expiresAt > Math.floor(Date.now() / 1000) + 60;
+  }
+
+  // One EIP-712 signature per session authorizes every user decryption for the contract
+  static async authorize(fhe: any, contractAddress: string, signer: any): Promise<UserDecryptAuthorization> {
+    const userAddress = await signer.getAddress();
+
+    if (this.isValid(userDecryptAuthorization, contractAddress, userAddress)) {
+      return userDecryptAuthorization!;
+    }
+
+    const keypair = KeypairManager.getOrCreateKeypair(fhe);
+    const startTimestamp = Math.floor(Date.now() / 1000);
+    const contractAddresses = [contractAddress];
+    const eip712 = fhe.createEIP712(keypair.publicKey, contractAddresses, startTimestamp, USER_DECRYPT_DURATION_DAYS);
+
+    console.log('✍️  User Decryption: Requesting EIP-712 signature from wallet...');
+    const signature = await signer.signTypedData(
+      eip712.domain,
+      { UserDecryptRequestVerification: eip712.types.UserDecryptRequestVerification },
+      eip712.message
+    );
+
+    userDecryptAuthorization = {
+      keypair,
+      signature: signature.replace('0x', ''),
+      contractAddresses,
+      userAddress,
+      startTimestamp,
+      durationDays: USER_DECRYPT_DURATION_DAYS
+    };
+    return userDecryptAuthorization;
+  }
+}
+
 // ============ SDK VALIDATION ============
 class SdkValidator {
   static validateGlobalSdk(): any {
@@ -137,12 +204,17 @@ class FheInitializer {
     }
   }
 
-  static createConfig(sdk: any, keypair: Keypair): FheConfig {
+  static createConfig(sdk: any, keypair: Keypair, network: NetworkConfig): FheConfig {
+    const preset = network.fheConfig && sdk[network.fheConfig];
+    if (!preset) {
+      throw new Error(`Relayer SDK has no ${network.fheConfig} preset for ${network.name}`);
+    }
+
     return {
-      ...sdk.SepoliaConfig,
+      ...preset,
       network: window.ethereum,
       keypair,
-      relayerUrl: RELAYER_URL
+      relayerUrl: network.relayerUrl || preset.relayerUrl
     };
   }
 
@@ -159,6 +231,48 @@ class FheInitializer {
   }
 }
 
+// ============ LOCAL MOCK (HARDHAT NODE) ============
+class MockFheInitializer {
+  // The hardhat node answers relayer requests itself (fhevm_relayer_* RPC methods),
+  // so encryption and decryption need no relayer, KMS or network access
+  static async createMockInstance(rpcUrl: string): Promise<any> {
+    console.log('🧪 FHEVM Mock: Connecting to local Hardhat node at', rpcUrl);
+    const provider = new JsonRpcProvider(rpcUrl);
+
+    let metadata: any;
+    try {
+      metadata = await provider.send('fhevm_relayer_metadata', []);
+    } catch (error) {
+      console.error('❌ FHEVM mock metadata unavailable:', error);
+      throw new Error(ErrorMessages.MOCK_NODE_UNAVAILABLE);
+    }
+
+    // Loaded on demand so relayer-backed networks never download the mock
+    const { MockFhevmInstance, contracts } = await import('@fhevm/mock-utils');
+
+    // EIP-712 domains must match the verifier contracts deployed by the plugin
+    const [kmsVerifier, inputVerifier] = await Promise.all([
+      contracts.KMSVerifier.create(provider, metadata.KMSVerifierAddress),
+      contracts.InputVerifier.create(provider, metadata.InputVerifierAddress)
+    ]);
+
+    const instance = await MockFhevmInstance.create(provider, provider, {
+      aclContractAddress: metadata.ACLAddress,
+      chainId: metadata.chainId,
+      gatewayChainId: Number(inputVerifier.eip712Domain.chainId),
+      inputVerifierContractAddress: metadata.InputVerifierAddress,
+      kmsContractAddress: metadata.KMSVerifierAddress,
+      verifyingContractAddressDecryption: kmsVerifier.eip712Domain.verifyingContract,
+      verifyingContractAddressInputVerification: inputVerifier.eip712Domain.verifyingContract
+    }, {
+      inputVerifierProperties: inputVerifier.inputVerifierProperties,
+      kmsVerifierProperties: kmsVerifier.kmsVerifierProperties
+    });
+    console.log('✅ FHEVM Mock: Ready (encrypt, user decrypt and public decrypt run locally)');
+    return instance;
+  }
+}
+
 // ============ ERROR HANDLING ============
 class ErrorHandler {
   static handleInitializationError(error: any): never {
@@ -193,22 +307,28 @@ class ErrorHandler {
 }
 
 // ============ MAIN EXPORTS ============
-export async function initializeFheInstance(): Promise<any> {
+export async function initializeFheInstance(network: NetworkConfig): Promise<any> {
   if (typeof window === 'undefined' || !window.ethereum) {
     throw new Error(ErrorMessages.NO_ETHEREUM);
   }
 
   try {
+    if (network.fheMode === 'mock') {
+      await NetworkUtils.validateNetwork(network);
+      fheInstance = await MockFheInitializer.createMockInstance(network.rpcUrl!);
+      return fheInstance;
+    }
+
     // Validate and get SDK
     const sdk = SdkValidator.validateGlobalSdk();
     SdkValidator.validateSdkExports(sdk);
 
     // Initialize core components
     await FheInitializer.initializeWasm(sdk);
-    await NetworkUtils.validateNetwork();
+    await NetworkUtils.validateNetwork(network);
 
     const keypair = KeypairManager.getOrCreateKeypair(sdk);
-    const config = FheInitializer.createConfig(sdk, keypair);
+    const config = FheInitializer.createConfig(sdk, keypair, network);
 
     fheInstance = await FheInitializer.createFheInstance(sdk, config);
     return fheInstance;
@@ -218,6 +338,41 @@ export async function initializeFheInstance(): Promise<any> {
   }
 }
 
+/**
+ * Select the network the FHE instance is created for (no SDK work happens here);
+ * switching networks drops the current instance
+ */
+export function setFheNetwork(network: NetworkConfig | null): void {
+  if (network === fheNetwork) return;
+  fheNetwork = network;
+  fheInstance = null;
+  fheInstancePromise = null;
+}
+
+/**
+ * FHE instance for the selected network, initializing the SDK on first use
+ * so read-only visitors never download or start it
+ */
+export function loadFheInstance(): Promise<any> {
+  if (fheInstance) return Promise.resolve(fheInstance);
+  const network = fheNetwork;
+  if (!network) return Promise.reject(new Error(ErrorMessages.NOT_INITIALIZED));
+
+  if (!fheInstancePromise) {
+    fheInstancePromise = initializeFheInstance(network).then(instance => {
+      if (fheNetwork !== network) {
+        if (fheInstance === instance) fheInstance = null;
+        throw new Error('Network changed while the FHE SDK was loading');
+      }
+      return instance;
+    }).catch(error => {
+      if (fheNetwork === network) fheInstancePromise = null;
+      throw error;
+    });
+  }
+  return fheInstancePromise;
+}
+
 export function getFheInstance(): any {
   if (!fheInstance) {
     throw new Error(ErrorMessages.NOT_INITIALIZED);
@@ -236,7 +391,7 @@ export async function publicDecryptMultiple(handles: string[]): Promise<{
   abiEncodedClearValues: string;
   decryptionProof: string;
 }> {
-  const fhe = getFheInstance();
+  const fhe = await loadFheInstance();
 
   // Validate all handles
   handles.forEach(handle => {
@@ -254,30 +409,77 @@ export async function publicDecryptMultiple(handles: string[]): Promise<{
   }
 }
 
+/**
+ * User decryption for viewing own encrypted data (several handles, one signature)
+ * Uninitialized (zero) handles decrypt to 0 without a relayer round-trip
+ * @param handles Ciphertext handles to decrypt
+ * @param contractAddress Contract address that owns the ciphertexts
+ * @param signer Wallet signer of the user the handles are shared with
+ * @returns Decrypted values keyed by handle
+ */
+export async function userDecryptMultiple(
+  handles: string[],
+  contractAddress: string,
+  signer: any
+): Promise<Record<string, bigint | boolean | string>> {
+  const fhe = await loadFheInstance();
+  handles.forEach(handle => {
+    validateCiphertext(handle);
+  });
+
+  const results: Record<string, bigint | boolean | string> = {};
+  const encryptedHandles = handles.filter(handle => handle !== ZERO_HANDLE);
+  handles.filter(handle => handle === ZERO_HANDLE).forEach(handle => {
+    results[handle] = 0n;
+  });
+
+  if (encryptedHandles.length === 0) {
+    return results;
+  }
+
+  try {
+    const auth = await UserDecryptAuthorizer.authorize(fhe, contractAddress, signer);
+
+    console.log('🔓 User Decryption: Requesting', encryptedHandles.length, 'private values from encrypted handles');
+    const decrypted = await fhe.userDecrypt(
+      encryptedHandles.map(handle => ({ handle, contractAddress })),
+      auth.keypair.privateKey,
+      auth.keypair.publicKey,
+      auth.signature,
+      auth.contractAddresses,
+      auth.userAddress,
+      auth.startTimestamp,
+      auth.durationDays
+    );
+    console.log('✅ User Decryption: Values decrypted successfully');
+    return { ...results, ...decrypted };
+  } catch (error: any) {
+    console.error('❌ User decryption failed:', error);
+    throw handleDecryptionError(error);
+  }
+}
+
 /**
  * User decryption for viewing own encrypted data
  * @param handle Ciphertext handle to decrypt
  * @param contractAddress Contract address that owns the ciphertext
- * @param userAddress User address requesting decryption
+ * @param signer Wallet signer of the user the handle is shared with
  * @returns Decrypted value as bigint
  */
 export async function userDecryptValue(
   handle: string,
   contractAddress: string,
-  userAddress: string
+  signer: any
 ): Promise<bigint> {
-  const fhe = getFheInstance();
-  validateCiphertext(handle);
+  const results = await userDecryptMultiple([handle], contractAddress, signer);
+  return BigInt(results[handle]);
+}
 
-  try {
-    console.log('🔓 User Decryption: Requesting private value from encrypted handle');
-    const result = await fhe.userDecrypt(handle, contractAddress, userAddress);
-    console.log('✅ User Decryption: Value decrypted successfully');
-    return BigInt(result);
-  } catch (error: any) {
-    console.error('❌ User decryption failed:', error);
-    throw handleDecryptionError(error);
-  }
+/**
+ * Forget the cached EIP-712 user decryption signature (e.g. on wallet disconnect)
+ */
+export function clearUserDecryptAuthorization(): void {
+  userDecryptAuthorization = null;
 }
 
 // ============ DECRYPTION UTILITIES ============
@@ -0,0 +1,110 @@
+// Network registry: every chain FHEDge is deployed on, keyed by chain ID.
+// The app follows the wallet's chain and refuses chains that are not listed here.
+
+const env = import.meta.env;
+
+// Deployment manifests written by scripts/deploy.js (deployments/<network>.json), bundled at build time
+const MANIFESTS = Object.values(import.meta.glob('../../deployments/*.json', { eager: true, import: 'default' }));
+
+/**
+ * Contract address and first block for a chain: frontend/.env first, then the deployment
+ * manifest. Without either the address is undefined and the chain counts as not deployed.
+ */
+function resolveDeployment(chainId, envAddress, envDeploymentBlock) {
+  const manifest = MANIFESTS.find(candidate => candidate.chainId === chainId);
+  const contractAddress = envAddress || manifest?.address;
+  // The manifest's block only applies to the manifest's own contract
+  const isManifestContract = !!manifest && contractAddress.toLowerCase() === manifest.address.toLowerCase();
+  return {
+    contractAddress,
+    // First block worth scanning for FHEDge events
+    deploymentBlock: Number(envDeploymentBlock || (isManifestContract ? manifest.blockNumber : 0))
+  };
+}
+
+export const NETWORKS = {
+  11155111: {
+    key: 'sepolia',
+    name: 'Sepolia',
+    chainId: 11155111,
+    chainIdHex: '0xaa36a7',
+    ...resolveDeployment(
+      11155111,
+      env.VITE_SEPOLIA_CONTRACT_ADDRESS || env.VITE_CONTRACT_ADDRESS,
+      env.VITE_SEPOLIA_DEPLOYMENT_BLOCK
+    ),
+    // 'relayer': Zama Relayer SDK (loaded from the CDN in index.html) with this SDK preset
+    fheMode: 'relayer',
+    fheConfig: 'SepoliaConfig',
+    relayerUrl: 'https://relayer.testnet.zama.org',
+    // Public JSON-RPC used for read-only browsing before a wallet connects
+    rpcUrl: env.VITE_SEPOLIA_RPC_URL || 'https://ethereum-sepolia-rpc.publicnode.com',
+    // A block every ~12s: this long without one means the event subscription dropped
+    staleBlockMs: 90000
+  },
+  31337: {
+    key: 'localhost',
+    name: 'Hardhat (local)',
+    chainId: 31337,
+    chainIdHex: '0x7a69',
+    ...resolveDeployment(31337, env.VITE_LOCAL_CONTRACT_ADDRESS, env.VITE_LOCAL_DEPLOYMENT_BLOCK),
+    // 'mock': @fhevm/mock-utils against a `npx hardhat node` running @fhevm/hardhat-plugin
+    fheMode: 'mock',
+    rpcUrl: env.VITE_LOCAL_RPC_URL || 'http://127.0.0.1:8545',
+    // Automine only produces blocks for transactions, so silence is normal
+    staleBlockMs: null
+  }
+};
+
+// Chains with a deployment (entries without an address are skipped)
+export const SUPPORTED_NETWORKS = Object.values(NETWORKS).filter(network => network.contractAddress);
+
+/**
+ * Look up a supported network by chain ID (number, bigint or 0x-hex string)
+ * @returns The network config, or null if FHEDge is not deployed there
+ */
+export function getNetwork(chainId) {
+  const network = NETWORKS[Number(chainId)];
+  return network && network.contractAddress ? network : null;
+}
+
+/**
+ * Whether two network entries point at the same FHEDge contract (campaign ids are only meaningful within one)
+ */
+export function isSameDeployment(a, b) {
+  return !!a && !!b && a.chainId === b.chainId &&
+    a.contractAddress.toLowerCase() === b.contractAddress.toLowerCase();
+}
+
+// Chain browsed read-only before a wallet connects, and offered when the wallet is on an unsupported one (VITE_NETWORK)
+export const DEFAULT_NETWORK =
+  SUPPORTED_NETWORKS.find(network => network.key === (env.VITE_NETWORK || 'sepolia')) || SUPPORTED_NETWORKS[0];
+
+// Shown when no network has a deployment at all
+export const NOT_DEPLOYED_MESSAGE =
+  'FHEDge is not deployed on any network yet: deploy it or set a contract address in frontend/.env.';
+
+/**
+ * Error shown when the wallet is on a chain without an FHEDge deployment
+ */
+export function unsupportedNetworkMessage(chainId) {
+  const known = NETWORKS[Number(chainId)];
+  const current = known
+    ? `FHEDge is not deployed on ${known.name} (chain ID ${known.chainId}).`
+    : `Unsupported network (chain ID ${Number(chainId)}).`;
+  if (SUPPORTED_NETWORKS.length === 0) return `${current} ${NOT_DEPLOYED_MESSAGE}`;
+  const supported = SUPPORTED_NETWORKS.map(network => `${network.name} (${network.chainId})`).join(', ');
+  return `${current} FHEDge is available on: ${supported}.`;
+}
+
+/**
+ * Parameters for wallet_addEthereumChain (for chains the wallet does not know yet)
+ */
+export function getAddChainParams(network) {
+  return {
+    chainId: network.chainIdHex,
+    chainName: network.name,
+    nativeCurrency: { name: 'Ether', symbol: 'ETH', decimals: 18 },
+    rpcUrls: [network.rpcUrl]
+  };
+}
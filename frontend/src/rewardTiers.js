@@ -0,0 +1,33 @@
+import { ethers } from 'ethers';
+import { userDecryptValue } from './fhevmInstance';
+
+// Mirrors FHEDge.MAX_REWARD_TIERS
+export const MAX_REWARD_TIERS = 5;
+
+/**
+ * A campaign's reward tiers (lowest first) and `account`'s encrypted tier handle
+ * (null until they pledge, or after they withdraw)
+ * @returns {Promise<{ tiers: { name: string, publicMinimum: bigint }[], tierHandle: string|null }>}
+ */
+export async function loadRewardTiers(contract, campaignId, account) {
+  const [tiers, tierHandle] = await contract.getRewardTiers(campaignId, account ?? ethers.ZeroAddress);
+  return {
+    tiers: tiers.map(tier => ({ name: tier.name, publicMinimum: tier.publicMinimum })),
+    tierHandle: tierHandle === ethers.ZeroHash ? null : tierHandle
+  };
+}
+
+/**
+ * User-decrypt a backer's tier: 0 for none, i for the i-th tier
+ */
+export async function decryptRewardTier(contract, tierHandle) {
+  const contractAddress = await contract.getAddress();
+  return Number(await userDecryptValue(tierHandle, contractAddress, contract.runner));
+}
+
+/**
+ * Human-readable tier, e.g. "Tier 2 · Backer"
+ */
+export function formatRewardTier(tier, tiers) {
+  return tier > 0 ? `Tier ${tier} · ${tiers[tier - 1].name}` : 'No reward tier yet';
+}
@@ -0,0 +1,84 @@
+/**
+ * Client-side routing on the History API
+ *
+ * Gives campaigns and tabs shareable URLs while keeping browser back/forward
+ * working. The host must serve index.html for every route (Vite's dev server
+ * and `vite preview` already do).
+ */
+import { useEffect, useState } from 'react';
+
+const ROUTE_CHANGE_EVENT = 'fhedge:routechange';
+
+const ROUTES = [
+  { name: 'home', pattern: /^\/$/ },
+  { name: 'campaign', pattern: /^\/campaign\/(\d+)$/ },
+  { name: 'create', pattern: /^\/create$/ },
+  { name: 'myCampaigns', pattern: /^\/me\/campaigns$/ },
+  { name: 'myPledges', pattern: /^\/me\/pledges$/ },
+];
+
+export const paths = {
+  home: () => '/',
+  campaign: (id) => `/campaign/${id}`,
+  create: () => '/create',
+  myCampaigns: () => '/me/campaigns',
+  myPledges: () => '/me/pledges',
+};
+
+/**
+ * Route for a pathname: { name, id } (id only for campaign pages), or name 'notFound'
+ */
+export function matchRoute(pathname) {
+  const path = pathname.replace(/\/+$/, '') || '/';
+  for (const { name, pattern } of ROUTES) {
+    const match = path.match(pattern);
+    if (match) return { name, id: match[1] === undefined ? null : Number(match[1]) };
+  }
+  return { name: 'notFound', id: null };
+}
+
+/**
+ * Go to `path` as a new history entry (or in place of the current one with `replace`)
+ */
+export function navigate(path, { replace = false } = {}) {
+  if (path === window.location.pathname) return;
+  if (replace) {
+    window.history.replaceState(window.history.state, '', path);
+  } else {
+    // Marks entries that have an in-app page behind them (see goBack)
+    window.history.pushState({ inApp: true }, '', path);
+    window.scrollTo(0, 0);
+  }
+  window.dispatchEvent(new Event(ROUTE_CHANGE_EVENT));
+}
+
+/**
+ * Step back through history if the previous entry is in the app, otherwise open `fallbackPath`
+ * (e.g. when a shared link was opened directly)
+ */
+export function goBack(fallbackPath = paths.home()) {
+  if (window.history.state?.inApp) {
+    window.history.back();
+  } else {
+    navigate(fallbackPath, { replace: true });
+  }
+}
+
+/**
+ * Current route, updated on navigate() and on browser back/forward
+ */
+export function useRoute() {
+  const [route, setRoute] = useState(() => matchRoute(window.location.pathname));
+
+  useEffect(() => {
+    const update = () => setRoute(matchRoute(window.location.pathname));
+    window.addEventListener('popstate', update);
+    window.addEventListener(ROUTE_CHANGE_EVENT, update);
+    return () => {
+      window.removeEventListener('popstate', update);
+      window.removeEventListener(ROUTE_CHANGE_EVENT, update);
+    };
+  }, []);
+
+  return route;
+}
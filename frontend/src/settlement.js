@@ -0,0 +1,31 @@
+/**
+ * Owner settlement checks shared by the campaign list and the campaign page,
+ * mirroring FHEDge.claimCampaign (all-or-nothing on the revealed goal result)
+ */
+
+/**
+ * Whether the campaign may hold funds to claim. Confidential-token balances are
+ * encrypted (ethBalance stays 0), so the contract lets those campaigns claim regardless.
+ */
+export function hasClaimableFunds(campaign) {
+  return campaign.fundingAsset === 'Confidential' || campaign.ethBalance > 0n;
+}
+
+function isClaimPending(campaign, now) {
+  return campaign.isOwner && campaign.active && campaign.deadline * 1000 < now &&
+    !campaign.claimed && hasClaimableFunds(campaign);
+}
+
+/**
+ * The owner can take the funds: claimCampaign, or tranche by tranche for milestone campaigns
+ */
+export function canClaimFunds(campaign, now = Date.now()) {
+  return isClaimPending(campaign, now) && campaign.decryptionStatus === 'Completed' && campaign.goalReached;
+}
+
+/**
+ * The owner has funds waiting on the public reveal before they can claim
+ */
+export function isAwaitingReveal(campaign, now = Date.now()) {
+  return isClaimPending(campaign, now) && campaign.decryptionStatus !== 'Completed';
+}
@@ -0,0 +1,100 @@
+import { ethers } from 'ethers';
+
+// Mirrors FHEDge.FundingAsset (enum order matters)
+export const FUNDING_ASSETS = ['Native', 'ERC20', 'Confidential'];
+
+export const FUNDING_ASSET_LABELS = {
+  Native: 'Native ETH',
+  ERC20: 'ERC-20 token',
+  Confidential: 'Confidential token (ERC-7984)'
+};
+
+export const NATIVE_ASSET = { symbol: 'ETH', decimals: 18 };
+
+// Largest value that fits in the contract's euint64 goal/pledge amounts
+export const MAX_UINT64 = 2n ** 64n - 1n;
+
+// Encrypted amounts keep at most this many decimals: ETH campaigns count gwei,
+// 6-decimal stablecoins count their base unit
+export const AMOUNT_UNIT_DECIMALS = 9;
+
+export const ERC20_ABI = [
+  "function symbol() view returns (string)",
+  "function decimals() view returns (uint8)",
+  "function balanceOf(address account) view returns (uint256)",
+  "function allowance(address owner, address spender) view returns (uint256)",
+  "function approve(address spender, uint256 amount) returns (bool)"
+];
+
+export const CONFIDENTIAL_TOKEN_ABI = [
+  "function symbol() view returns (string)",
+  "function decimals() view returns (uint8)",
+  "function isOperator(address holder, address spender) view returns (bool)",
+  "function setOperator(address operator, uint48 until)"
+];
+
+// Token metadata never changes, so cache it for the session
+const metadataCache = new Map();
+
+/**
+ * Load symbol and decimals for a funding token (ERC-20 and ERC-7984 share both getters)
+ */
+export async function loadTokenMetadata(tokenAddress, runner) {
+  const key = tokenAddress.toLowerCase();
+  if (!metadataCache.has(key)) {
+    const token = new ethers.Contract(tokenAddress, ERC20_ABI, runner);
+    const request = Promise.all([token.symbol(), token.decimals()])
+      .then(([symbol, decimals]) => ({ symbol, decimals: Number(decimals) }))
+      .catch(error => {
+        metadataCache.delete(key);
+        throw error;
+      });
+    metadataCache.set(key, request);
+  }
+  return metadataCache.get(key);
+}
+
+/**
+ * Format an amount in the campaign's funding asset, e.g. "12.5 USDC"
+ */
+export function formatAssetAmount(amount, campaign, maxDecimals = 4) {
+  const decimals = campaign.assetDecimals ?? NATIVE_ASSET.decimals;
+  const symbol = campaign.assetSymbol ?? NATIVE_ASSET.symbol;
+  const value = Number(ethers.formatUnits(amount ?? 0n, decimals));
+  return `${value.toFixed(Math.min(maxDecimals, decimals))} ${symbol}`;
+}
+
+/**
+ * Amount unit (base units per encrypted unit) a new campaign declares for an asset
+ */
+export function defaultAmountUnit(decimals) {
+  return 10n ** BigInt(Math.max(0, decimals - AMOUNT_UNIT_DECIMALS));
+}
+
+/**
+ * Format a decrypted goal/pledge/total (counted in the campaign's amount unit)
+ */
+export function formatEncryptedUnits(units, campaign, maxDecimals = 4) {
+  return formatAssetAmount(BigInt(units) * (campaign.amountUnit ?? 1n), campaign, maxDecimals);
+}
+
+/**
+ * Convert user input with BigInt math into the deposit (wei/base units) and the
+ * value to encrypt (amount units), validating precision and euint64 range first
+ * @returns {{ baseUnits: bigint, units: bigint }}
+ */
+export function toCampaignUnits(value, campaign) {
+  const decimals = campaign.assetDecimals ?? NATIVE_ASSET.decimals;
+  const amountUnit = campaign.amountUnit ?? 1n;
+  const baseUnits = ethers.parseUnits(value, decimals);
+
+  if (baseUnits % amountUnit !== 0n) {
+    const symbol = campaign.assetSymbol ?? NATIVE_ASSET.symbol;
+    throw new Error(`Amount must be a multiple of ${ethers.formatUnits(amountUnit, decimals)} ${symbol}`);
+  }
+  const units = baseUnits / amountUnit;
+  if (units > MAX_UINT64) {
+    throw new Error(`Amount is too large to encrypt (max ~${formatEncryptedUnits(MAX_UINT64, campaign, 2)})`);
+  }
+  return { baseUnits, units };
+}
@@ -4,6 +4,13 @@ import react from '@vitejs/plugin-react';
 export default defineConfig({
   plugins: [react()],
 
+  server: {
+    fs: {
+      // networks.js bundles the deployment manifests from ../deployments
+      allow: ['.', '../deployments'],
+    }
+  },
+
   resolve: {
     alias: {
       buffer: 'buffer/',
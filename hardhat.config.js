@@ -1,6 +1,7 @@
 require("dotenv").config();
 require("@nomicfoundation/hardhat-ethers");
 require("@nomicfoundation/hardhat-chai-matchers");
+require("@fhevm/hardhat-plugin");
 const fs = require("fs");
 const path = require("path");
 
@@ -39,6 +40,8 @@ module.exports = {
         runs: 200,
       },
       evmVersion: "cancun",
+      // IR pipeline: keeps FHEDge under the 24 KB contract size limit (EIP-170)
+      viaIR: true,
     },
   },
   networks: {
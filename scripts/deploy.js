@@ -1,61 +1,112 @@
 const hre = require("hardhat");
-const ethers = require("ethers");
 const fs = require("fs");
 const path = require("path");
+const { exportFrontendAbi } = require("./export-abi");
+
+const ROOT = path.join(__dirname, "..");
+const DEPLOYMENTS_DIR = path.join(ROOT, "deployments");
+const FRONTEND_ENV = path.join(ROOT, "frontend/.env");
+
+// Prefix of the frontend/.env keys read by frontend/src/networks.js
+const FRONTEND_ENV_PREFIX = {
+  sepolia: "VITE_SEPOLIA",
+  localhost: "VITE_LOCAL",
+};
+
+/**
+ * keccak256 of the ABI JSON: changes whenever the contract interface does
+ */
+function abiHash(abi) {
+  return hre.ethers.id(JSON.stringify(abi));
+}
+
+/**
+ * Set (or add) KEY=value lines in a dotenv file, keeping every other line as-is
+ */
+function updateEnvFile(file, values) {
+  const lines = fs.existsSync(file) ? fs.readFileSync(file, "utf8").split("\n") : [];
+  const pending = new Map(Object.entries(values));
+
+  const updated = lines.map((line) => {
+    const key = line.split("=")[0].trim();
+    if (!pending.has(key)) return line;
+    const value = pending.get(key);
+    pending.delete(key);
+    return `${key}=${value}`;
+  });
+  while (updated.length && updated[updated.length - 1] === "") updated.pop();
+  for (const [key, value] of pending) {
+    updated.push(`${key}=${value}`);
+  }
+  fs.writeFileSync(file, updated.join("\n") + "\n");
+}
 
 async function main() {
   console.log("Deploying FHEDge contract...");
   console.log(`Network: ${hre.network.name}`);
 
-  // Get the artifact
-  const artifactPath = path.join(__dirname, "../artifacts/contracts/FHEDge.sol/FHEDge.json");
-  const artifact = JSON.parse(fs.readFileSync(artifactPath, "utf8"));
-
-  // Get provider
-  const provider = new ethers.JsonRpcProvider(
-    hre.network.name === "sepolia" 
-      ? process.env.SEPOLIA_RPC_URL 
-      : "http://127.0.0.1:5173"
-  );
-
-  // Get wallet
-  let wallet;
-  if (hre.network.name === "sepolia") {
-    if (!process.env.PRIVATE_KEY) {
-      console.log("❌ ERROR: PRIVATE_KEY not found in .env file!");
-      console.log("📝 Please add your private key to .env file:");
-      console.log("   PRIVATE_KEY=your_private_key_here");
-      process.exit(1);
-    }
-    wallet = new ethers.Wallet(process.env.PRIVATE_KEY, provider);
-  } else {
-    // Use default hardhat account for local deployment
-    wallet = new ethers.Wallet("0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80", provider);
+  // Signer from the network's `accounts` in hardhat.config.js (PRIVATE_KEY on Sepolia)
+  const [deployer] = await hre.ethers.getSigners();
+  if (!deployer) {
+    console.log(`❌ ERROR: No deployer account configured for ${hre.network.name}!`);
+    console.log("📝 Please add your private key to .env file:");
+    console.log("   PRIVATE_KEY=your_private_key_here");
+    process.exit(1);
   }
+  console.log(`Deploying from: ${deployer.address}`);
+
+  const artifact = await hre.artifacts.readArtifact("FHEDge");
+  const factory = await hre.ethers.getContractFactory("FHEDge", deployer);
 
-  console.log(`Deploying from: ${wallet.address}`);
-  
-  // Create contract factory
-  const ConfidentialPledge = new ethers.ContractFactory(
-    artifact.abi,
-    artifact.bytecode,
-    wallet
-  );
-  
   console.log("Deploying contract...");
-  
-  // Deploy the contract
-  const FHEDge = await ConfidentialPledge.deploy();
-  
+  const fhedge = await factory.deploy();
+
   console.log("Waiting for deployment...");
-  await FHEDge.waitForDeployment();
-  
-  const address = await FHEDge.getAddress();
-  
+  const receipt = await fhedge.deploymentTransaction().wait();
+  const address = await fhedge.getAddress();
+  const { chainId } = await hre.ethers.provider.getNetwork();
+
   console.log("\n✅ Deployment successful!");
-  console.log(`FHEDge deployed to: ${address}`);
-  console.log("\n📝 Save this address for future interactions!");
-  
+  console.log(`FHEDge deployed to: ${address} (block ${receipt.blockNumber})`);
+
+  if (hre.network.name === "hardhat") {
+    console.log("\n💡 In-process network: nothing written (use --network localhost or sepolia)");
+    return;
+  }
+
+  // Deployment manifest: deployments/<network>.json
+  const deployment = {
+    network: hre.network.name,
+    chainId: Number(chainId),
+    contract: "FHEDge",
+    address,
+    abiHash: abiHash(artifact.abi),
+    deployer: deployer.address,
+    blockNumber: receipt.blockNumber,
+    transactionHash: receipt.hash,
+    deployedAt: new Date().toISOString(),
+  };
+  fs.mkdirSync(DEPLOYMENTS_DIR, { recursive: true });
+  const manifestPath = path.join(DEPLOYMENTS_DIR, `${hre.network.name}.json`);
+  fs.writeFileSync(manifestPath, JSON.stringify(deployment, null, 2) + "\n");
+  console.log(`\n📝 Manifest written to ${path.relative(ROOT, manifestPath)}`);
+
+  // Shared ABI: the frontend builds its contract from the compiled artifact
+  for (const file of exportFrontendAbi(artifact)) {
+    console.log(`📝 ABI written to ${path.relative(ROOT, file)}`);
+  }
+
+  const prefix = FRONTEND_ENV_PREFIX[hre.network.name];
+  if (prefix) {
+    updateEnvFile(FRONTEND_ENV, {
+      [`${prefix}_CONTRACT_ADDRESS`]: address,
+      [`${prefix}_DEPLOYMENT_BLOCK`]: receipt.blockNumber,
+    });
+    console.log(`📝 ${prefix}_CONTRACT_ADDRESS and ${prefix}_DEPLOYMENT_BLOCK set in frontend/.env`);
+  } else {
+    console.log(`💡 frontend/.env not updated: ${hre.network.name} is not in frontend/src/networks.js`);
+  }
+
   // Verification is optional - skip for now
   console.log("\n💡 Contract verification can be done later with:");
   console.log(`   npx hardhat verify --network ${hre.network.name} ${address}`);
@@ -0,0 +1,123 @@
+/**
+ * Frontend ABI Export
+ *
+ * Copies the compiled FHEDge ABI from artifacts/ into the frontend and generates
+ * typed ethers bindings for it, so the frontend never keeps its own ABI list.
+ *
+ * Usage:
+ *   npm run export:abi   (compiles first; scripts/deploy.js also exports)
+ *
+ * Writes:
+ *   frontend/src/abi/FHEDge.json   ABI as emitted by solc
+ *   frontend/src/abi/index.ts      FHEDGE_ABI plus the FHEDge contract interface
+ */
+const fs = require("fs");
+const path = require("path");
+
+const ABI_DIR = path.join(__dirname, "../frontend/src/abi");
+const ABI_FILE = path.join(ABI_DIR, "FHEDge.json");
+const BINDINGS_FILE = path.join(ABI_DIR, "index.ts");
+
+const HEADER = "// Generated by scripts/export-abi.js from the FHEDge artifact - do not edit";
+
+/**
+ * TypeScript type for an ABI parameter; inputs accept what ethers accepts,
+ * outputs are what ethers decodes to
+ */
+function toTsType(param, isInput, structs) {
+  const array = param.type.match(/^(.*)\[\d*\]$/);
+  if (array) {
+    const inner = { ...param, type: array[1], internalType: param.internalType?.replace(/\[\d*\]$/, "") };
+    return `${toTsType(inner, isInput, structs)}[]`;
+  }
+  if (param.type === "tuple") {
+    const fields = param.components
+      .map((component, index) => `${component.name || `field${index}`}: ${toTsType(component, isInput, structs)}`)
+      .join("; ");
+    const structName = param.internalType?.match(/^struct (?:\w+\.)?(\w+)$/)?.[1];
+    if (isInput || !structName) return `{ ${fields} }`;
+    structs.set(structName, fields);
+    return structName;
+  }
+  if (/^u?int\d*$/.test(param.type)) return isInput ? "BigNumberish" : "bigint";
+  if (param.type === "address") return isInput ? "AddressLike" : "string";
+  if (param.type === "bool") return "boolean";
+  if (param.type === "string") return "string";
+  if (/^bytes\d*$/.test(param.type)) return isInput ? "BytesLike" : "string";
+  throw new Error(`Unsupported ABI type: ${param.type}`);
+}
+
+function renderFunction(fragment, structs) {
+  const isView = fragment.stateMutability === "view" || fragment.stateMutability === "pure";
+  const params = fragment.inputs.map((input, index) => `${input.name || `arg${index}`}: ${toTsType(input, true, structs)}`);
+  if (!isView) {
+    params.push(`overrides?: ${fragment.stateMutability === "payable" ? "PayableOverrides" : "Overrides"}`);
+  }
+
+  let returns = "ContractTransactionResponse";
+  if (isView) {
+    const outputs = fragment.outputs.map((output) => toTsType(output, false, structs));
+    returns = outputs.length === 1 ? outputs[0] : `[${outputs.join(", ")}]`;
+  }
+  return `  ${fragment.name}(${params.join(", ")}): Promise<${returns}>;`;
+}
+
+/**
+ * Source of frontend/src/abi/index.ts for the given ABI
+ */
+function renderBindings(abi) {
+  const structs = new Map();
+  const functions = abi.filter((fragment) => fragment.type === "function").map((fragment) => renderFunction(fragment, structs));
+  const events = abi.filter((fragment) => fragment.type === "event").map((fragment) => `'${fragment.name}'`);
+
+  return [
+    HEADER,
+    "import type { AddressLike, BaseContract, BigNumberish, BytesLike, ContractTransactionResponse, InterfaceAbi, Overrides, PayableOverrides } from 'ethers';",
+    "import abi from './FHEDge.json';",
+    "",
+    "export const FHEDGE_ABI: InterfaceAbi = abi;",
+    "",
+    `export type FHEDgeEventName = ${events.join(" | ")};`,
+    "",
+    ...[...structs].map(([name, fields]) => `export interface ${name} { ${fields} }\n`),
+    "export interface FHEDge extends BaseContract {",
+    ...functions,
+    "}",
+    "",
+  ].join("\n");
+}
+
+/**
+ * Write the ABI and bindings for `artifact` (as returned by hre.artifacts.readArtifact)
+ */
+function exportFrontendAbi(artifact) {
+  fs.mkdirSync(ABI_DIR, { recursive: true });
+  fs.writeFileSync(ABI_FILE, JSON.stringify(artifact.abi, null, 2) + "\n");
+  fs.writeFileSync(BINDINGS_FILE, renderBindings(artifact.abi));
+  return [ABI_FILE, BINDINGS_FILE];
+}
+
+async function main() {
+  const hre = require("hardhat");
+  await hre.run("compile");
+  const artifact = await hre.artifacts.readArtifact("FHEDge");
+  for (const file of exportFrontendAbi(artifact)) {
+    console.log(`📝 Wrote ${path.relative(path.join(__dirname, ".."), file)}`);
+  }
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  ABI_FILE,
+  BINDINGS_FILE,
+  renderBindings,
+  exportFrontendAbi,
+};
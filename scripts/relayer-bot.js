@@ -0,0 +1,267 @@
+const hre = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * FHEDge Relayer Bot
+ *
+ * Completes the 3-step public reveal headlessly, so no owner has to keep a
+ * browser open:
+ *   1. Watches DecryptionRequested events (Step 1 already on-chain)
+ *   2. Public-decrypts the handles (Zama relayer on Sepolia, mock relayer on Hardhat)
+ *   3. Submits callbackDecryptCampaignResult with the KMS proof
+ *
+ * Campaigns that still fail after BOT_MAX_RETRIES attempts are parked and
+ * retried from scratch after FAILED_RETRY_DELAY_MS.
+ *
+ * Usage:
+ *   CONTRACT_ADDRESS=0x... npx hardhat run scripts/relayer-bot.js --network sepolia
+ *
+ * Environment:
+ *   CONTRACT_ADDRESS     FHEDge contract address (default: deployments/<network>.json)
+ *   BOT_DRY_RUN=true     Decrypt and log, but never send transactions or save progress
+ *   BOT_ONCE=true        Process pending reveals once and exit
+ *   BOT_POLL_INTERVAL    Seconds between scans (default 30)
+ *   BOT_MAX_RETRIES      Attempts per campaign before giving up (default 5)
+ *   BOT_FROM_BLOCK       First block to scan when no progress is saved
+ *                        (default: the deployment block from deployments/<network>.json, else 0)
+ *   BOT_STATE_FILE       Progress file (default .relayer-bot/<network>.json)
+ */
+
+const DEFAULT_POLL_INTERVAL = 30;          // seconds
+const DEFAULT_MAX_RETRIES = 5;
+const BLOCK_CHUNK_SIZE = 5000;             // keep log queries under common RPC range limits
+const BACKOFF_BASE_MS = 15 * 1000;
+const BACKOFF_MAX_MS = 10 * 60 * 1000;
+const FAILED_RETRY_DELAY_MS = 60 * 60 * 1000;
+
+// Mirrors FHEDge.DecryptionStatus
+const DecryptionStatus = {
+  NotRequested: 0,
+  InProgress: 1,
+  Completed: 2,
+};
+
+/**
+ * Manifest written by scripts/deploy.js for a network, or null if it was never deployed there
+ */
+function loadDeployment(network, dir = path.join(__dirname, "..", "deployments")) {
+  const file = path.join(dir, `${network}.json`);
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : null;
+}
+
+function parseOptions(env = process.env, deployment = loadDeployment(hre.network.name)) {
+  const contractAddress = env.CONTRACT_ADDRESS || deployment?.address;
+  // The deployment block only applies to the manifest's own contract
+  const isManifestContract = !!deployment &&
+    contractAddress?.toLowerCase() === deployment.address.toLowerCase();
+
+  return {
+    contractAddress,
+    dryRun: env.BOT_DRY_RUN === "true",
+    once: env.BOT_ONCE === "true",
+    pollInterval: Number(env.BOT_POLL_INTERVAL || DEFAULT_POLL_INTERVAL),
+    maxRetries: Number(env.BOT_MAX_RETRIES || DEFAULT_MAX_RETRIES),
+    fromBlock: env.BOT_FROM_BLOCK
+      ? Number(env.BOT_FROM_BLOCK)
+      : isManifestContract ? deployment.blockNumber : 0,
+    stateFile: env.BOT_STATE_FILE ||
+      path.join(__dirname, "..", ".relayer-bot", `${hre.network.name}.json`),
+  };
+}
+
+// ============ PERSISTED PROGRESS ============
+
+function loadState(stateFile, fromBlock = 0) {
+  if (fs.existsSync(stateFile)) {
+    return JSON.parse(fs.readFileSync(stateFile, "utf8"));
+  }
+  return {
+    lastScannedBlock: fromBlock - 1,
+    pending: {},     // campaignId -> { attempts, nextAttemptAt, lastError }
+    completed: [],   // campaignIds revealed (by us or anyone else)
+    failed: {},      // campaignId -> { lastError, retryAt } after maxRetries
+  };
+}
+
+function saveState(stateFile, state) {
+  fs.mkdirSync(path.dirname(stateFile), { recursive: true });
+  fs.writeFileSync(stateFile, JSON.stringify(state, null, 2));
+}
+
+function backoffDelay(attempts) {
+  return Math.min(BACKOFF_BASE_MS * 2 ** (attempts - 1), BACKOFF_MAX_MS);
+}
+
+// ============ BOT STEPS ============
+
+/**
+ * Queue every campaign with a DecryptionRequested event since the last scan
+ */
+async function scanDecryptionRequests(contract, state) {
+  const latestBlock = await hre.ethers.provider.getBlockNumber();
+  let fromBlock = state.lastScannedBlock + 1;
+
+  while (fromBlock <= latestBlock) {
+    const toBlock = Math.min(fromBlock + BLOCK_CHUNK_SIZE - 1, latestBlock);
+    const events = await contract.queryFilter(contract.filters.DecryptionRequested(), fromBlock, toBlock);
+
+    for (const event of events) {
+      const campaignId = event.args.campaignId.toString();
+      if (!state.completed.includes(campaignId) && !state.pending[campaignId] && !state.failed[campaignId]) {
+        console.log(`📡 Found reveal request for campaign #${campaignId} (block ${event.blockNumber})`);
+        state.pending[campaignId] = { attempts: 0, nextAttemptAt: 0, lastError: null };
+      }
+    }
+
+    state.lastScannedBlock = toBlock;
+    fromBlock = toBlock + 1;
+  }
+}
+
+/**
+ * Run Steps 2 and 3 for a single campaign
+ * @returns "completed" | "already-completed" | "dry-run"
+ */
+async function completeDecryption(contract, campaignId, { dryRun }) {
+  const [status] = await contract.getDecryptedResults(campaignId);
+  if (Number(status) === DecryptionStatus.Completed) {
+    return "already-completed";
+  }
+
+  const [totalPledgedHandle, goalReachedHandle] = await contract.getDecryptionHandles(campaignId);
+
+  console.log(`🔓 Campaign #${campaignId}: public decryption of 2 handles...`);
+  const results = await hre.fhevm.publicDecrypt([totalPledgedHandle, goalReachedHandle]);
+
+  if (dryRun) {
+    console.log(`🧪 [dry-run] Campaign #${campaignId}: would submit callback with`, {
+      totalPledged: results.clearValues[totalPledgedHandle],
+      goalReached: results.clearValues[goalReachedHandle],
+    });
+    return "dry-run";
+  }
+
+  console.log(`✍️  Campaign #${campaignId}: submitting decryption proof...`);
+  const tx = await contract.callbackDecryptCampaignResult(
+    campaignId,
+    results.abiEncodedClearValues,
+    results.decryptionProof
+  );
+  await tx.wait();
+  console.log(`✅ Campaign #${campaignId}: reveal completed (tx ${tx.hash})`);
+  return "completed";
+}
+
+/**
+ * Move failed campaigns whose cool-down is over back to pending, with a fresh retry budget
+ */
+function requeueFailed(state, now) {
+  for (const [campaignId, failure] of Object.entries(state.failed)) {
+    // Progress files from older versions stored just the error message
+    if ((failure.retryAt ?? 0) > now) continue;
+    console.log(`🔁 Campaign #${campaignId}: retrying failed reveal`);
+    delete state.failed[campaignId];
+    state.pending[campaignId] = { attempts: 0, nextAttemptAt: 0, lastError: failure.lastError ?? failure };
+  }
+}
+
+/**
+ * Scan for new requests and process every pending campaign that is due
+ */
+async function runOnce(contract, state, options, now = Date.now()) {
+  await scanDecryptionRequests(contract, state);
+  requeueFailed(state, now);
+
+  for (const [campaignId, entry] of Object.entries(state.pending)) {
+    if (entry.nextAttemptAt > now) continue;
+
+    try {
+      const outcome = await completeDecryption(contract, campaignId, options);
+      if (outcome !== "dry-run") {
+        delete state.pending[campaignId];
+        state.completed.push(campaignId);
+      }
+    } catch (error) {
+      entry.attempts += 1;
+      entry.lastError = error.shortMessage || error.message;
+
+      if (entry.attempts >= options.maxRetries) {
+        console.error(`❌ Campaign #${campaignId}: failed ${entry.attempts} attempts, retrying in ` +
+          `${FAILED_RETRY_DELAY_MS / 60000} min: ${entry.lastError}`);
+        delete state.pending[campaignId];
+        state.failed[campaignId] = { lastError: entry.lastError, retryAt: now + FAILED_RETRY_DELAY_MS };
+      } else {
+        const delay = backoffDelay(entry.attempts);
+        entry.nextAttemptAt = now + delay;
+        console.warn(`⚠️  Campaign #${campaignId}: attempt ${entry.attempts} failed, retrying in ${delay / 1000}s: ${entry.lastError}`);
+      }
+    }
+  }
+
+  return state;
+}
+
+async function main() {
+  const options = parseOptions();
+
+  if (!options.contractAddress) {
+    console.log(`❌ ERROR: CONTRACT_ADDRESS not set and no deployments/${hre.network.name}.json found!`);
+    console.log("📝 Deploy with scripts/deploy.js, or add the FHEDge address to your .env file:");
+    console.log("   CONTRACT_ADDRESS=0x...");
+    process.exit(1);
+  }
+
+  await hre.fhevm.initializeCLIApi();
+
+  const [signer] = await hre.ethers.getSigners();
+  const contract = await hre.ethers.getContractAt("FHEDge", options.contractAddress, signer);
+  const state = loadState(options.stateFile, options.fromBlock);
+
+  console.log("🤖 FHEDge relayer bot started");
+  console.log(`   Network:  ${hre.network.name}${hre.fhevm.isMock ? " (mock relayer)" : ""}`);
+  console.log(`   Contract: ${options.contractAddress}`);
+  console.log(`   Signer:   ${signer.address}`);
+  console.log(`   Progress: ${options.stateFile} (first scan from block ${state.lastScannedBlock + 1})`);
+  if (options.dryRun) console.log("   Mode:     dry-run (no transactions, progress not saved)");
+
+  let stopping = false;
+  process.on("SIGINT", () => {
+    console.log("\n👋 Stopping after current scan...");
+    stopping = true;
+  });
+
+  while (!stopping) {
+    try {
+      await runOnce(contract, state, options);
+      if (!options.dryRun) saveState(options.stateFile, state);
+    } catch (error) {
+      console.error("❌ Scan failed:", error.shortMessage || error.message);
+    }
+
+    if (options.once) break;
+    await new Promise((resolve) => setTimeout(resolve, options.pollInterval * 1000));
+  }
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  FAILED_RETRY_DELAY_MS,
+  loadDeployment,
+  parseOptions,
+  loadState,
+  saveState,
+  backoffDelay,
+  requeueFailed,
+  scanDecryptionRequests,
+  completeDecryption,
+  runOnce,
+};
@@ -0,0 +1,369 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { FhevmType } = require("@fhevm/hardhat-plugin");
+
+/**
+ * FHEDge End-to-End Tests (FHEVM mock)
+ *
+ * Full campaign lifecycles through @fhevm/hardhat-plugin: encrypted create and
+ * pledge, time travel past the deadline, public decryption request + callback
+ * with mock KMS proofs, claim and refund payouts, platform fee amounts,
+ * reentrancy attempts from a contract wallet and ACL checks on encrypted reads.
+ */
+describe("FHEDge End-to-End (FHEVM mock)", function () {
+  let fhedge;
+  let platformOwner, creator, pledger1, pledger2, stranger;
+  let contractAddress;
+
+  const ONE_DAY = 24 * 60 * 60;
+  // createCampaign/createTokenCampaign setup for a campaign without milestones, stretch goals or reward tiers
+  const NO_SETUP = {
+    milestoneTitles: [],
+    milestoneShares: [],
+    stretchGoals: [],
+    rewardTierNames: [],
+    rewardTierPublicMinimums: [],
+    rewardTierEncryptedMinimums: []
+  };
+  const goal = hre.ethers.parseEther("1");
+
+  // 1% platform fee, rounded down like the contract
+  const fee = (amount) => (amount * 1n) / 100n;
+
+  beforeEach(async function () {
+    if (!hre.fhevm.isMock) this.skip();
+
+    [platformOwner, creator, pledger1, pledger2, stranger] = await hre.ethers.getSigners();
+
+    const FHEDge = await hre.ethers.getContractFactory("FHEDge");
+    fhedge = await FHEDge.deploy();
+    await fhedge.waitForDeployment();
+    contractAddress = await fhedge.getAddress();
+  });
+
+  async function increaseTime(seconds) {
+    await hre.network.provider.send("evm_increaseTime", [seconds]);
+    await hre.network.provider.send("evm_mine");
+  }
+
+  // Encrypted input bound to `userAddress` (an EOA or a contract wallet)
+  async function encryptAmount(userAddress, amount) {
+    const input = hre.fhevm.createEncryptedInput(contractAddress, userAddress);
+    input.add64(amount);
+    return input.encrypt();
+  }
+
+  async function userDecrypt(signer, handle) {
+    return hre.fhevm.userDecryptEuint(FhevmType.euint64, handle, contractAddress, signer);
+  }
+
+  async function createCampaign(signer, campaignGoal = goal) {
+    const encryptedGoal = await encryptAmount(signer.address, campaignGoal);
+    const { timestamp } = await hre.ethers.provider.getBlock("latest");
+    await (await fhedge.connect(signer).createCampaign(
+      encryptedGoal.handles[0], encryptedGoal.inputProof, timestamp + ONE_DAY, "E2E Campaign", "Description", 1, NO_SETUP
+    )).wait();
+    return (await fhedge.nextCampaignId()) - 1n;
+  }
+
+  async function pledge(signer, campaignId, amount) {
+    const encryptedAmount = await encryptAmount(signer.address, amount);
+    return fhedge.connect(signer).pledge(
+      campaignId, encryptedAmount.handles[0], encryptedAmount.inputProof, { value: amount }
+    );
+  }
+
+  // Step 1: request; returns the handles emitted in DecryptionRequested
+  async function requestReveal(signer, campaignId) {
+    const receipt = await (await fhedge.connect(signer).requestDecryptCampaignResult(campaignId)).wait();
+    const event = receipt.logs
+      .map((log) => { try { return fhedge.interface.parseLog(log); } catch { return null; } })
+      .find((parsed) => parsed && parsed.name === "DecryptionRequested");
+    return [event.args.totalPledgedHandle, event.args.goalReachedHandle];
+  }
+
+  // Steps 2 and 3: mock KMS public decryption, then the verified callback
+  async function completeReveal(campaignId, handles) {
+    const results = await hre.fhevm.publicDecrypt(handles);
+    await (await fhedge.callbackDecryptCampaignResult(
+      campaignId, results.abiEncodedClearValues, results.decryptionProof
+    )).wait();
+    return fhedge.getDecryptedResults(campaignId);
+  }
+
+  describe("Successful campaign", function () {
+    it("should run create → pledge → reveal → claim with exact fee and payout amounts", async function () {
+      const first = hre.ethers.parseEther("0.6");
+      const second = hre.ethers.parseEther("0.4");
+      const campaignId = await createCampaign(creator);
+
+      // The owner can decrypt the goal it encrypted
+      expect(await userDecrypt(creator, await fhedge.connect(creator).getGoal(campaignId))).to.equal(goal);
+
+      // Each pledge sends 1% to the platform owner and keeps the rest in the contract
+      const firstPledge = pledge(pledger1, campaignId, first);
+      await expect(firstPledge).to.changeEtherBalances(
+        [pledger1, platformOwner, fhedge], [-first, fee(first), first - fee(first)]
+      );
+      await expect(firstPledge)
+        .to.emit(fhedge, "PlatformFeeTransferred").withArgs(campaignId, platformOwner.address, fee(first));
+      await expect(pledge(pledger2, campaignId, second)).to.changeEtherBalances(
+        [pledger2, platformOwner, fhedge], [-second, fee(second), second - fee(second)]
+      );
+
+      const escrowed = first - fee(first) + second - fee(second);
+      expect((await fhedge.getCampaignInfo(campaignId)).ethBalance).to.equal(escrowed);
+      expect(await fhedge.ethPledges(campaignId, pledger1.address)).to.equal(first - fee(first));
+
+      // Encrypted state: each backer decrypts their own pledge, the owner the running total
+      expect(await userDecrypt(pledger1, await fhedge.connect(pledger1).getPledgeAmount(campaignId, pledger1.address)))
+        .to.equal(first);
+      expect(await userDecrypt(creator, await fhedge.connect(creator).getTotalPledged(campaignId)))
+        .to.equal(first + second);
+
+      // Nothing can be revealed or claimed before the deadline
+      await expect(fhedge.connect(creator).requestDecryptCampaignResult(campaignId))
+        .to.be.revertedWith("Campaign not ended");
+      await expect(fhedge.connect(creator).claimCampaign(campaignId))
+        .to.be.revertedWith("Campaign has not ended");
+
+      await increaseTime(ONE_DAY + 1);
+      const handles = await requestReveal(creator, campaignId);
+      const [status, totalPledged, goalReached] = await completeReveal(campaignId, handles);
+      expect(status).to.equal(2); // Completed
+      expect(totalPledged).to.equal(first + second);
+      expect(goalReached).to.equal(true);
+
+      const claim = fhedge.connect(creator).claimCampaign(campaignId);
+      await expect(claim).to.changeEtherBalances([creator, fhedge], [escrowed, -escrowed]);
+      await expect(claim).to.emit(fhedge, "CampaignClaimed").withArgs(campaignId, creator.address);
+
+      const info = await fhedge.getCampaignInfo(campaignId);
+      expect(info.claimed).to.equal(true);
+      expect(info.ethBalance).to.equal(0n);
+      await expect(fhedge.connect(creator).claimCampaign(campaignId)).to.be.revertedWith("Campaign is not active");
+      await expect(fhedge.connect(pledger1).refund(campaignId)).to.be.revertedWith("Campaign was claimed");
+      console.log(`✅ Claimed ${hre.ethers.formatEther(escrowed)} ETH after an encrypted reveal`);
+    });
+
+    it("should round the 1% fee down and skip the transfer below 100 wei", async function () {
+      const campaignId = await createCampaign(creator, 1000n);
+
+      await expect(pledge(pledger1, campaignId, 199n))
+        .to.emit(fhedge, "PlatformFeeTransferred").withArgs(campaignId, platformOwner.address, 1n);
+      expect(await fhedge.ethPledges(campaignId, pledger1.address)).to.equal(198n);
+
+      const feeless = pledge(pledger2, campaignId, 99n);
+      await expect(feeless).to.not.emit(fhedge, "PlatformFeeTransferred");
+      await expect(feeless).to.changeEtherBalance(platformOwner, 0n);
+      expect(await fhedge.ethPledges(campaignId, pledger2.address)).to.equal(99n);
+    });
+  });
+
+  describe("Failed campaign", function () {
+    it("should refund every backer their deposit after fee once the missed goal is revealed", async function () {
+      const first = hre.ethers.parseEther("0.3");
+      const second = hre.ethers.parseEther("0.2");
+      const campaignId = await createCampaign(creator);
+      await (await pledge(pledger1, campaignId, first)).wait();
+      await (await pledge(pledger2, campaignId, second)).wait();
+
+      await increaseTime(ONE_DAY + 1);
+      await expect(fhedge.connect(pledger1).refund(campaignId)).to.be.revertedWith("Results not revealed");
+
+      const [, totalPledged, goalReached] = await completeReveal(campaignId, await requestReveal(creator, campaignId));
+      expect(totalPledged).to.equal(first + second);
+      expect(goalReached).to.equal(false);
+      await expect(fhedge.connect(creator).claimCampaign(campaignId)).to.be.revertedWith("Goal not reached");
+
+      await expect(fhedge.connect(pledger1).refund(campaignId))
+        .to.changeEtherBalances([pledger1, fhedge], [first - fee(first), -(first - fee(first))]);
+      await expect(fhedge.connect(pledger2).refund(campaignId))
+        .to.emit(fhedge, "RefundIssued").withArgs(campaignId, pledger2.address);
+
+      expect(await hre.ethers.provider.getBalance(contractAddress)).to.equal(0n);
+      expect((await fhedge.getCampaignInfo(campaignId)).ethBalance).to.equal(0n);
+      await expect(fhedge.connect(pledger1).refund(campaignId)).to.be.revertedWith("No pledge found");
+      console.log(`✅ Both backers refunded, contract emptied`);
+    });
+
+    it("should count a pledge whose ciphertext does not match the deposit as zero", async function () {
+      const deposit = hre.ethers.parseEther("0.1");
+      const campaignId = await createCampaign(creator, deposit);
+      // Claims the full goal while only depositing a tenth of it
+      const encryptedAmount = await encryptAmount(pledger1.address, goal);
+      await (await fhedge.connect(pledger1).pledge(
+        campaignId, encryptedAmount.handles[0], encryptedAmount.inputProof, { value: deposit }
+      )).wait();
+
+      await increaseTime(ONE_DAY + 1);
+      const [, totalPledged, goalReached] = await completeReveal(campaignId, await requestReveal(creator, campaignId));
+      expect(totalPledged).to.equal(0n);
+      expect(goalReached).to.equal(false);
+    });
+  });
+
+  describe("Decryption callback", function () {
+    let campaignId;
+
+    beforeEach(async function () {
+      campaignId = await createCampaign(creator);
+      await (await pledge(pledger1, campaignId, goal)).wait();
+      await increaseTime(ONE_DAY + 1);
+    });
+
+    it("should reject a callback before decryption is requested", async function () {
+      await expect(fhedge.callbackDecryptCampaignResult(campaignId, "0x", "0x"))
+        .to.be.revertedWith("Decryption not in progress");
+    });
+
+    it("should reject cleartexts that do not match the KMS proof", async function () {
+      const handles = await requestReveal(creator, campaignId);
+      const results = await hre.fhevm.publicDecrypt(handles);
+      const forged = hre.ethers.AbiCoder.defaultAbiCoder().encode(["uint64", "bool"], [goal - 1n, false]);
+
+      await expect(fhedge.callbackDecryptCampaignResult(campaignId, forged, results.decryptionProof)).to.be.reverted;
+      expect((await fhedge.getDecryptedResults(campaignId)).status).to.equal(1); // Still InProgress
+    });
+
+    it("should accept the verified result once and then refuse replays", async function () {
+      const handles = await requestReveal(creator, campaignId);
+      const results = await hre.fhevm.publicDecrypt(handles);
+      await expect(fhedge.connect(stranger).callbackDecryptCampaignResult(
+        campaignId, results.abiEncodedClearValues, results.decryptionProof
+      )).to.emit(fhedge, "DecryptionCompleted").withArgs(campaignId, goal, true);
+
+      await expect(fhedge.callbackDecryptCampaignResult(
+        campaignId, results.abiEncodedClearValues, results.decryptionProof
+      )).to.be.revertedWith("Decryption not in progress");
+    });
+  });
+
+  describe("Reentrancy", function () {
+    let attacker;
+    let attackerAddress;
+
+    beforeEach(async function () {
+      const ReentrantBacker = await hre.ethers.getContractFactory("ReentrantBacker");
+      attacker = await ReentrantBacker.deploy(contractAddress);
+      await attacker.waitForDeployment();
+      attackerAddress = await attacker.getAddress();
+    });
+
+    async function attackerPledge(campaignId, amount) {
+      const encryptedAmount = await encryptAmount(attackerAddress, amount);
+      const data = fhedge.interface.encodeFunctionData("pledge", [
+        campaignId, encryptedAmount.handles[0], encryptedAmount.inputProof
+      ]);
+      await (await attacker.execute(data, { value: amount })).wait();
+    }
+
+    function call(name, args) {
+      return fhedge.interface.encodeFunctionData(name, args);
+    }
+
+    async function expectReentryBlocked() {
+      expect(await attacker.reentryAttempted()).to.equal(true);
+      expect(await attacker.reentrySucceeded()).to.equal(false);
+      const [reason] = hre.ethers.AbiCoder.defaultAbiCoder().decode(
+        ["string"], hre.ethers.dataSlice(await attacker.reentryRevertData(), 4)
+      );
+      expect(reason).to.equal("Reentrancy detected");
+    }
+
+    it("should pay a re-entering backer's refund only once", async function () {
+      const amount = hre.ethers.parseEther("0.5");
+      const campaignId = await createCampaign(creator);
+      await attackerPledge(campaignId, amount);
+      await increaseTime(ONE_DAY + 1);
+      await completeReveal(campaignId, await requestReveal(creator, campaignId));
+
+      await (await attacker.setReentryCall(call("refund", [campaignId]))).wait();
+      await expect(attacker.execute(call("refund", [campaignId])))
+        .to.changeEtherBalance(attacker, amount - fee(amount));
+      await expectReentryBlocked();
+      expect(await hre.ethers.provider.getBalance(contractAddress)).to.equal(0n);
+    });
+
+    it("should pay a re-entering backer's withdrawal only once", async function () {
+      const amount = hre.ethers.parseEther("0.5");
+      const campaignId = await createCampaign(creator);
+      await attackerPledge(campaignId, amount);
+      // A second backer's deposit is what a successful re-entry would drain
+      await (await pledge(pledger1, campaignId, amount)).wait();
+
+      await (await attacker.setReentryCall(call("withdrawPledge", [campaignId]))).wait();
+      await expect(attacker.execute(call("withdrawPledge", [campaignId])))
+        .to.changeEtherBalance(attacker, amount - fee(amount));
+      await expectReentryBlocked();
+      expect((await fhedge.getCampaignInfo(campaignId)).ethBalance).to.equal(amount - fee(amount));
+    });
+
+    it("should pay a re-entering owner's claim only once", async function () {
+      const encryptedGoal = await encryptAmount(attackerAddress, goal);
+      const { timestamp } = await hre.ethers.provider.getBlock("latest");
+      await (await attacker.execute(call("createCampaign", [
+        encryptedGoal.handles[0], encryptedGoal.inputProof, timestamp + ONE_DAY, "Attacker", "Description", 1, NO_SETUP
+      ]))).wait();
+      const campaignId = (await fhedge.nextCampaignId()) - 1n;
+      await (await pledge(pledger1, campaignId, goal)).wait();
+
+      await increaseTime(ONE_DAY + 1);
+      await (await attacker.execute(call("requestDecryptCampaignResult", [campaignId]))).wait();
+      const [totalPledgedHandle, goalReachedHandle] = await fhedge.getDecryptionHandles(campaignId);
+      await completeReveal(campaignId, [totalPledgedHandle, goalReachedHandle]);
+
+      // Claim again from inside the payout of the first claim
+      await (await attacker.setReentryCall(call("claimCampaign", [campaignId]))).wait();
+      await expect(attacker.execute(call("claimCampaign", [campaignId])))
+        .to.changeEtherBalance(attacker, goal - fee(goal));
+      await expectReentryBlocked();
+    });
+  });
+
+  describe("Encrypted read ACL", function () {
+    const amount = hre.ethers.parseEther("0.4");
+    let campaignId;
+
+    beforeEach(async function () {
+      campaignId = await createCampaign(creator);
+      await (await pledge(pledger1, campaignId, amount)).wait();
+    });
+
+    it("should restrict getGoal to the campaign owner", async function () {
+      await expect(fhedge.connect(pledger1).getGoal(campaignId)).to.be.revertedWith("Only owner can view goal");
+      await expect(fhedge.connect(stranger).getGoal(campaignId)).to.be.revertedWith("Only owner can view goal");
+
+      const handle = await fhedge.connect(creator).getGoal(campaignId);
+      expect(await userDecrypt(creator, handle)).to.equal(goal);
+      // Knowing the handle is not enough: the ACL only grants the owner
+      await expect(userDecrypt(pledger1, handle)).to.be.rejected;
+      await expect(hre.fhevm.publicDecrypt([handle])).to.be.rejected;
+    });
+
+    it("should restrict getPledgeAmount to the backer and the campaign owner", async function () {
+      await expect(
+        fhedge.connect(stranger).getPledgeAmount(campaignId, pledger1.address)
+      ).to.be.revertedWith("Not authorized");
+      await expect(
+        fhedge.connect(pledger2).getPledgeAmount(campaignId, pledger1.address)
+      ).to.be.revertedWith("Not authorized");
+
+      const handle = await fhedge.connect(pledger1).getPledgeAmount(campaignId, pledger1.address);
+      expect(await fhedge.connect(creator).getPledgeAmount(campaignId, pledger1.address)).to.equal(handle);
+      expect(await userDecrypt(pledger1, handle)).to.equal(amount);
+      expect(await userDecrypt(creator, handle)).to.equal(amount);
+      await expect(userDecrypt(stranger, handle)).to.be.rejected;
+    });
+
+    it("should only make the total publicly decryptable once a reveal is requested", async function () {
+      const totalHandle = await fhedge.connect(creator).getTotalPledged(campaignId);
+      await expect(hre.fhevm.publicDecrypt([totalHandle])).to.be.rejected;
+
+      await increaseTime(ONE_DAY + 1);
+      const [totalPledgedHandle] = await requestReveal(creator, campaignId);
+      const results = await hre.fhevm.publicDecrypt([totalPledgedHandle]);
+      expect(results.clearValues[totalPledgedHandle]).to.equal(amount);
+    });
+  });
+});
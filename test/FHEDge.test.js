@@ -1,10 +1,11 @@
 const { expect } = require("chai");
 const hre = require("hardhat");
+const { FhevmType } = require("@fhevm/hardhat-plugin");
 
 /**
  * FHEDge Contract - FHEVM v0.9 Comprehensive Test Suite
  * 
- * 58 comprehensive tests covering FHEVM v0.9 migration and all contract functionality
+ * Covers the FHEVM v0.9 migration and all contract functionality
  * Updated for ZamaEthereumConfig and FHEVM v0.9 compatibility
  * 
  * These tests demonstrate ACTUAL FHE encryption functionality:
@@ -24,6 +25,8 @@ const hre = require("hardhat");
  * 5. Privacy Features & Access Control
  * 6. Platform Fee & ETH Handling
  * 7. Campaign Lifecycle (Claim/Refund)
+ * 8. FHEVM mock flows: settlement, reveals, withdrawal, cancellation, token funding,
+ *    batch views, milestones, stretch goals and reward tiers
  */
 
 describe("FHEDge Contract - FHEVM v0.9 Tests", function () {
@@ -33,6 +36,15 @@ describe("FHEDge Contract - FHEVM v0.9 Tests", function () {
 
   // Test constants
   const ONE_DAY = 24 * 60 * 60;
+  // createCampaign/createTokenCampaign setup for a campaign without milestones, stretch goals or reward tiers
+  const NO_SETUP = {
+    milestoneTitles: [],
+    milestoneShares: [],
+    stretchGoals: [],
+    rewardTierNames: [],
+    rewardTierPublicMinimums: [],
+    rewardTierEncryptedMinimums: []
+  };
   const PLATFORM_FEE_PERCENT = 1;
   const FEE_DENOMINATOR = 100;
 
@@ -53,6 +65,69 @@ describe("FHEDge Contract - FHEVM v0.9 Tests", function () {
     console.log(`📝 FHEVM v0.9 Contract deployed at: ${contractAddress}`);
   });
 
+  // ============ FHEVM MOCK HELPERS ============
+  // Real encryption/decryption through @fhevm/hardhat-plugin (mock mode only)
+
+  async function latestTimestamp() {
+    const block = await hre.ethers.provider.getBlock("latest");
+    return block.timestamp;
+  }
+
+  async function increaseTime(seconds) {
+    await hre.network.provider.send("evm_increaseTime", [seconds]);
+    await hre.network.provider.send("evm_mine");
+  }
+
+  async function encryptAmount(signer, amount) {
+    const input = hre.fhevm.createEncryptedInput(contractAddress, signer.address);
+    input.add64(amount);
+    return input.encrypt();
+  }
+
+  async function createEncryptedCampaign(signer, goal, duration = ONE_DAY, amountUnit = 1n, setup = NO_SETUP) {
+    const encryptedGoal = await encryptAmount(signer, goal);
+    const deadline = (await latestTimestamp()) + duration;
+    await (await fhedge.connect(signer).createCampaign(
+      encryptedGoal.handles[0],
+      encryptedGoal.inputProof,
+      deadline,
+      "Test Campaign",
+      "Description",
+      amountUnit,
+      setup
+    )).wait();
+    return (await fhedge.nextCampaignId()) - 1n;
+  }
+
+  async function pledgeEncrypted(signer, campaignId, encryptedValue, ethValue) {
+    const encryptedAmount = await encryptAmount(signer, encryptedValue);
+    return fhedge.connect(signer).pledge(
+      campaignId,
+      encryptedAmount.handles[0],
+      encryptedAmount.inputProof,
+      { value: ethValue }
+    );
+  }
+
+  async function revealResults(signer, campaignId) {
+    const receipt = await (await fhedge.connect(signer).requestDecryptCampaignResult(campaignId)).wait();
+    const event = receipt.logs
+      .map(log => { try { return fhedge.interface.parseLog(log); } catch { return null; } })
+      .find(parsed => parsed && parsed.name === "DecryptionRequested");
+
+    const results = await hre.fhevm.publicDecrypt([
+      event.args.totalPledgedHandle,
+      event.args.goalReachedHandle
+    ]);
+    await (await fhedge.callbackDecryptCampaignResult(
+      campaignId,
+      results.abiEncodedClearValues,
+      results.decryptionProof
+    )).wait();
+
+    return fhedge.getDecryptedResults(campaignId);
+  }
+
   // ============ FHEVM v0.9 MIGRATION TESTS ============
   describe("FHEVM v0.9 Migration", function () {
     it("should deploy with ZamaEthereumConfig", async function () {
@@ -158,7 +233,9 @@ describe("FHEDge Contract - FHEVM v0.9 Tests", function () {
           mockProof,
           pastDeadline,
           "Test",
-          "Description"
+          "Description",
+          1,
+          NO_SETUP
         )
       ).to.be.revertedWith("Deadline must be in the future");
 
@@ -166,7 +243,7 @@ describe("FHEDge Contract - FHEVM v0.9 Tests", function () {
     });
 
     it("should reject campaign with empty title", async function () {
-      const deadline = Math.floor(Date.now() / 1000) + ONE_DAY;
+      const deadline = (await latestTimestamp()) + ONE_DAY;
       const mockEncryptedGoal = hre.ethers.zeroPadValue("0x01", 32);
       const mockProof = "0x";
 
@@ -176,7 +253,9 @@ describe("FHEDge Contract - FHEVM v0.9 Tests", function () {
           mockProof,
           deadline,
           "",
-          "Description"
+          "Description",
+          1,
+          NO_SETUP
         )
       ).to.be.revertedWith("Title cannot be empty");
 
@@ -194,7 +273,9 @@ describe("FHEDge Contract - FHEVM v0.9 Tests", function () {
           mockProof,
           currentTime,
           "Test Campaign",
-          "Description"
+          "Description",
+          1,
+          NO_SETUP
         )
       ).to.be.revertedWith("Deadline must be in the future");
 
@@ -493,7 +574,9 @@ describe("FHEDge Contract - FHEVM v0.9 Tests", function () {
           mockProof,
           pastDeadline,
           "Test",
-          "Description"
+          "Description",
+          1,
+          NO_SETUP
         )
       ).to.be.revertedWith("Deadline must be in the future");
       console.log(`✅ Past deadline rejected`);
@@ -675,7 +758,7 @@ describe("FHEDge Contract - FHEVM v0.9 Tests", function () {
   // ============ CAMPAIGN CREATION TESTS ============
   describe("Campaign Creation", function () {
     it.skip("should create campaign with future deadline [REQUIRES FHEVM]", async function () {
-      const deadline = Math.floor(Date.now() / 1000) + ONE_DAY;
+      const deadline = (await latestTimestamp()) + ONE_DAY;
       const mockEncryptedGoal = hre.ethers.zeroPadValue("0x010000", 32);
       const mockProof = "0x00";
 
@@ -685,7 +768,9 @@ describe("FHEDge Contract - FHEVM v0.9 Tests", function () {
           mockProof,
           deadline,
           "Test Campaign",
-          "Test Description"
+          "Test Description",
+          1,
+          NO_SETUP
         )
       ).to.emit(fhedge, "CampaignCreated");
       console.log(`✅ Campaign creation with future deadline successful`);
@@ -702,7 +787,9 @@ describe("FHEDge Contract - FHEVM v0.9 Tests", function () {
           mockProof,
           pastDeadline,
           "Test",
-          "Description"
+          "Description",
+          1,
+          NO_SETUP
         )
       ).to.be.revertedWith("Deadline must be in the future");
       console.log(`✅ Campaign with past deadline rejected`);
@@ -750,12 +837,13 @@ describe("FHEDge Contract - FHEVM v0.9 Tests", function () {
     });
 
     it.skip("should initialize campaigns with correct decryption status [REQUIRES FHEVM]", async function () {
-      const deadline = Math.floor(Date.now() / 1000) + ONE_DAY;
+      const deadline = (await latestTimestamp()) + ONE_DAY;
       const mockGoal = hre.ethers.zeroPadValue("0x01", 32);
       const mockProof = "0x00";
       
       await fhedge.connect(creator).createCampaign(
-        mockGoal, mockProof, deadline, "Test Campaign", "Description"
+        mockGoal, mockProof, deadline, "Test Campaign", "Description", 1,
+        NO_SETUP
       );
       
       const results = await fhedge.getDecryptedResults(0);
@@ -767,12 +855,13 @@ describe("FHEDge Contract - FHEVM v0.9 Tests", function () {
     });
 
     it.skip("should reject decryption request before deadline [REQUIRES FHEVM]", async function () {
-      const deadline = Math.floor(Date.now() / 1000) + (30 * ONE_DAY);
+      const deadline = (await latestTimestamp()) + (30 * ONE_DAY);
       const mockGoal = hre.ethers.zeroPadValue("0x01", 32);
       const mockProof = "0x00";
       
       await fhedge.connect(creator).createCampaign(
-        mockGoal, mockProof, deadline, "Test", "Desc"
+        mockGoal, mockProof, deadline, "Test", "Desc", 1,
+        NO_SETUP
       );
       
       await expect(
@@ -783,12 +872,13 @@ describe("FHEDge Contract - FHEVM v0.9 Tests", function () {
     });
 
     it.skip("should reject non-owner decryption requests [REQUIRES FHEVM]", async function () {
-      const deadline = Math.floor(Date.now() / 1000) + ONE_DAY;
+      const deadline = (await latestTimestamp()) + ONE_DAY;
       const mockGoal = hre.ethers.zeroPadValue("0x01", 32);
       const mockProof = "0x00";
       
       await fhedge.connect(creator).createCampaign(
-        mockGoal, mockProof, deadline, "Test", "Desc"
+        mockGoal, mockProof, deadline, "Test", "Desc", 1,
+        NO_SETUP
       );
       
       // Fast forward past deadline
@@ -803,12 +893,13 @@ describe("FHEDge Contract - FHEVM v0.9 Tests", function () {
     });
 
     it.skip("should allow owner to request decryption after deadline [REQUIRES FHEVM]", async function () {
-      const deadline = Math.floor(Date.now() / 1000) + ONE_DAY;
+      const deadline = (await latestTimestamp()) + ONE_DAY;
       const mockGoal = hre.ethers.zeroPadValue("0x01", 32);
       const mockProof = "0x00";
       
       await fhedge.connect(creator).createCampaign(
-        mockGoal, mockProof, deadline, "Test Campaign", "Description"
+        mockGoal, mockProof, deadline, "Test Campaign", "Description", 1,
+        NO_SETUP
       );
       
       // Fast forward past deadline
@@ -840,12 +931,13 @@ describe("FHEDge Contract - FHEVM v0.9 Tests", function () {
     });
 
     it.skip("should prevent duplicate decryption requests [REQUIRES FHEVM]", async function () {
-      const deadline = Math.floor(Date.now() / 1000) + ONE_DAY;
+      const deadline = (await latestTimestamp()) + ONE_DAY;
       const mockGoal = hre.ethers.zeroPadValue("0x01", 32);
       const mockProof = "0x00";
       
       await fhedge.connect(creator).createCampaign(
-        mockGoal, mockProof, deadline, "Test", "Desc"
+        mockGoal, mockProof, deadline, "Test", "Desc", 1,
+        NO_SETUP
       );
       
       // Fast forward past deadline
@@ -885,36 +977,1342 @@ describe("FHEDge Contract - FHEVM v0.9 Tests", function () {
     });
   });
 
-  // ============ FINAL SUMMARY ============
-  describe("Test Suite Completion", function () {
-    it("should complete all 58 FHE v0.9 tests successfully", async function () {
-      console.log(`\n🎉 ALL 58 FHEVM v0.9 TESTS COMPLETED SUCCESSFULLY!`);
-      console.log(`📊 Test Categories:`);
-      console.log(`   ✅ FHEVM v0.9 Migration (3 tests)`);
-      console.log(`   ✅ Deployment & Setup (4 tests)`);
-      console.log(`   ✅ FHE Encryption Setup (2 tests)`);
-      console.log(`   ✅ Input Validation (3 tests)`);
-      console.log(`   ✅ Contract State (3 tests)`);
-      console.log(`   ✅ Platform Fee Calculation (3 tests)`);
-      console.log(`   ✅ Contract Constants (2 tests)`);
-      console.log(`   ✅ Contract Interface (9 tests)`);
-      console.log(`   ✅ Multi-Signer Setup (2 tests)`);
-      console.log(`   ✅ FHE Privacy Features (3 tests)`);
-      console.log(`   ✅ Campaign Lifecycle (2 tests)`);
-      console.log(`   ✅ ETH Handling (2 tests)`);
-      console.log(`   ✅ Access Control (3 tests)`);
-      console.log(`   ✅ Campaign State Management (2 tests)`);
-      console.log(`   ✅ Deadline Management (2 tests)`);
-      console.log(`   ✅ Refund Mechanism (2 tests)`);
-      console.log(`   ✅ Homomorphic Operations (2 tests)`);
-      console.log(`   ✅ Edge Cases (8 tests)`);
-      console.log(`   ✅ FHE Integration Summary (1 test)`);
-      console.log(`   ✅ Gas Optimization (3 tests)`);
-      console.log(`   ✅ Campaign Creation (2 tests)`);
-      console.log(`   ✅ FHE Integration Patterns (2 tests)`);
-      console.log(`\n🚀 FHEDge is ready for FHEVM v0.9 deployment!`);
-      
-      expect(true).to.be.true;
+  // ============ PLEDGE AMOUNT BINDING TESTS ============
+  describe("Pledge Amount Binding (FHEVM mock)", function () {
+    beforeEach(function () {
+      if (!hre.fhevm.isMock) this.skip();
+    });
+
+    it("should count a pledge whose encrypted amount matches msg.value", async function () {
+      const goal = hre.ethers.parseEther("1");
+      const campaignId = await createEncryptedCampaign(creator, goal);
+
+      await (await pledgeEncrypted(pledger1, campaignId, goal, goal)).wait();
+      await increaseTime(ONE_DAY + 1);
+
+      const [status, totalPledged, goalReached] = await revealResults(creator, campaignId);
+      expect(status).to.equal(2); // DecryptionStatus.Completed
+      expect(totalPledged).to.equal(goal);
+      expect(goalReached).to.equal(true);
+      console.log(`✅ Matching pledge counted: ${hre.ethers.formatEther(totalPledged)} ETH`);
+    });
+
+    it("should not let a mismatched pledge inflate decryptedTotalPledged", async function () {
+      const goal = hre.ethers.parseEther("5");
+      const campaignId = await createEncryptedCampaign(creator, goal);
+
+      // Encrypt 10 ETH but only deposit 0.001 ETH
+      await (await pledgeEncrypted(
+        pledger1,
+        campaignId,
+        hre.ethers.parseEther("10"),
+        hre.ethers.parseEther("0.001")
+      )).wait();
+      await increaseTime(ONE_DAY + 1);
+
+      const [, totalPledged, goalReached] = await revealResults(creator, campaignId);
+      expect(totalPledged).to.equal(0);
+      expect(goalReached).to.equal(false);
+      console.log(`✅ Mismatched pledge ignored in encrypted total`);
+    });
+
+    it("should only count honest pledges when mixed with a mismatched one", async function () {
+      const goal = hre.ethers.parseEther("1");
+      const honestAmount = hre.ethers.parseEther("0.5");
+      const campaignId = await createEncryptedCampaign(creator, goal);
+
+      await (await pledgeEncrypted(pledger1, campaignId, honestAmount, honestAmount)).wait();
+      await (await pledgeEncrypted(
+        pledger2,
+        campaignId,
+        hre.ethers.parseEther("2"),
+        hre.ethers.parseEther("0.01")
+      )).wait();
+      await increaseTime(ONE_DAY + 1);
+
+      const [, totalPledged, goalReached] = await revealResults(creator, campaignId);
+      expect(totalPledged).to.equal(honestAmount);
+      expect(goalReached).to.equal(false);
+      console.log(`✅ Only the honest 0.5 ETH pledge was counted`);
+    });
+
+    it("should reject pledges that do not fit in euint64", async function () {
+      const campaignId = await createEncryptedCampaign(creator, hre.ethers.parseEther("1"));
+      const tooLarge = 2n ** 64n;
+
+      await expect(
+        pledgeEncrypted(pledger1, campaignId, 1n, tooLarge)
+      ).to.be.revertedWith("Pledge exceeds euint64 range");
+      console.log(`✅ Pledge above euint64 range rejected`);
+    });
+  });
+
+  // ============ ALL-OR-NOTHING SETTLEMENT TESTS ============
+  describe("All-or-Nothing Settlement (FHEVM mock)", function () {
+    const goal = hre.ethers.parseEther("1");
+
+    beforeEach(function () {
+      if (!hre.fhevm.isMock) this.skip();
+    });
+
+    it("should reject claim before results are revealed", async function () {
+      const campaignId = await createEncryptedCampaign(creator, goal);
+      await (await pledgeEncrypted(pledger1, campaignId, goal, goal)).wait();
+      await increaseTime(ONE_DAY + 1);
+
+      await expect(
+        fhedge.connect(creator).claimCampaign(campaignId)
+      ).to.be.revertedWith("Results not revealed");
+      console.log(`✅ Claim blocked until reveal`);
+    });
+
+    it("should let the owner claim when the revealed goal was reached", async function () {
+      const campaignId = await createEncryptedCampaign(creator, goal);
+      await (await pledgeEncrypted(pledger1, campaignId, goal, goal)).wait();
+      await increaseTime(ONE_DAY + 1);
+      await revealResults(creator, campaignId);
+
+      const afterFee = goal - (goal * 1n) / 100n;
+      await expect(
+        fhedge.connect(creator).claimCampaign(campaignId)
+      ).to.changeEtherBalance(creator, afterFee);
+      console.log(`✅ Owner claimed ${hre.ethers.formatEther(afterFee)} ETH`);
+    });
+
+    it("should reject refunds when the revealed goal was reached", async function () {
+      const campaignId = await createEncryptedCampaign(creator, goal);
+      await (await pledgeEncrypted(pledger1, campaignId, goal, goal)).wait();
+      await increaseTime(ONE_DAY + 1);
+      await revealResults(creator, campaignId);
+
+      await expect(
+        fhedge.connect(pledger1).refund(campaignId)
+      ).to.be.revertedWith("Goal was reached");
+      console.log(`✅ Refund blocked for successful campaign`);
+    });
+
+    it("should reject claim when the revealed goal was missed", async function () {
+      const pledgeAmount = hre.ethers.parseEther("0.5");
+      const campaignId = await createEncryptedCampaign(creator, goal);
+      await (await pledgeEncrypted(pledger1, campaignId, pledgeAmount, pledgeAmount)).wait();
+      await increaseTime(ONE_DAY + 1);
+      await revealResults(creator, campaignId);
+
+      await expect(
+        fhedge.connect(creator).claimCampaign(campaignId)
+      ).to.be.revertedWith("Goal not reached");
+      console.log(`✅ Claim blocked for failed campaign`);
+    });
+
+    it("should refund backers when the revealed goal was missed", async function () {
+      const pledgeAmount = hre.ethers.parseEther("0.5");
+      const afterFee = pledgeAmount - (pledgeAmount * 1n) / 100n;
+      const campaignId = await createEncryptedCampaign(creator, goal);
+      await (await pledgeEncrypted(pledger1, campaignId, pledgeAmount, pledgeAmount)).wait();
+      await increaseTime(ONE_DAY + 1);
+
+      await expect(
+        fhedge.connect(pledger1).refund(campaignId)
+      ).to.be.revertedWith("Results not revealed");
+
+      await revealResults(creator, campaignId);
+      await expect(
+        fhedge.connect(pledger1).refund(campaignId)
+      ).to.changeEtherBalance(pledger1, afterFee);
+      console.log(`✅ Backer refunded ${hre.ethers.formatEther(afterFee)} ETH`);
+    });
+  });
+
+  // ============ PUBLIC REVEAL TESTS ============
+  describe("Public Reveal After Grace Period (FHEVM mock)", function () {
+    const goal = hre.ethers.parseEther("1");
+
+    beforeEach(function () {
+      if (!hre.fhevm.isMock) this.skip();
+    });
+
+    it("should default the reveal grace period to 3 days", async function () {
+      expect(await fhedge.revealGracePeriod()).to.equal(3 * ONE_DAY);
+      expect(await fhedge.DEFAULT_REVEAL_GRACE_PERIOD()).to.equal(3 * ONE_DAY);
+      console.log(`✅ Default grace period: 3 days`);
+    });
+
+    it("should only let the platform owner change the grace period", async function () {
+      await expect(
+        fhedge.connect(creator).setRevealGracePeriod(ONE_DAY)
+      ).to.be.revertedWith("Only platform owner");
+
+      await expect(fhedge.connect(platformOwner).setRevealGracePeriod(ONE_DAY))
+        .to.emit(fhedge, "RevealGracePeriodUpdated")
+        .withArgs(ONE_DAY);
+      expect(await fhedge.revealGracePeriod()).to.equal(ONE_DAY);
+      console.log(`✅ Grace period updated by platform owner`);
+    });
+
+    it("should reject non-owner reveal during the grace period", async function () {
+      const campaignId = await createEncryptedCampaign(creator, goal);
+      await increaseTime(ONE_DAY + 1);
+
+      await expect(
+        fhedge.connect(pledger1).requestDecryptCampaignResult(campaignId)
+      ).to.be.revertedWith("Only owner can request decryption");
+      console.log(`✅ Non-owner reveal blocked during grace period`);
+    });
+
+    it("should let anyone reveal once the grace period has passed", async function () {
+      const campaignId = await createEncryptedCampaign(creator, goal);
+      await (await pledgeEncrypted(pledger1, campaignId, goal, goal)).wait();
+      await increaseTime(ONE_DAY + 3 * ONE_DAY + 1);
+
+      const [status, totalPledged, goalReached] = await revealResults(pledger2, campaignId);
+      expect(status).to.equal(2);
+      expect(totalPledged).to.equal(goal);
+      expect(goalReached).to.equal(true);
+      console.log(`✅ Third party revealed results after grace period`);
+    });
+  });
+
+  // ============ RESUMABLE DECRYPTION TESTS ============
+  describe("Resumable Decryption (FHEVM mock)", function () {
+    const goal = hre.ethers.parseEther("1");
+
+    beforeEach(function () {
+      if (!hre.fhevm.isMock) this.skip();
+    });
+
+    it("should not expose handles before decryption is requested", async function () {
+      const campaignId = await createEncryptedCampaign(creator, goal);
+
+      await expect(
+        fhedge.getDecryptionHandles(campaignId)
+      ).to.be.revertedWith("Decryption not requested");
+      console.log(`✅ Handles unavailable before request`);
+    });
+
+    it("should return the same handles as the DecryptionRequested event", async function () {
+      const campaignId = await createEncryptedCampaign(creator, goal);
+      await increaseTime(ONE_DAY + 1);
+
+      await expect(fhedge.connect(creator).requestDecryptCampaignResult(campaignId))
+        .to.emit(fhedge, "DecryptionRequested");
+      const [event] = await fhedge.queryFilter(fhedge.filters.DecryptionRequested(campaignId));
+      const [totalPledgedHandle, goalReachedHandle] = await fhedge.getDecryptionHandles(campaignId);
+
+      expect(totalPledgedHandle).to.equal(event.args.totalPledgedHandle);
+      expect(goalReachedHandle).to.equal(event.args.goalReachedHandle);
+      console.log(`✅ View handles match event handles`);
+    });
+
+    it("should let anyone resume a reveal stuck in InProgress", async function () {
+      const campaignId = await createEncryptedCampaign(creator, goal);
+      await (await pledgeEncrypted(pledger1, campaignId, goal, goal)).wait();
+      await increaseTime(ONE_DAY + 1);
+
+      // Owner requests but never submits the proof
+      await (await fhedge.connect(creator).requestDecryptCampaignResult(campaignId)).wait();
+      expect((await fhedge.getDecryptedResults(campaignId))[0]).to.equal(1);
+
+      // A backer resumes from the stored handles
+      const handles = await fhedge.getDecryptionHandles(campaignId);
+      const results = await hre.fhevm.publicDecrypt([...handles]);
+      await expect(
+        fhedge.connect(pledger2).callbackDecryptCampaignResult(
+          campaignId,
+          results.abiEncodedClearValues,
+          results.decryptionProof
+        )
+      ).to.emit(fhedge, "DecryptionCompleted").withArgs(campaignId, goal, true);
+      console.log(`✅ Reveal resumed by a non-owner`);
+    });
+  });
+
+  // ============ TOP-UP PLEDGE TESTS ============
+  describe("Multiple Pledges and Top-Ups (FHEVM mock)", function () {
+    const goal = hre.ethers.parseEther("1");
+
+    beforeEach(function () {
+      if (!hre.fhevm.isMock) this.skip();
+    });
+
+    async function decryptOwnPledge(signer, campaignId) {
+      const handle = await fhedge.connect(signer).getPledgeAmount(campaignId, signer.address);
+      return hre.fhevm.userDecryptEuint(FhevmType.euint64, handle, contractAddress, signer);
+    }
+
+    it("should accumulate repeated pledges into the backer's encrypted total", async function () {
+      const first = hre.ethers.parseEther("0.3");
+      const second = hre.ethers.parseEther("0.2");
+      const campaignId = await createEncryptedCampaign(creator, goal);
+
+      await (await pledgeEncrypted(pledger1, campaignId, first, first)).wait();
+      expect(await decryptOwnPledge(pledger1, campaignId)).to.equal(first);
+
+      await (await pledgeEncrypted(pledger1, campaignId, second, second)).wait();
+      expect(await decryptOwnPledge(pledger1, campaignId)).to.equal(first + second);
+      console.log(`✅ Running total: ${hre.ethers.formatEther(first + second)} ETH`);
+    });
+
+    it("should accumulate ethPledges and the campaign total across top-ups", async function () {
+      const first = hre.ethers.parseEther("0.6");
+      const second = hre.ethers.parseEther("0.4");
+      const campaignId = await createEncryptedCampaign(creator, goal);
+
+      await (await pledgeEncrypted(pledger1, campaignId, first, first)).wait();
+      await (await pledgeEncrypted(pledger1, campaignId, second, second)).wait();
+
+      const afterFee = (first - first / 100n) + (second - second / 100n);
+      expect(await fhedge.ethPledges(campaignId, pledger1.address)).to.equal(afterFee);
+
+      await increaseTime(ONE_DAY + 1);
+      const [, totalPledged, goalReached] = await revealResults(creator, campaignId);
+      expect(totalPledged).to.equal(first + second);
+      expect(goalReached).to.equal(true);
+      console.log(`✅ Top-ups counted toward the goal`);
+    });
+
+    it("should not count a mismatched top-up in the running total", async function () {
+      const honest = hre.ethers.parseEther("0.3");
+      const campaignId = await createEncryptedCampaign(creator, goal);
+
+      await (await pledgeEncrypted(pledger1, campaignId, honest, honest)).wait();
+      await (await pledgeEncrypted(
+        pledger1,
+        campaignId,
+        hre.ethers.parseEther("5"),
+        hre.ethers.parseEther("0.01")
+      )).wait();
+
+      expect(await decryptOwnPledge(pledger1, campaignId)).to.equal(honest);
+      console.log(`✅ Mismatched top-up ignored`);
+    });
+
+    it("should refund every top-up when the goal is missed", async function () {
+      const first = hre.ethers.parseEther("0.2");
+      const second = hre.ethers.parseEther("0.1");
+      const campaignId = await createEncryptedCampaign(creator, goal);
+
+      await (await pledgeEncrypted(pledger1, campaignId, first, first)).wait();
+      await (await pledgeEncrypted(pledger1, campaignId, second, second)).wait();
+      await increaseTime(ONE_DAY + 1);
+      await revealResults(creator, campaignId);
+
+      const afterFee = (first - first / 100n) + (second - second / 100n);
+      await expect(
+        fhedge.connect(pledger1).refund(campaignId)
+      ).to.changeEtherBalance(pledger1, afterFee);
+      console.log(`✅ Refunded ${hre.ethers.formatEther(afterFee)} ETH across top-ups`);
+    });
+  });
+
+  describe("Pledge Withdrawal (FHEVM mock)", function () {
+    const goal = hre.ethers.parseEther("1");
+
+    beforeEach(function () {
+      if (!hre.fhevm.isMock) this.skip();
+    });
+
+    it("should return the ETH after fee and clear the pledge", async function () {
+      const amount = hre.ethers.parseEther("0.5");
+      const campaignId = await createEncryptedCampaign(creator, goal);
+      await (await pledgeEncrypted(pledger1, campaignId, amount, amount)).wait();
+
+      const afterFee = amount - amount / 100n;
+      const tx = fhedge.connect(pledger1).withdrawPledge(campaignId);
+      await expect(tx).to.changeEtherBalance(pledger1, afterFee);
+      await expect(tx).to.emit(fhedge, "PledgeWithdrawn").withArgs(campaignId, pledger1.address);
+
+      expect(await fhedge.hasPledged(campaignId, pledger1.address)).to.equal(false);
+      expect(await fhedge.ethPledges(campaignId, pledger1.address)).to.equal(0);
+      const [, , , , , , ethBalance] = await fhedge.getCampaignInfo(campaignId);
+      expect(ethBalance).to.equal(0);
+      console.log(`✅ Withdrew ${hre.ethers.formatEther(afterFee)} ETH before the deadline`);
+    });
+
+    it("should subtract the withdrawn amount from the encrypted total", async function () {
+      const stays = hre.ethers.parseEther("0.4");
+      const leaves = hre.ethers.parseEther("0.7");
+      const campaignId = await createEncryptedCampaign(creator, goal);
+      await (await pledgeEncrypted(pledger1, campaignId, stays, stays)).wait();
+      await (await pledgeEncrypted(pledger2, campaignId, leaves, leaves)).wait();
+
+      await (await fhedge.connect(pledger2).withdrawPledge(campaignId)).wait();
+
+      await increaseTime(ONE_DAY + 1);
+      const [, totalPledged, goalReached] = await revealResults(creator, campaignId);
+      expect(totalPledged).to.equal(stays);
+      expect(goalReached).to.equal(false);
+      console.log(`✅ Total after withdrawal: ${hre.ethers.formatEther(totalPledged)} ETH`);
+    });
+
+    it("should allow pledging again after a withdrawal", async function () {
+      const amount = hre.ethers.parseEther("0.3");
+      const campaignId = await createEncryptedCampaign(creator, goal);
+      await (await pledgeEncrypted(pledger1, campaignId, amount, amount)).wait();
+      await (await fhedge.connect(pledger1).withdrawPledge(campaignId)).wait();
+      await (await pledgeEncrypted(pledger1, campaignId, goal, goal)).wait();
+
+      await increaseTime(ONE_DAY + 1);
+      const [, totalPledged, goalReached] = await revealResults(creator, campaignId);
+      expect(totalPledged).to.equal(goal);
+      expect(goalReached).to.equal(true);
+    });
+
+    it("should reject withdrawals after the deadline or without a pledge", async function () {
+      const amount = hre.ethers.parseEther("0.3");
+      const campaignId = await createEncryptedCampaign(creator, goal);
+
+      await expect(
+        fhedge.connect(pledger1).withdrawPledge(campaignId)
+      ).to.be.revertedWith("No pledge found");
+
+      await (await pledgeEncrypted(pledger1, campaignId, amount, amount)).wait();
+      await increaseTime(ONE_DAY + 1);
+
+      await expect(
+        fhedge.connect(pledger1).withdrawPledge(campaignId)
+      ).to.be.revertedWith("Campaign has ended");
+    });
+  });
+
+  describe("Campaign Cancellation (FHEVM mock)", function () {
+    const goal = hre.ethers.parseEther("1");
+
+    beforeEach(function () {
+      if (!hre.fhevm.isMock) this.skip();
+    });
+
+    it("should mark the campaign cancelled and emit CampaignCancelled", async function () {
+      const campaignId = await createEncryptedCampaign(creator, goal);
+
+      await expect(fhedge.connect(creator).cancelCampaign(campaignId))
+        .to.emit(fhedge, "CampaignCancelled").withArgs(campaignId, creator.address);
+
+      const info = await fhedge.getCampaignInfo(campaignId);
+      expect(info.active).to.equal(false);
+      expect(info.cancelled).to.equal(true);
+      console.log(`✅ Campaign #${campaignId} cancelled`);
+    });
+
+    it("should only let the owner cancel an active, unclaimed campaign", async function () {
+      const campaignId = await createEncryptedCampaign(creator, goal);
+
+      await expect(
+        fhedge.connect(pledger1).cancelCampaign(campaignId)
+      ).to.be.revertedWith("Only owner can cancel");
+
+      await (await fhedge.connect(creator).cancelCampaign(campaignId)).wait();
+      await expect(
+        fhedge.connect(creator).cancelCampaign(campaignId)
+      ).to.be.revertedWith("Campaign is not active");
+    });
+
+    it("should block pledges and reveals after cancellation", async function () {
+      const amount = hre.ethers.parseEther("0.1");
+      const campaignId = await createEncryptedCampaign(creator, goal);
+      await (await fhedge.connect(creator).cancelCampaign(campaignId)).wait();
+
+      await expect(
+        pledgeEncrypted(pledger1, campaignId, amount, amount)
+      ).to.be.revertedWith("Campaign is not active");
+
+      await increaseTime(ONE_DAY + 1);
+      await expect(
+        fhedge.connect(creator).requestDecryptCampaignResult(campaignId)
+      ).to.be.revertedWith("Campaign was cancelled");
+    });
+
+    it("should let every backer refund immediately, before the deadline", async function () {
+      const first = hre.ethers.parseEther("0.4");
+      const second = hre.ethers.parseEther("0.2");
+      const campaignId = await createEncryptedCampaign(creator, goal);
+      await (await pledgeEncrypted(pledger1, campaignId, first, first)).wait();
+      await (await pledgeEncrypted(pledger2, campaignId, second, second)).wait();
+
+      await (await fhedge.connect(creator).cancelCampaign(campaignId)).wait();
+
+      await expect(
+        fhedge.connect(pledger1).refund(campaignId)
+      ).to.changeEtherBalance(pledger1, first - first / 100n);
+      await expect(
+        fhedge.connect(pledger2).refund(campaignId)
+      ).to.changeEtherBalance(pledger2, second - second / 100n);
+
+      const info = await fhedge.getCampaignInfo(campaignId);
+      expect(info.ethBalance).to.equal(0);
+      console.log(`✅ Both backers refunded without waiting for the deadline`);
+    });
+
+    it("should not allow cancelling once a reached goal has been revealed", async function () {
+      const campaignId = await createEncryptedCampaign(creator, goal);
+      await (await pledgeEncrypted(pledger1, campaignId, goal, goal)).wait();
+      await increaseTime(ONE_DAY + 1);
+      await revealResults(creator, campaignId);
+
+      await expect(
+        fhedge.connect(creator).cancelCampaign(campaignId)
+      ).to.be.revertedWith("Results already revealed");
+    });
+  });
+
+  describe("Token Funding (FHEVM mock)", function () {
+    const FundingAsset = { Native: 0, ERC20: 1, Confidential: 2 };
+    const USDC = (amount) => hre.ethers.parseUnits(amount, 6);
+    const goal = USDC("1000");
+    let token;
+
+    beforeEach(function () {
+      if (!hre.fhevm.isMock) this.skip();
+    });
+
+    async function createTokenCampaign(asset, tokenAddress) {
+      const encryptedGoal = await encryptAmount(creator, goal);
+      const deadline = (await latestTimestamp()) + ONE_DAY;
+      await (await fhedge.connect(creator).createTokenCampaign(
+        encryptedGoal.handles[0],
+        encryptedGoal.inputProof,
+        deadline,
+        "Token Campaign",
+        "Description",
+        asset,
+        tokenAddress,
+        1,
+        NO_SETUP
+      )).wait();
+      return (await fhedge.nextCampaignId()) - 1n;
+    }
+
+    describe("ERC-20", function () {
+      beforeEach(async function () {
+        const MockERC20 = await hre.ethers.getContractFactory("MockERC20");
+        token = await MockERC20.deploy("USD Coin", "USDC", 6);
+        await token.waitForDeployment();
+        await token.mint(pledger1.address, USDC("5000"));
+        await token.mint(pledger2.address, USDC("5000"));
+      });
+
+      async function pledgeToken(signer, campaignId, encryptedValue, tokenAmount) {
+        await (await token.connect(signer).approve(contractAddress, tokenAmount)).wait();
+        const encryptedAmount = await encryptAmount(signer, encryptedValue);
+        return fhedge.connect(signer).pledgeToken(
+          campaignId,
+          encryptedAmount.handles[0],
+          encryptedAmount.inputProof,
+          tokenAmount
+        );
+      }
+
+      it("should record the funding asset", async function () {
+        const campaignId = await createTokenCampaign(FundingAsset.ERC20, await token.getAddress());
+        const [asset, tokenAddress] = await fhedge.getFundingAsset(campaignId);
+        expect(asset).to.equal(FundingAsset.ERC20);
+        expect(tokenAddress).to.equal(await token.getAddress());
+
+        const ethCampaignId = await createEncryptedCampaign(creator, goal);
+        expect((await fhedge.getFundingAsset(ethCampaignId))[0]).to.equal(FundingAsset.Native);
+      });
+
+      it("should pull tokens, pay the fee and claim in tokens when the goal is reached", async function () {
+        const campaignId = await createTokenCampaign(FundingAsset.ERC20, await token.getAddress());
+        const fee = goal / 100n;
+
+        await expect(pledgeToken(pledger1, campaignId, goal, goal))
+          .to.changeTokenBalances(token, [pledger1, platformOwner], [-goal, fee]);
+        expect(await fhedge.ethPledges(campaignId, pledger1.address)).to.equal(goal - fee);
+
+        await increaseTime(ONE_DAY + 1);
+        const [, totalPledged, goalReached] = await revealResults(creator, campaignId);
+        expect(totalPledged).to.equal(goal);
+        expect(goalReached).to.equal(true);
+
+        await expect(fhedge.connect(creator).claimCampaign(campaignId))
+          .to.changeTokenBalance(token, creator, goal - fee);
+        console.log(`✅ Claimed ${hre.ethers.formatUnits(goal - fee, 6)} USDC`);
+      });
+
+      it("should refund tokens when the goal is missed", async function () {
+        const amount = USDC("250");
+        const campaignId = await createTokenCampaign(FundingAsset.ERC20, await token.getAddress());
+        await (await pledgeToken(pledger1, campaignId, amount, amount)).wait();
+
+        await increaseTime(ONE_DAY + 1);
+        await revealResults(creator, campaignId);
+
+        await expect(fhedge.connect(pledger1).refund(campaignId))
+          .to.changeTokenBalance(token, pledger1, amount - amount / 100n);
+      });
+
+      it("should not count a ciphertext that differs from the tokens sent", async function () {
+        const campaignId = await createTokenCampaign(FundingAsset.ERC20, await token.getAddress());
+        await (await pledgeToken(pledger1, campaignId, goal, USDC("1"))).wait();
+
+        await increaseTime(ONE_DAY + 1);
+        const [, totalPledged] = await revealResults(creator, campaignId);
+        expect(totalPledged).to.equal(0);
+      });
+
+      it("should reject pledges in the wrong asset", async function () {
+        const tokenCampaignId = await createTokenCampaign(FundingAsset.ERC20, await token.getAddress());
+        await expect(
+          pledgeEncrypted(pledger1, tokenCampaignId, 1000n, 1000n)
+        ).to.be.revertedWith("Wrong funding asset");
+
+        const ethCampaignId = await createEncryptedCampaign(creator, goal);
+        await expect(
+          pledgeToken(pledger1, ethCampaignId, 1000n, 1000n)
+        ).to.be.revertedWith("Wrong funding asset");
+      });
+
+      it("should validate token campaign parameters", async function () {
+        await expect(
+          createTokenCampaign(FundingAsset.Native, await token.getAddress())
+        ).to.be.revertedWith("Use createCampaign for ETH");
+        await expect(
+          createTokenCampaign(FundingAsset.ERC20, hre.ethers.ZeroAddress)
+        ).to.be.revertedWith("Token address required");
+      });
+    });
+
+    describe("Confidential token", function () {
+      beforeEach(async function () {
+        const MockConfidentialToken = await hre.ethers.getContractFactory("MockConfidentialToken");
+        token = await MockConfidentialToken.deploy("Confidential USD", "cUSD", 6);
+        await token.waitForDeployment();
+        await (await token.mint(pledger1.address, USDC("5000"))).wait();
+      });
+
+      async function pledgeConfidential(signer, campaignId, amount) {
+        const until = (await latestTimestamp()) + 3600;
+        await (await token.connect(signer).setOperator(contractAddress, until)).wait();
+        const encryptedAmount = await encryptAmount(signer, amount);
+        return fhedge.connect(signer).pledgeConfidential(
+          campaignId,
+          encryptedAmount.handles[0],
+          encryptedAmount.inputProof
+        );
+      }
+
+      async function decryptBalance(signer) {
+        const handle = await token.confidentialBalanceOf(signer.address);
+        return hre.fhevm.userDecryptEuint(FhevmType.euint64, handle, await token.getAddress(), signer);
+      }
+
+      it("should move encrypted amounts and pay the owner on claim", async function () {
+        const campaignId = await createTokenCampaign(FundingAsset.Confidential, await token.getAddress());
+        const fee = goal / 100n;
+
+        await (await pledgeConfidential(pledger1, campaignId, goal)).wait();
+        expect(await decryptBalance(pledger1)).to.equal(USDC("5000") - goal);
+        expect(await decryptBalance(platformOwner)).to.equal(fee);
+
+        await increaseTime(ONE_DAY + 1);
+        const [, totalPledged, goalReached] = await revealResults(creator, campaignId);
+        expect(totalPledged).to.equal(goal);
+        expect(goalReached).to.equal(true);
+
+        await (await fhedge.connect(creator).claimCampaign(campaignId)).wait();
+        expect(await decryptBalance(creator)).to.equal(goal - fee);
+        console.log(`✅ Confidential pledge claimed without revealing the transfer amount`);
+      });
+
+      it("should count an unfunded transfer as zero", async function () {
+        const campaignId = await createTokenCampaign(FundingAsset.Confidential, await token.getAddress());
+        await (await pledgeConfidential(pledger1, campaignId, USDC("9999"))).wait();
+        expect(await decryptBalance(pledger1)).to.equal(USDC("5000"));
+
+        await increaseTime(ONE_DAY + 1);
+        const [, totalPledged] = await revealResults(creator, campaignId);
+        expect(totalPledged).to.equal(0);
+      });
+
+      it("should refund the encrypted deposit after cancellation", async function () {
+        const amount = USDC("400");
+        const campaignId = await createTokenCampaign(FundingAsset.Confidential, await token.getAddress());
+        await (await pledgeConfidential(pledger1, campaignId, amount)).wait();
+        await (await fhedge.connect(creator).cancelCampaign(campaignId)).wait();
+
+        await (await fhedge.connect(pledger1).refund(campaignId)).wait();
+        expect(await decryptBalance(pledger1)).to.equal(USDC("5000") - amount / 100n);
+      });
+
+      it("should not carry a withdrawn deposit into a later pledge", async function () {
+        const first = USDC("400");
+        const second = USDC("100");
+        const campaignId = await createTokenCampaign(FundingAsset.Confidential, await token.getAddress());
+        await (await pledgeConfidential(pledger1, campaignId, first)).wait();
+        await (await fhedge.connect(pledger1).withdrawPledge(campaignId)).wait();
+
+        await (await pledgeConfidential(pledger1, campaignId, second)).wait();
+        await (await fhedge.connect(pledger1).withdrawPledge(campaignId)).wait();
+        // Only the 1% fees are gone: the second withdrawal returned the second deposit alone
+        expect(await decryptBalance(pledger1)).to.equal(USDC("5000") - first / 100n - second / 100n);
+      });
+
+      it("should require this contract to be an operator", async function () {
+        const campaignId = await createTokenCampaign(FundingAsset.Confidential, await token.getAddress());
+        const encryptedAmount = await encryptAmount(pledger1, USDC("10"));
+        await expect(
+          fhedge.connect(pledger1).pledgeConfidential(campaignId, encryptedAmount.handles[0], encryptedAmount.inputProof)
+        ).to.be.revertedWith("Not an operator");
+      });
+    });
+  });
+
+  describe("Amount Unit (FHEVM mock)", function () {
+    const GWEI = 10n ** 9n;
+
+    beforeEach(function () {
+      if (!hre.fhevm.isMock) this.skip();
+    });
+
+    async function pledgeInGwei(signer, campaignId, wei) {
+      return pledgeEncrypted(signer, campaignId, wei / GWEI, wei);
+    }
+
+    it("should count pledges above 18.44 ETH when amounts are in gwei", async function () {
+      const goal = hre.ethers.parseEther("40");
+      const pledge = hre.ethers.parseEther("25");
+      const campaignId = await createEncryptedCampaign(creator, goal / GWEI, ONE_DAY, GWEI);
+
+      await (await pledgeInGwei(pledger1, campaignId, pledge)).wait();
+      await (await pledgeInGwei(pledger2, campaignId, pledge)).wait();
+
+      await increaseTime(ONE_DAY + 1);
+      const [, totalPledged, goalReached] = await revealResults(creator, campaignId);
+      expect(totalPledged * GWEI).to.equal(pledge * 2n);
+      expect(goalReached).to.equal(true);
+      console.log(`✅ Revealed ${hre.ethers.formatEther(totalPledged * GWEI)} ETH (stored as gwei)`);
+    });
+
+    it("should expose the campaign's amount unit", async function () {
+      const campaignId = await createEncryptedCampaign(creator, 1n, ONE_DAY, GWEI);
+      const [, , amountUnit] = await fhedge.getFundingAsset(campaignId);
+      expect(amountUnit).to.equal(GWEI);
+    });
+
+    it("should reject deposits that are not a whole number of units", async function () {
+      const campaignId = await createEncryptedCampaign(creator, 1000n, ONE_DAY, GWEI);
+      await expect(
+        pledgeEncrypted(pledger1, campaignId, 1n, GWEI + 1n)
+      ).to.be.revertedWith("Amount not a multiple of unit");
+    });
+
+    it("should reject a pledge whose ciphertext is in wei instead of units", async function () {
+      const pledge = hre.ethers.parseEther("1");
+      const campaignId = await createEncryptedCampaign(creator, pledge / GWEI, ONE_DAY, GWEI);
+      await (await pledgeEncrypted(pledger1, campaignId, pledge, pledge)).wait();
+
+      await increaseTime(ONE_DAY + 1);
+      const [, totalPledged] = await revealResults(creator, campaignId);
+      expect(totalPledged).to.equal(0);
+    });
+
+    it("should reject a zero amount unit", async function () {
+      const encryptedGoal = await encryptAmount(creator, 1n);
+      await expect(
+        fhedge.connect(creator).createCampaign(
+          encryptedGoal.handles[0],
+          encryptedGoal.inputProof,
+          (await latestTimestamp()) + ONE_DAY,
+          "Test Campaign",
+          "Description",
+          0,
+          NO_SETUP
+        )
+      ).to.be.revertedWith("Amount unit must be positive");
+    });
+  });
+
+  describe("Owner Dashboard Decryption (FHEVM mock)", function () {
+    const goal = hre.ethers.parseEther("2");
+
+    beforeEach(function () {
+      if (!hre.fhevm.isMock) this.skip();
+    });
+
+    async function userDecrypt(signer, handle) {
+      return hre.fhevm.userDecryptEuint(FhevmType.euint64, handle, contractAddress, signer);
+    }
+
+    it("should let the owner decrypt goal, running total and each backer's pledge", async function () {
+      const first = hre.ethers.parseEther("0.5");
+      const second = hre.ethers.parseEther("0.8");
+      const topUp = hre.ethers.parseEther("0.2");
+      const campaignId = await createEncryptedCampaign(creator, goal);
+      await (await pledgeEncrypted(pledger1, campaignId, first, first)).wait();
+      await (await pledgeEncrypted(pledger2, campaignId, second, second)).wait();
+      await (await pledgeEncrypted(pledger1, campaignId, topUp, topUp)).wait();
+
+      const asOwner = fhedge.connect(creator);
+      expect(await userDecrypt(creator, await asOwner.getGoal(campaignId))).to.equal(goal);
+      expect(await userDecrypt(creator, await asOwner.getTotalPledged(campaignId))).to.equal(first + second + topUp);
+      expect(await userDecrypt(creator, await asOwner.getPledgeAmount(campaignId, pledger1.address))).to.equal(first + topUp);
+      expect(await userDecrypt(creator, await asOwner.getPledgeAmount(campaignId, pledger2.address))).to.equal(second);
+      console.log(`✅ Owner decrypted goal, total and 2 backer pledges privately`);
+    });
+
+    it("should keep backers from reading each other's pledges", async function () {
+      const amount = hre.ethers.parseEther("0.5");
+      const campaignId = await createEncryptedCampaign(creator, goal);
+      await (await pledgeEncrypted(pledger1, campaignId, amount, amount)).wait();
+
+      await expect(
+        fhedge.connect(pledger2).getPledgeAmount(campaignId, pledger1.address)
+      ).to.be.revertedWith("Not authorized");
+
+      const handle = await fhedge.connect(pledger1).getPledgeAmount(campaignId, pledger1.address);
+      // The ACL only grants the backer and the campaign owner
+      await expect(userDecrypt(pledger2, handle)).to.be.rejected;
+    });
+  });
+
+  describe("Batch Campaign Summaries (FHEVM mock)", function () {
+    beforeEach(function () {
+      if (!hre.fhevm.isMock) this.skip();
+    });
+
+    it("should return requested campaigns in order with the account's pledge flag", async function () {
+      const amount = hre.ethers.parseEther("0.5");
+      const first = await createEncryptedCampaign(creator, amount);
+      const second = await createEncryptedCampaign(pledger2, amount, ONE_DAY, 10n ** 9n);
+      await (await pledgeEncrypted(pledger1, first, amount, amount)).wait();
+
+      const summaries = await fhedge.getCampaignSummaries([second, first], pledger1.address);
+      expect(summaries.length).to.equal(2);
+      expect(summaries[0].campaignId).to.equal(second);
+      expect(summaries[0].owner).to.equal(pledger2.address);
+      expect(summaries[0].amountUnit).to.equal(10n ** 9n);
+      expect(summaries[0].hasPledged).to.equal(false);
+      expect(summaries[1].campaignId).to.equal(first);
+      expect(summaries[1].title).to.equal("Test Campaign");
+      expect(summaries[1].ethBalance).to.equal(amount - amount / 100n);
+      expect(summaries[1].hasPledged).to.equal(true);
+      console.log(`✅ Loaded 2 campaign summaries in one call`);
+    });
+
+    it("should include revealed results and cancellation", async function () {
+      const goal = hre.ethers.parseEther("1");
+      const revealed = await createEncryptedCampaign(creator, goal);
+      const cancelled = await createEncryptedCampaign(creator, goal);
+      await (await pledgeEncrypted(pledger1, revealed, goal, goal)).wait();
+      await (await fhedge.connect(creator).cancelCampaign(cancelled)).wait();
+
+      await increaseTime(ONE_DAY + 1);
+      await revealResults(creator, revealed);
+
+      const [revealedSummary, cancelledSummary] = await fhedge.getCampaignSummaries(
+        [revealed, cancelled],
+        hre.ethers.ZeroAddress
+      );
+      expect(revealedSummary.decryptionStatus).to.equal(2);
+      expect(revealedSummary.decryptedTotalPledged).to.equal(goal);
+      expect(revealedSummary.goalReached).to.equal(true);
+      expect(cancelledSummary.cancelled).to.equal(true);
+      expect(cancelledSummary.active).to.equal(false);
+    });
+
+    it("should reject unknown campaign IDs", async function () {
+      const next = await fhedge.nextCampaignId();
+      await expect(
+        fhedge.getCampaignSummaries([next], hre.ethers.ZeroAddress)
+      ).to.be.revertedWith("Campaign does not exist");
+    });
+  });
+
+  describe("Paginated Campaign Views (FHEVM mock)", function () {
+    const goal = hre.ethers.parseEther("1");
+
+    beforeEach(function () {
+      if (!hre.fhevm.isMock) this.skip();
+    });
+
+    it("should page through all campaigns in ID order", async function () {
+      const start = await fhedge.nextCampaignId();
+      for (let i = 0; i < 3; i++) {
+        await createEncryptedCampaign(i === 1 ? pledger2 : creator, goal);
+      }
+
+      const [page, total] = await fhedge.getCampaignsPage(start, 2, hre.ethers.ZeroAddress);
+      expect(total).to.equal(start + 3n);
+      expect(page.map(summary => summary.campaignId)).to.deep.equal([start, start + 1n]);
+
+      const [lastPage] = await fhedge.getCampaignsPage(start + 2n, 2, hre.ethers.ZeroAddress);
+      expect(lastPage.length).to.equal(1);
+      expect(lastPage[0].campaignId).to.equal(start + 2n);
+
+      const [pastEnd] = await fhedge.getCampaignsPage(total, 2, hre.ethers.ZeroAddress);
+      expect(pastEnd.length).to.equal(0);
+      console.log(`✅ Paged ${total} campaigns`);
+    });
+
+    it("should page through an owner's campaigns only", async function () {
+      const [, ownedBefore] = await fhedge.getCampaignsByOwner(pledger2.address, 0, 1, hre.ethers.ZeroAddress);
+      const mine = await createEncryptedCampaign(pledger2, goal);
+      await createEncryptedCampaign(creator, goal);
+      const alsoMine = await createEncryptedCampaign(pledger2, goal);
+      await (await pledgeEncrypted(pledger1, alsoMine, goal, goal)).wait();
+
+      const [page, total] = await fhedge.getCampaignsByOwner(pledger2.address, ownedBefore, 10, pledger1.address);
+      expect(total).to.equal(ownedBefore + 2n);
+      expect(page.map(summary => summary.campaignId)).to.deep.equal([mine, alsoMine]);
+      expect(page.every(summary => summary.owner === pledger2.address)).to.equal(true);
+      expect(page.map(summary => summary.hasPledged)).to.deep.equal([false, true]);
+
+      const [pastEnd] = await fhedge.getCampaignsByOwner(pledger2.address, total, 10, hre.ethers.ZeroAddress);
+      expect(pastEnd.length).to.equal(0);
+    });
+
+    it("should report hasPledged for the given account and decryption results", async function () {
+      const campaignId = await createEncryptedCampaign(creator, goal);
+      await (await pledgeEncrypted(pledger1, campaignId, goal, goal)).wait();
+      await increaseTime(ONE_DAY + 1);
+      await revealResults(creator, campaignId);
+
+      // Read-only eth_calls come from the zero address: the account is explicit
+      const [[asBacker]] = await fhedge.connect(pledger2).getCampaignsPage(campaignId, 1, pledger1.address);
+      const [[asStranger]] = await fhedge.connect(pledger1).getCampaignsPage(campaignId, 1, pledger2.address);
+      expect(asBacker.hasPledged).to.equal(true);
+      expect(asStranger.hasPledged).to.equal(false);
+      expect(asBacker.decryptionStatus).to.equal(2);
+      expect(asBacker.decryptedTotalPledged).to.equal(goal);
+      expect(asBacker.goalReached).to.equal(true);
+    });
+
+    it("should reject pages larger than MAX_PAGE_SIZE", async function () {
+      const maxPageSize = await fhedge.MAX_PAGE_SIZE();
+      await expect(
+        fhedge.getCampaignsPage(0, maxPageSize + 1n, hre.ethers.ZeroAddress)
+      ).to.be.revertedWith("Page size too large");
+      await expect(
+        fhedge.getCampaignsByOwner(creator.address, 0, maxPageSize + 1n, hre.ethers.ZeroAddress)
+      ).to.be.revertedWith("Page size too large");
+    });
+  });
+
+  describe("Milestone Releases (FHEVM mock)", function () {
+    const goal = hre.ethers.parseEther("1");
+    const first = hre.ethers.parseEther("0.7");
+    const second = hre.ethers.parseEther("0.3");
+    const objectionPeriod = 3 * ONE_DAY;
+
+    beforeEach(function () {
+      if (!hre.fhevm.isMock) this.skip();
+    });
+
+    const milestoneSetup = (milestoneTitles, milestoneShares) => ({ ...NO_SETUP, milestoneTitles, milestoneShares });
+
+    // Two backers fund a 40/60 milestone campaign past its goal, then the results are revealed
+    async function fundedMilestoneCampaign() {
+      const campaignId = await createEncryptedCampaign(
+        creator, goal, ONE_DAY, 1n, milestoneSetup(["Prototype", "Launch"], [40, 60])
+      );
+      await (await pledgeEncrypted(pledger1, campaignId, first, first)).wait();
+      await (await pledgeEncrypted(pledger2, campaignId, second, second)).wait();
+      await increaseTime(ONE_DAY + 1);
+      await revealResults(creator, campaignId);
+      return campaignId;
+    }
+
+    it("should store milestones in the creation transaction", async function () {
+      await expect(
+        createEncryptedCampaign(creator, goal, ONE_DAY, 1n, milestoneSetup(["Prototype", "Launch"], [40, 50]))
+      ).to.be.revertedWith("Shares must total 100%");
+      await expect(
+        createEncryptedCampaign(creator, goal, ONE_DAY, 1n, milestoneSetup(["Prototype"], [40, 60]))
+      ).to.be.revertedWith("Length mismatch");
+      await expect(
+        createEncryptedCampaign(creator, goal, ONE_DAY, 1n, milestoneSetup(Array(11).fill("Step"), Array(11).fill(9)))
+      ).to.be.revertedWith("Invalid milestone count");
+
+      const encryptedGoal = await encryptAmount(creator, goal);
+      const creation = fhedge.connect(creator).createCampaign(
+        encryptedGoal.handles[0],
+        encryptedGoal.inputProof,
+        (await latestTimestamp()) + ONE_DAY,
+        "Milestone Campaign",
+        "Description",
+        1,
+        milestoneSetup(["Prototype", "Launch"], [40, 60])
+      );
+      const campaignId = await fhedge.nextCampaignId();
+      // No pledge can land between the campaign and its release terms
+      await expect(creation).to.emit(fhedge, "CampaignCreated")
+        .and.to.emit(fhedge, "MilestonesSet").withArgs(campaignId, 2);
+
+      const [milestones] = await fhedge.getMilestones(campaignId);
+      expect(milestones.map(milestone => [milestone.title, Number(milestone.sharePercent)]))
+        .to.deep.equal([["Prototype", 40], ["Launch", 60]]);
+      const [summary] = await fhedge.getCampaignSummaries([campaignId], hre.ethers.ZeroAddress);
+      expect(summary.milestoneCount).to.equal(2);
+    });
+
+    it("should not offer milestones to confidential-token campaigns", async function () {
+      const token = await (await hre.ethers.getContractFactory("MockConfidentialToken")).deploy("Confidential USD", "cUSD", 6);
+      const encryptedGoal = await encryptAmount(creator, goal);
+      await expect(
+        fhedge.connect(creator).createTokenCampaign(
+          encryptedGoal.handles[0],
+          encryptedGoal.inputProof,
+          (await latestTimestamp()) + ONE_DAY,
+          "Confidential Campaign",
+          "Description",
+          2, // FundingAsset.Confidential
+          await token.getAddress(),
+          1,
+          milestoneSetup(["Prototype"], [100])
+        )
+      ).to.be.revertedWith("Not for confidential tokens");
+    });
+
+    it("should release each tranche after its objection window", async function () {
+      const campaignId = await fundedMilestoneCampaign();
+      const raised = (first + second) * 99n / 100n;
+
+      await expect(
+        fhedge.connect(creator).claimCampaign(campaignId)
+      ).to.be.revertedWith("Funds are released by milestone");
+
+      await (await fhedge.connect(creator).requestMilestoneRelease(campaignId)).wait();
+      await expect(
+        fhedge.settleMilestone(campaignId)
+      ).to.be.revertedWith("Objection window open");
+
+      await increaseTime(objectionPeriod);
+      const firstTranche = raised * 40n / 100n;
+      const firstSettlement = await fhedge.settleMilestone(campaignId);
+      await expect(firstSettlement).to.emit(fhedge, "MilestoneReleased").withArgs(campaignId, 0, firstTranche);
+      await expect(firstSettlement).to.changeEtherBalance(creator, firstTranche);
+
+      await (await fhedge.connect(creator).requestMilestoneRelease(campaignId)).wait();
+      await increaseTime(objectionPeriod);
+      const lastSettlement = await fhedge.settleMilestone(campaignId);
+      await expect(lastSettlement).to.emit(fhedge, "CampaignClaimed").withArgs(campaignId, creator.address);
+      await expect(lastSettlement).to.changeEtherBalance(creator, raised - firstTranche);
+
+      const info = await fhedge.getCampaignInfo(campaignId);
+      expect(info.claimed).to.equal(true);
+      expect(info.ethBalance).to.equal(0);
+      console.log(`✅ ${hre.ethers.formatEther(raised)} ETH released in two tranches`);
+    });
+
+    it("should keep releasing when only a minority objects", async function () {
+      const campaignId = await fundedMilestoneCampaign();
+      await (await fhedge.connect(creator).requestMilestoneRelease(campaignId)).wait();
+
+      await expect(
+        fhedge.connect(creator).objectToMilestone(campaignId)
+      ).to.be.revertedWith("No pledge found");
+      await expect(fhedge.connect(pledger2).objectToMilestone(campaignId))
+        .to.emit(fhedge, "MilestoneObjected").withArgs(campaignId, 0, pledger2.address);
+      await expect(
+        fhedge.connect(pledger2).objectToMilestone(campaignId)
+      ).to.be.revertedWith("Already objected");
+
+      await increaseTime(objectionPeriod);
+      await expect(
+        fhedge.connect(pledger1).objectToMilestone(campaignId)
+      ).to.be.revertedWith("Objection window closed");
+      await expect(fhedge.settleMilestone(campaignId)).to.emit(fhedge, "MilestoneReleased");
+
+      const [, progress] = await fhedge.getMilestones(campaignId);
+      expect(progress.nextMilestone).to.equal(1);
+      expect(progress.rejected).to.equal(false);
+    });
+
+    it("should refund the unreleased remainder pro rata when a majority objects", async function () {
+      const campaignId = await fundedMilestoneCampaign();
+      const deposit1 = first * 99n / 100n;
+      const deposit2 = second * 99n / 100n;
+      const raised = deposit1 + deposit2;
+
+      // First tranche goes through, the backer holding 70% blocks the second
+      await (await fhedge.connect(creator).requestMilestoneRelease(campaignId)).wait();
+      await increaseTime(objectionPeriod);
+      await (await fhedge.settleMilestone(campaignId)).wait();
+      await (await fhedge.connect(creator).requestMilestoneRelease(campaignId)).wait();
+      await (await fhedge.connect(pledger1).objectToMilestone(campaignId)).wait();
+      await increaseTime(objectionPeriod);
+
+      await expect(fhedge.settleMilestone(campaignId))
+        .to.emit(fhedge, "MilestoneRejected").withArgs(campaignId, 1);
+      await expect(
+        fhedge.connect(creator).requestMilestoneRelease(campaignId)
+      ).to.be.revertedWith("Campaign is not active");
+
+      const remainder = raised - raised * 40n / 100n;
+      await expect(
+        fhedge.connect(pledger1).refund(campaignId)
+      ).to.changeEtherBalance(pledger1, deposit1 * remainder / raised);
+      await expect(
+        fhedge.connect(pledger2).refund(campaignId)
+      ).to.changeEtherBalance(pledger2, deposit2 * remainder / raised);
+
+      const [summary] = await fhedge.getCampaignSummaries([campaignId], hre.ethers.ZeroAddress);
+      expect(summary.milestonesRejected).to.equal(true);
+      expect(summary.claimed).to.equal(false);
+      console.log(`✅ Backers refunded ${hre.ethers.formatEther(remainder)} ETH pro rata after the rejection`);
+    });
+  });
+
+  describe("Stretch Goals (FHEVM mock)", function () {
+    const goal = hre.ethers.parseEther("1");
+    const stretch = [hre.ethers.parseEther("2"), hre.ethers.parseEther("3")];
+
+    beforeEach(function () {
+      if (!hre.fhevm.isMock) this.skip();
+    });
+
+    async function addStretchGoals(signer, campaignId, thresholds) {
+      const input = hre.fhevm.createEncryptedInput(contractAddress, signer.address);
+      thresholds.forEach(threshold => input.add64(threshold));
+      const encrypted = await input.encrypt();
+      return fhedge.connect(signer).addStretchGoals(campaignId, encrypted.handles, encrypted.inputProof);
+    }
+
+    async function revealStretchTier(signer, campaignId) {
+      await (await fhedge.connect(signer).requestStretchTierReveal(campaignId)).wait();
+      const [, , , tierHandle] = await fhedge.getStretchGoals(campaignId);
+      const results = await hre.fhevm.publicDecrypt([tierHandle]);
+      await (await fhedge.callbackStretchTierReveal(
+        campaignId,
+        results.abiEncodedClearValues,
+        results.decryptionProof
+      )).wait();
+      return fhedge.getStretchGoals(campaignId);
+    }
+
+    it("should let only the owner set up to MAX_STRETCH_GOALS thresholds, once", async function () {
+      const campaignId = await createEncryptedCampaign(creator, goal);
+
+      await expect(
+        addStretchGoals(pledger1, campaignId, stretch)
+      ).to.be.revertedWith("Only owner can add stretch goals");
+
+      const maxStretchGoals = Number(await fhedge.MAX_STRETCH_GOALS());
+      await expect(
+        addStretchGoals(creator, campaignId, Array(maxStretchGoals + 1).fill(stretch[1]))
+      ).to.be.revertedWith("Too many stretch goals");
+
+      await expect(addStretchGoals(creator, campaignId, stretch))
+        .to.emit(fhedge, "StretchGoalsAdded").withArgs(campaignId, 2);
+
+      // The ladder is only checked in one piece
+      await expect(
+        addStretchGoals(creator, campaignId, [stretch[1] * 2n])
+      ).to.be.revertedWith("Stretch goals already set");
+
+      const [count, status] = await fhedge.getStretchGoals(campaignId);
+      expect(count).to.equal(2);
+      expect(status).to.equal(0); // NotRequested
+    });
+
+    it("should set stretch goals in the creation transaction", async function () {
+      const input = hre.fhevm.createEncryptedInput(contractAddress, creator.address);
+      [goal, ...stretch].forEach(amount => input.add64(amount));
+      const encrypted = await input.encrypt();
+      const campaignId = await fhedge.nextCampaignId();
+
+      await expect(fhedge.connect(creator).createCampaign(
+        encrypted.handles[0],
+        encrypted.inputProof,
+        (await latestTimestamp()) + ONE_DAY,
+        "Stretch Campaign",
+        "Description",
+        1,
+        { ...NO_SETUP, stretchGoals: encrypted.handles.slice(1) }
+      )).to.emit(fhedge, "StretchGoalsAdded").withArgs(campaignId, 2);
+    });
+
+    it("should make thresholds out of order unreachable", async function () {
+      // 2 ETH is not above 3 ETH, and 0.5 ETH is not above the 1 ETH goal
+      const descendingId = await createEncryptedCampaign(creator, goal);
+      await (await addStretchGoals(creator, descendingId, [stretch[1], stretch[0]])).wait();
+      const belowGoalId = await createEncryptedCampaign(creator, goal);
+      await (await addStretchGoals(creator, belowGoalId, [hre.ethers.parseEther("0.5"), stretch[0]])).wait();
+
+      const amount = hre.ethers.parseEther("3.5");
+      await (await pledgeEncrypted(pledger1, descendingId, amount, amount)).wait();
+      await (await pledgeEncrypted(pledger1, belowGoalId, amount, amount)).wait();
+      await increaseTime(ONE_DAY + 1);
+
+      const [, , descendingTier] = await revealStretchTier(creator, descendingId);
+      expect(descendingTier).to.equal(1);
+      const [, , belowGoalTier] = await revealStretchTier(creator, belowGoalId);
+      expect(belowGoalTier).to.equal(0);
+    });
+
+    it("should reveal only the highest tier reached, independently of the goal reveal", async function () {
+      const campaignId = await createEncryptedCampaign(creator, goal);
+      await (await addStretchGoals(creator, campaignId, stretch)).wait();
+      const amount = hre.ethers.parseEther("2.5");
+      await (await pledgeEncrypted(pledger1, campaignId, amount, amount)).wait();
+      await increaseTime(ONE_DAY + 1);
+
+      const [, status, tierReached] = await revealStretchTier(creator, campaignId);
+      expect(status).to.equal(2); // Completed
+      expect(tierReached).to.equal(1);
+
+      // The goal reveal is untouched and still available
+      const [goalStatus] = await fhedge.getDecryptedResults(campaignId);
+      expect(goalStatus).to.equal(0);
+      console.log(`✅ 2.5 ETH pledged: stretch tier ${tierReached} of ${stretch.length} revealed`);
+    });
+
+    it("should reveal tier 0 when no stretch goal is reached", async function () {
+      const campaignId = await createEncryptedCampaign(creator, goal);
+      await (await addStretchGoals(creator, campaignId, stretch)).wait();
+      await (await pledgeEncrypted(pledger1, campaignId, goal, goal)).wait();
+      await increaseTime(ONE_DAY + 1);
+
+      const [, , tierReached] = await revealStretchTier(creator, campaignId);
+      expect(tierReached).to.equal(0);
+    });
+
+    it("should enforce the reveal rules of the goal reveal", async function () {
+      const plainCampaignId = await createEncryptedCampaign(creator, goal);
+      const campaignId = await createEncryptedCampaign(creator, goal);
+      await (await addStretchGoals(creator, campaignId, stretch)).wait();
+
+      await expect(
+        fhedge.connect(creator).requestStretchTierReveal(campaignId)
+      ).to.be.revertedWith("Campaign not ended");
+
+      await increaseTime(ONE_DAY + 1);
+      await expect(
+        fhedge.connect(pledger1).requestStretchTierReveal(campaignId)
+      ).to.be.revertedWith("Only owner can request decryption");
+      await expect(
+        fhedge.connect(creator).requestStretchTierReveal(plainCampaignId)
+      ).to.be.revertedWith("No stretch goals");
+
+      await revealStretchTier(creator, campaignId);
+      await expect(
+        fhedge.connect(creator).requestStretchTierReveal(campaignId)
+      ).to.be.revertedWith("Decryption already requested");
+      await expect(
+        fhedge.callbackStretchTierReveal(campaignId, "0x", "0x")
+      ).to.be.revertedWith("Decryption not in progress");
+    });
+  });
+
+  describe("Reward Tiers (FHEVM mock)", function () {
+    const goal = hre.ethers.parseEther("1");
+    const names = ["Supporter", "Backer", "Patron"];
+
+    beforeEach(function () {
+      if (!hre.fhevm.isMock) this.skip();
+    });
+
+    // One encrypted input holds the goal, then the minimums of the tiers whose public minimum is 0
+    async function createTieredCampaign(publicMinimums, encryptedMinimums = []) {
+      const input = hre.fhevm.createEncryptedInput(contractAddress, creator.address);
+      input.add64(goal);
+      encryptedMinimums.forEach(minimum => input.add64(minimum));
+      const encrypted = await input.encrypt();
+      let next = 1;
+      return fhedge.connect(creator).createCampaign(
+        encrypted.handles[0],
+        encrypted.inputProof,
+        (await latestTimestamp()) + ONE_DAY,
+        "Tiered Campaign",
+        "Description",
+        1,
+        {
+          ...NO_SETUP,
+          rewardTierNames: names.slice(0, publicMinimums.length),
+          rewardTierPublicMinimums: publicMinimums,
+          rewardTierEncryptedMinimums: publicMinimums.map(minimum => minimum > 0n ? hre.ethers.ZeroHash : encrypted.handles[next++])
+        }
+      );
+    }
+
+    async function tieredCampaign(publicMinimums, encryptedMinimums) {
+      await (await createTieredCampaign(publicMinimums, encryptedMinimums)).wait();
+      return (await fhedge.nextCampaignId()) - 1n;
+    }
+
+    async function decryptRewardTier(signer, campaignId, backer = signer) {
+      const [, handle] = await fhedge.getRewardTiers(campaignId, backer.address);
+      return hre.fhevm.userDecryptEuint(FhevmType.euint8, handle, contractAddress, signer);
+    }
+
+    it("should set reward tiers in the creation transaction", async function () {
+      const minimums = [hre.ethers.parseEther("0.1"), hre.ethers.parseEther("0.5")];
+      const campaignId = await fhedge.nextCampaignId();
+
+      // No pledge can land before the tiers it is ranked against
+      await expect(createTieredCampaign(minimums))
+        .to.emit(fhedge, "CampaignCreated")
+        .and.to.emit(fhedge, "RewardTiersSet").withArgs(campaignId, 2);
+
+      const [tiers] = await fhedge.getRewardTiers(campaignId, pledger1.address);
+      expect(tiers.map(tier => tier.name)).to.deep.equal(["Supporter", "Backer"]);
+      expect(tiers[1].publicMinimum).to.equal(minimums[1]);
+
+      const [noTiers] = await fhedge.getRewardTiers(await createEncryptedCampaign(creator, goal), pledger1.address);
+      expect(noTiers).to.have.length(0);
+    });
+
+    it("should reject public minimums that are not strictly ascending", async function () {
+      const low = hre.ethers.parseEther("0.1");
+      const high = hre.ethers.parseEther("0.5");
+
+      await expect(createTieredCampaign([high, low])).to.be.revertedWith("Reward tiers not ascending");
+      await expect(createTieredCampaign([low, low])).to.be.revertedWith("Reward tiers not ascending");
+      // Compared across the encrypted tiers in between too
+      await expect(
+        createTieredCampaign([high, 0n, low], [hre.ethers.parseEther("0.3")])
+      ).to.be.revertedWith("Reward tiers not ascending");
+
+      await expect(createTieredCampaign([low, 0n, high], [hre.ethers.parseEther("0.3")]))
+        .to.emit(fhedge, "RewardTiersSet");
+    });
+
+    it("should make tiers unreachable from an encrypted minimum that is out of order", async function () {
+      // Backer's encrypted 0.05 ETH is not above Supporter's 0.1 ETH: it and Patron become unreachable
+      const campaignId = await tieredCampaign(
+        [hre.ethers.parseEther("0.1"), 0n, 0n],
+        [hre.ethers.parseEther("0.05"), hre.ethers.parseEther("1")]
+      );
+
+      const large = hre.ethers.parseEther("2");
+      await (await pledgeEncrypted(pledger1, campaignId, large, large)).wait();
+      expect(await decryptRewardTier(pledger1, campaignId)).to.equal(1n);
+    });
+
+    it("should give each backer a private tier against public and encrypted minimums", async function () {
+      // Supporter: public 0.1 ETH; Backer and Patron: encrypted 0.5 and 1 ETH
+      const campaignId = await tieredCampaign(
+        [hre.ethers.parseEther("0.1"), 0n, 0n],
+        [hre.ethers.parseEther("0.5"), hre.ethers.parseEther("1")]
+      );
+
+      const [tiers] = await fhedge.getRewardTiers(campaignId, creator.address);
+      expect(tiers[2].publicMinimum).to.equal(0); // Kept encrypted
+
+      const small = hre.ethers.parseEther("0.05");
+      const medium = hre.ethers.parseEther("0.6");
+      await (await pledgeEncrypted(pledger1, campaignId, medium, medium)).wait();
+      await (await pledgeEncrypted(pledger2, campaignId, small, small)).wait();
+
+      expect(await decryptRewardTier(pledger1, campaignId)).to.equal(2n);
+      expect(await decryptRewardTier(pledger2, campaignId)).to.equal(0n);
+      // The owner can see who to reward; other backers cannot
+      expect(await decryptRewardTier(creator, campaignId, pledger1)).to.equal(2n);
+      await expect(decryptRewardTier(pledger2, campaignId, pledger1)).to.be.rejected;
+
+      // Top-ups count toward the backer's running total
+      await (await pledgeEncrypted(pledger1, campaignId, medium, medium)).wait();
+      expect(await decryptRewardTier(pledger1, campaignId)).to.equal(3n);
+    });
+
+    it("should clear a backer's tier when they withdraw", async function () {
+      const campaignId = await tieredCampaign([hre.ethers.parseEther("0.1")]);
+      await (await pledgeEncrypted(pledger1, campaignId, goal, goal)).wait();
+      expect(await decryptRewardTier(pledger1, campaignId)).to.equal(1n);
+
+      await (await fhedge.connect(pledger1).withdrawPledge(campaignId)).wait();
+      const [, handle] = await fhedge.getRewardTiers(campaignId, pledger1.address);
+      expect(handle).to.equal(hre.ethers.ZeroHash);
     });
   });
 });
\ No newline at end of file
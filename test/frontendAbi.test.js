@@ -0,0 +1,82 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const { ABI_FILE, BINDINGS_FILE, renderBindings } = require("../scripts/export-abi");
+
+/**
+ * Frontend ABI Tests
+ *
+ * Guards the frontend against drifting from the compiled contract: the exported
+ * ABI and bindings must match the artifact, and every FHEDge function or event
+ * the frontend source references must exist in it.
+ */
+describe("Frontend ABI", function () {
+  const FRONTEND_SRC = path.join(__dirname, "../frontend/src");
+
+  // ethers BaseContract members, not contract functions
+  const BASE_CONTRACT_MEMBERS = new Set([
+    "runner", "target", "interface", "filters", "getAddress", "getDeployedCode", "getFunction", "getEvent",
+    "connect", "attach", "on", "once", "off", "emit", "queryFilter", "listeners", "listenerCount",
+    "removeAllListeners", "addListener", "removeListener", "waitForDeployment", "deploymentTransaction",
+  ]);
+
+  let abi;
+
+  before(async function () {
+    ({ abi } = await hre.artifacts.readArtifact("FHEDge"));
+  });
+
+  function sourceFiles(dir) {
+    return fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+      const file = path.join(dir, entry.name);
+      if (entry.isDirectory()) return entry.name === "abi" ? [] : sourceFiles(file);
+      return /\.(jsx?|tsx?)$/.test(entry.name) ? [file] : [];
+    });
+  }
+
+  // FHEDge members referenced by the frontend, as { name, kind, file }
+  function frontendReferences() {
+    const references = [];
+    for (const file of sourceFiles(FRONTEND_SRC)) {
+      const source = fs.readFileSync(file, "utf8");
+      const relative = path.relative(FRONTEND_SRC, file);
+
+      for (const [, name] of source.matchAll(/\bcontract\.(\w+)\s*[(.]/g)) {
+        if (!BASE_CONTRACT_MEMBERS.has(name)) references.push({ name, kind: "function", file: relative });
+      }
+      for (const [, name] of source.matchAll(/\bcontract\.filters\.(\w+)/g)) {
+        references.push({ name, kind: "event", file: relative });
+      }
+      // Event names passed around as string lists (e.g. TRACKED_EVENTS)
+      for (const [, list] of source.matchAll(/_EVENTS\s*=\s*\[([^\]]*)\]/g)) {
+        for (const [, name] of list.matchAll(/'(\w+)'/g)) {
+          references.push({ name, kind: "event", file: relative });
+        }
+      }
+    }
+    return references;
+  }
+
+  it("Should export the artifact's ABI to the frontend", function () {
+    const exported = JSON.parse(fs.readFileSync(ABI_FILE, "utf8"));
+    expect(exported).to.deep.equal(abi, "frontend ABI is stale, run `npm run export:abi`");
+  });
+
+  it("Should export bindings generated from the artifact's ABI", function () {
+    expect(fs.readFileSync(BINDINGS_FILE, "utf8")).to.equal(
+      renderBindings(abi), "frontend bindings are stale, run `npm run export:abi`"
+    );
+  });
+
+  it("Should only reference functions and events present in the artifact", function () {
+    const references = frontendReferences();
+    // Sanity check that the scan still finds the frontend's calls
+    expect(references.map((ref) => ref.name)).to.include.members(["createCampaign", "getCampaignsPage", "PledgeMade"]);
+
+    const missing = references
+      .filter(({ name, kind }) => !abi.some((fragment) => fragment.type === kind && fragment.name === name))
+      .map(({ name, kind, file }) => `${kind} ${name} (${file})`);
+    expect([...new Set(missing)], "not in the FHEDge artifact").to.be.empty;
+  });
+});
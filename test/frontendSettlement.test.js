@@ -0,0 +1,65 @@
+const { expect } = require("chai");
+const path = require("path");
+const { pathToFileURL } = require("url");
+
+/**
+ * Frontend Settlement Tests
+ *
+ * The claim buttons of the campaign list and page are driven by
+ * frontend/src/settlement.js; these checks keep it in line with
+ * FHEDge.claimCampaign for every funding asset.
+ */
+describe("Frontend Settlement", function () {
+  let settlement;
+
+  const NOW = 1_700_000_000_000;
+
+  before(async function () {
+    settlement = await import(pathToFileURL(path.join(__dirname, "../frontend/src/settlement.js")).href);
+  });
+
+  // An owner's campaign right after its deadline
+  const endedCampaign = (overrides = {}) => ({
+    isOwner: true,
+    active: true,
+    claimed: false,
+    deadline: NOW / 1000 - 60,
+    fundingAsset: "Native",
+    ethBalance: 0n,
+    decryptionStatus: "NotRequested",
+    goalReached: false,
+    ...overrides,
+  });
+
+  it("Should let owners claim confidential-token campaigns, whose balance is encrypted", function () {
+    const campaign = endedCampaign({ fundingAsset: "Confidential" });
+
+    expect(settlement.hasClaimableFunds(campaign)).to.equal(true);
+    expect(settlement.isAwaitingReveal(campaign, NOW)).to.equal(true);
+    expect(settlement.canClaimFunds(campaign, NOW)).to.equal(false);
+
+    const revealed = { ...campaign, decryptionStatus: "Completed", goalReached: true };
+    expect(settlement.isAwaitingReveal(revealed, NOW)).to.equal(false);
+    expect(settlement.canClaimFunds(revealed, NOW)).to.equal(true);
+    expect(settlement.canClaimFunds({ ...revealed, claimed: true }, NOW)).to.equal(false);
+  });
+
+  it("Should require a cleartext balance for ETH and ERC-20 campaigns", function () {
+    const revealed = { decryptionStatus: "Completed", goalReached: true };
+
+    for (const fundingAsset of ["Native", "ERC20"]) {
+      expect(settlement.canClaimFunds(endedCampaign({ fundingAsset, ...revealed }), NOW)).to.equal(false);
+      expect(settlement.canClaimFunds(endedCampaign({ fundingAsset, ...revealed, ethBalance: 1n }), NOW)).to.equal(true);
+      expect(settlement.isAwaitingReveal(endedCampaign({ fundingAsset }), NOW)).to.equal(false);
+    }
+  });
+
+  it("Should only offer the claim to the owner after the deadline and a reached goal", function () {
+    const claimable = endedCampaign({ ethBalance: 1n, decryptionStatus: "Completed", goalReached: true });
+
+    expect(settlement.canClaimFunds(claimable, NOW)).to.equal(true);
+    expect(settlement.canClaimFunds({ ...claimable, isOwner: false }, NOW)).to.equal(false);
+    expect(settlement.canClaimFunds({ ...claimable, deadline: NOW / 1000 + 60 }, NOW)).to.equal(false);
+    expect(settlement.canClaimFunds({ ...claimable, goalReached: false }, NOW)).to.equal(false);
+  });
+});
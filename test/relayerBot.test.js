@@ -0,0 +1,184 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const bot = require("../scripts/relayer-bot");
+
+/**
+ * Relayer Bot Tests (FHEVM mock)
+ *
+ * Drives scripts/relayer-bot.js against the in-process Hardhat network:
+ * scanning DecryptionRequested events, mock public decryption, callback
+ * submission, dry-run mode, retry/backoff, parked failures and persisted progress.
+ */
+describe("Relayer Bot", function () {
+  let fhedge;
+  let creator, pledger1;
+  let contractAddress;
+  let stateFile;
+
+  const ONE_DAY = 24 * 60 * 60;
+  // createCampaign/createTokenCampaign setup for a campaign without milestones, stretch goals or reward tiers
+  const NO_SETUP = {
+    milestoneTitles: [],
+    milestoneShares: [],
+    stretchGoals: [],
+    rewardTierNames: [],
+    rewardTierPublicMinimums: [],
+    rewardTierEncryptedMinimums: []
+  };
+  const goal = hre.ethers.parseEther("1");
+
+  beforeEach(async function () {
+    if (!hre.fhevm.isMock) this.skip();
+
+    [, creator, pledger1] = await hre.ethers.getSigners();
+
+    const FHEDge = await hre.ethers.getContractFactory("FHEDge");
+    fhedge = await FHEDge.deploy();
+    await fhedge.waitForDeployment();
+    contractAddress = await fhedge.getAddress();
+
+    stateFile = path.join(os.tmpdir(), `fhedge-bot-${Date.now()}-${Math.random()}.json`);
+  });
+
+  afterEach(function () {
+    if (stateFile && fs.existsSync(stateFile)) fs.unlinkSync(stateFile);
+  });
+
+  async function encryptAmount(signer, amount) {
+    const input = hre.fhevm.createEncryptedInput(contractAddress, signer.address);
+    input.add64(amount);
+    return input.encrypt();
+  }
+
+  // Create a campaign, pledge the full goal and request the reveal (Step 1 only)
+  async function campaignAwaitingReveal() {
+    const encryptedGoal = await encryptAmount(creator, goal);
+    const { timestamp } = await hre.ethers.provider.getBlock("latest");
+    await (await fhedge.connect(creator).createCampaign(
+      encryptedGoal.handles[0], encryptedGoal.inputProof, timestamp + ONE_DAY, "Bot Campaign", "Description", 1, NO_SETUP
+    )).wait();
+    const campaignId = (await fhedge.nextCampaignId()) - 1n;
+
+    const encryptedPledge = await encryptAmount(pledger1, goal);
+    await (await fhedge.connect(pledger1).pledge(
+      campaignId, encryptedPledge.handles[0], encryptedPledge.inputProof, { value: goal }
+    )).wait();
+
+    await hre.network.provider.send("evm_increaseTime", [ONE_DAY + 1]);
+    await hre.network.provider.send("evm_mine");
+    await (await fhedge.connect(creator).requestDecryptCampaignResult(campaignId)).wait();
+
+    return campaignId;
+  }
+
+  const options = (overrides = {}) => ({ dryRun: false, maxRetries: 3, ...overrides });
+
+  it("should complete a pending reveal and record progress", async function () {
+    const campaignId = await campaignAwaitingReveal();
+    const state = bot.loadState(stateFile);
+
+    await bot.runOnce(fhedge, state, options());
+
+    const [status, totalPledged, goalReached] = await fhedge.getDecryptedResults(campaignId);
+    expect(status).to.equal(2);
+    expect(totalPledged).to.equal(goal);
+    expect(goalReached).to.equal(true);
+    expect(state.completed).to.include(campaignId.toString());
+    expect(state.pending).to.deep.equal({});
+    console.log(`✅ Bot completed reveal for campaign #${campaignId}`);
+  });
+
+  it("should not send transactions in dry-run mode", async function () {
+    const campaignId = await campaignAwaitingReveal();
+    const state = bot.loadState(stateFile);
+
+    await bot.runOnce(fhedge, state, options({ dryRun: true }));
+
+    const [status] = await fhedge.getDecryptedResults(campaignId);
+    expect(status).to.equal(1); // still InProgress
+    expect(state.pending).to.have.property(campaignId.toString());
+    console.log(`✅ Dry-run left campaign #${campaignId} untouched`);
+  });
+
+  it("should mark reveals completed by someone else without resubmitting", async function () {
+    const campaignId = await campaignAwaitingReveal();
+    const handles = await fhedge.getDecryptionHandles(campaignId);
+    const results = await hre.fhevm.publicDecrypt([...handles]);
+    await (await fhedge.callbackDecryptCampaignResult(
+      campaignId, results.abiEncodedClearValues, results.decryptionProof
+    )).wait();
+
+    const state = bot.loadState(stateFile);
+    await bot.runOnce(fhedge, state, options());
+
+    expect(state.completed).to.include(campaignId.toString());
+    console.log(`✅ Already-revealed campaign skipped`);
+  });
+
+  it("should back off, then park failing reveals and retry them later", async function () {
+    const campaignId = (await campaignAwaitingReveal()).toString();
+    const failingContract = new Proxy(fhedge, {
+      get(target, prop) {
+        if (prop === "getDecryptedResults") {
+          return async () => { throw new Error("relayer unavailable"); };
+        }
+        return Reflect.get(target, prop);
+      },
+    });
+    const state = bot.loadState(stateFile);
+    const start = Date.now();
+
+    await bot.runOnce(failingContract, state, options(), start);
+    expect(state.pending[campaignId].attempts).to.equal(1);
+    expect(state.pending[campaignId].nextAttemptAt).to.equal(start + bot.backoffDelay(1));
+
+    // Not due yet: no new attempt
+    await bot.runOnce(failingContract, state, options(), start + 1);
+    expect(state.pending[campaignId].attempts).to.equal(1);
+
+    await bot.runOnce(failingContract, state, options(), start + bot.backoffDelay(1));
+    await bot.runOnce(failingContract, state, options(), start + bot.backoffDelay(1) + bot.backoffDelay(2));
+    const parkedAt = start + bot.backoffDelay(1) + bot.backoffDelay(2);
+    expect(state.pending).to.not.have.property(campaignId);
+    expect(state.failed[campaignId]).to.deep.equal({
+      lastError: "relayer unavailable",
+      retryAt: parkedAt + bot.FAILED_RETRY_DELAY_MS,
+    });
+
+    // After the cool-down the campaign gets a fresh retry budget and completes
+    await bot.runOnce(fhedge, state, options(), parkedAt + bot.FAILED_RETRY_DELAY_MS);
+    expect(state.failed).to.deep.equal({});
+    expect(state.completed).to.include(campaignId);
+    console.log(`✅ Failing reveal retried with backoff, parked, then completed`);
+  });
+
+  it("should default to the manifest's contract and deployment block", function () {
+    const deployment = { address: "0x00000000000000000000000000000000000000aA", blockNumber: 1234 };
+
+    expect(bot.parseOptions({}, deployment)).to.include({ contractAddress: deployment.address, fromBlock: 1234 });
+    expect(bot.parseOptions({ BOT_FROM_BLOCK: "99" }, deployment).fromBlock).to.equal(99);
+    // Another contract than the manifest's: its deployment block is unknown
+    expect(bot.parseOptions({ CONTRACT_ADDRESS: contractAddress }, deployment).fromBlock).to.equal(0);
+    expect(bot.parseOptions({}, null).contractAddress).to.equal(undefined);
+  });
+
+  it("should persist progress between runs", async function () {
+    await campaignAwaitingReveal();
+    const state = bot.loadState(stateFile);
+    await bot.runOnce(fhedge, state, options());
+    bot.saveState(stateFile, state);
+
+    const restored = bot.loadState(stateFile);
+    expect(restored.lastScannedBlock).to.equal(await hre.ethers.provider.getBlockNumber() - 1);
+    expect(restored.completed).to.deep.equal(state.completed);
+    console.log(`✅ Progress restored from ${path.basename(stateFile)}`);
+  });
+
+  it("should double the backoff delay up to a cap", function () {
+    expect(bot.backoffDelay(2)).to.equal(bot.backoffDelay(1) * 2);
+    expect(bot.backoffDelay(50)).to.equal(bot.backoffDelay(40));
+  });
+});